@@ -0,0 +1,81 @@
+// scripts/checkSchemaDrift.js
+// Checks each data source's schema docs against its database catalog and its schema collection
+// in ChromaDB: documented tables missing from the database, documented columns removed or
+// renamed there, undocumented new columns, documented tables not indexed, index entries for
+// tables no longer documented, and stale entries: those whose hash of the table's docs, stored
+// when it was indexed, differs from the hash of its docs now (or that have none).
+//
+// Exits 0 when everything matches, 1 when drift was found and 2 when a check could not run,
+// so it can be scheduled (cron, CI) and alert on a non-zero status.
+//
+// Usage: npm run schema:drift -- [--source name] [--json]
+const sourceName = getArg('source');
+const asJson = process.argv.includes('--json');
+
+const EXIT_CODES = { CLEAN: 0, DRIFT: 1, FAILED: 2 };
+
+/**
+ * Reads `--name value` from the command line
+ */
+function getArg(name) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index === -1 ? undefined : process.argv[index + 1];
+}
+
+function printList(label, items) {
+    if (!items || items.length === 0) return;
+    console.log(`   ${label} (${items.length}):`);
+    items.slice(0, 20).forEach(item => console.log(`     - ${item}`));
+    if (items.length > 20) console.log(`     ... and ${items.length - 20} more`);
+}
+
+function printResult(result) {
+    console.log(`\n🗄️  Data source '${result.dataSource}' (${result.documentedTables} documented tables in ${result.schemaFile})`);
+
+    const { database, index } = result;
+    if (database.error) {
+        console.log(`   💥 Could not read the database catalog: ${database.error}`);
+    } else {
+        printList('❌ Documented tables missing from the database', database.missingTables);
+        printList('🔀 Columns renamed', database.renamedColumns.map(({ table, from, to }) => `${table}.${from} -> ${to}`));
+        printList('❌ Documented columns removed', database.removedColumns);
+        printList('➕ New columns not documented', database.newColumns);
+        printList('ℹ️  Undocumented tables (not drift)', database.undocumentedTables);
+    }
+
+    if (index.error) {
+        console.log(`   💥 Could not read the schema index: ${index.error}`);
+    } else {
+        printList('📭 Documented tables not indexed', index.notIndexed);
+        printList('🗑️  Index entries for tables no longer documented', index.orphanedEntries);
+        printList('⏰ Index entries out of date with the schema docs', index.staleEntries.map(({ table, indexedAt }) => `${table} (${indexedAt || 'no index date'})`));
+    }
+
+    if (!result.failed && result.driftCount === 0) {
+        console.log('   ✅ No drift');
+    }
+}
+
+async function main() {
+    const schemaDriftService = require('../src/services/schemaDriftService');
+    const report = await schemaDriftService.checkDrift(sourceName);
+
+    if (asJson) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        report.dataSources.forEach(printResult);
+        if (report.hasDrift) {
+            console.log('\n💡 Run npm run schema:introspect to update the docs, then npm run index.');
+        }
+    }
+
+    if (report.failed) return EXIT_CODES.FAILED;
+    return report.hasDrift ? EXIT_CODES.DRIFT : EXIT_CODES.CLEAN;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error(`\n💥 Schema drift check failed: ${error.message}`);
+        process.exit(EXIT_CODES.FAILED);
+    });
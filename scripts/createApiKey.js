@@ -0,0 +1,23 @@
+// scripts/createApiKey.js
+// Generates an API key and prints the entry to add to AUTH_API_KEYS. Only the key's
+// SHA-256 hash is stored in the configuration; the key itself is shown once.
+//
+// Usage: npm run auth:create-key -- <id> [role,role...]
+const crypto = require('crypto');
+
+const [id, roles = 'viewer'] = process.argv.slice(2);
+if (!id) {
+    console.error('Usage: npm run auth:create-key -- <id> [role,role...]');
+    process.exit(1);
+}
+
+const key = crypto.randomBytes(32).toString('base64url');
+const entry = {
+    id,
+    keyHash: crypto.createHash('sha256').update(key).digest('hex'),
+    roles: roles.split(',').map(role => role.trim()).filter(Boolean)
+};
+
+console.log(`🔑 API key for '${id}' (store it now, it cannot be recovered):\n\n   ${key}\n`);
+console.log('➕ Add this entry to the AUTH_API_KEYS JSON array:\n');
+console.log(`   ${JSON.stringify(entry)}`);
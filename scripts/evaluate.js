@@ -0,0 +1,300 @@
+// scripts/evaluate.js
+// Offline text-to-SQL evaluation: runs a golden set of questions through retrieval and SQL
+// generation, executes the generated and reference queries, and reports retrieval recall,
+// exact-match rate and execution accuracy (result-set equality).
+//
+// Exits 1 when a case failed to run (e.g. no recording to replay) or none was scored, whatever
+// --fail-under is, and when the score is below --fail-under.
+//
+// Usage: npm run eval -- [--golden eval/golden.yaml] [--provider live|record|replay|mock]
+//                        [--recordings eval/recordings.json] [--limit N] [--skip-execution]
+//                        [--output report.json] [--fail-under 0.8]
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+
+const PROVIDERS = ['live', 'record', 'replay', 'mock'];
+
+/**
+ * Reads `--name value` (or `--name` for flags) from the command line
+ */
+function getArg(name, defaultValue) {
+    const index = process.argv.indexOf(`--${name}`);
+    if (index === -1) return defaultValue;
+    const value = process.argv[index + 1];
+    return value === undefined || value.startsWith('--') ? true : value;
+}
+
+const options = {
+    goldenPath: getArg('golden', './eval/golden.yaml'),
+    provider: getArg('provider', 'live'),
+    recordingsPath: getArg('recordings', './eval/recordings.json'),
+    limit: parseInt(getArg('limit')) || Infinity,
+    skipExecution: getArg('skip-execution', false) === true,
+    outputPath: getArg('output'),
+    failUnder: parseFloat(getArg('fail-under')) || 0
+};
+
+if (!PROVIDERS.includes(options.provider)) {
+    console.error(`❌ Unknown provider '${options.provider}'. Use one of: ${PROVIDERS.join(', ')}`);
+    process.exit(1);
+}
+
+// Replayed and mocked runs make no model calls, so they do not need a real API key
+if (['replay', 'mock'].includes(options.provider) && !process.env.GEMINI_API_KEY) {
+    process.env.GEMINI_API_KEY = 'offline-evaluation';
+}
+
+const { maskNested } = require('../src/utils/sqlText');
+
+/**
+ * Loads the golden set from YAML (a list) or JSONL (one case per line).
+ * Each case has `question` and reference `sql`, and optionally `id`, the expected `tables` and
+ * the name of the `dataSource` it is asked of (the default source otherwise).
+ */
+function loadGoldenSet(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Golden set not found: ${filePath}`);
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    const cases = filePath.endsWith('.jsonl')
+        ? content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+        : yaml.parse(content);
+
+    if (!Array.isArray(cases)) {
+        throw new Error('Golden set must be a list of cases');
+    }
+
+    return cases.map((testCase, index) => {
+        if (!testCase.question || !testCase.sql) {
+            throw new Error(`Case at index ${index} needs 'question' and 'sql'`);
+        }
+        return {
+            id: testCase.id || `case-${index + 1}`,
+            question: testCase.question,
+            sql: testCase.sql.trim(),
+            tables: testCase.tables || tablesInSql(testCase.sql),
+            dataSource: testCase.dataSource
+        };
+    });
+}
+
+/**
+ * Table names referenced after FROM/JOIN, without schema prefix or brackets
+ */
+function tablesInSql(sql) {
+    const matches = sql.matchAll(/\b(?:FROM|JOIN)\s+(?:\[?dbo\]?\.)?\[?(\w+)\]?/gi);
+    return [...new Set([...matches].map(match => match[1]))];
+}
+
+/**
+ * Creates the retrieval + SQL generation provider.
+ * - live: Chroma retrieval and Gemini generation.
+ * - record: like live, and saves every answer to the recordings file.
+ * - replay: answers from the recordings file only (no network).
+ * - mock: retrieves the expected tables and returns the reference SQL; checks the
+ *   golden set and the scoring against the database without any model.
+ */
+function createProvider(provider, recordingsPath) {
+    if (provider === 'mock') {
+        return {
+            retrieve: async (testCase) => ({ tables: testCase.tables, schemaContext: null }),
+            generateSql: async (testCase) => testCase.sql,
+            finish: () => {}
+        };
+    }
+
+    const recordings = fs.existsSync(recordingsPath) ? JSON.parse(fs.readFileSync(recordingsPath, 'utf8')) : {};
+
+    if (provider === 'replay') {
+        const recordingFor = (testCase) => {
+            const recording = recordings[testCase.question];
+            if (!recording || !recording.sql) {
+                throw new Error('No recording for this question. Run with --provider record first.');
+            }
+            return recording;
+        };
+        return {
+            retrieve: async (testCase) => recordingFor(testCase).retrieval,
+            generateSql: async (testCase) => recordingFor(testCase).sql,
+            finish: () => {}
+        };
+    }
+
+    const ragService = require('../src/services/ragService');
+    const geminiService = require('../src/services/geminiService');
+    const record = provider === 'record';
+
+    return {
+        retrieve: async (testCase) => {
+            const { schemaContext, tables } = await ragService.retrieveSchemas(testCase.question, { dataSource: testCase.dataSource });
+            if (record) {
+                recordings[testCase.question] = { retrieval: { tables, schemaContext } };
+            }
+            return { tables, schemaContext };
+        },
+        generateSql: async (testCase, retrieval) => {
+            const sql = await geminiService.generateSql(testCase.question, retrieval.schemaContext, { allowClarification: false, dialect: testCase.dataSource.dialect });
+            if (record) {
+                recordings[testCase.question].sql = sql;
+                recordings[testCase.question].recordedAt = new Date().toISOString();
+            }
+            return sql;
+        },
+        finish: () => {
+            if (record) {
+                fs.mkdirSync(path.dirname(recordingsPath), { recursive: true });
+                fs.writeFileSync(recordingsPath, JSON.stringify(recordings, null, 2));
+                console.log(`💾 Recordings saved to ${recordingsPath}`);
+            }
+        }
+    };
+}
+
+function normalizeSql(sql) {
+    return sql.replace(/;+\s*$/, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function normalizeValue(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'number') return Number(value.toFixed(6));
+    if (Buffer.isBuffer(value)) return value.toString('base64');
+    if (typeof value === 'string') return value.trim();
+    return value;
+}
+
+/**
+ * Compares two result sets by their values (column names/aliases are ignored). Row order
+ * only matters when the reference query has a top-level ORDER BY.
+ */
+function resultsEqual(referenceRows, generatedRows, ordered) {
+    if (referenceRows.length !== generatedRows.length) return false;
+
+    const serialize = rows => rows.map(row => JSON.stringify(Object.values(row).map(normalizeValue)));
+    const reference = serialize(referenceRows);
+    const generated = serialize(generatedRows);
+    if (!ordered) {
+        reference.sort();
+        generated.sort();
+    }
+    return reference.every((row, index) => row === generated[index]);
+}
+
+/**
+ * Runs one golden case and scores it
+ */
+async function evaluateCase(testCase, provider, dbService) {
+    const result = { id: testCase.id, question: testCase.question, referenceSql: testCase.sql };
+
+    try {
+        const retrieval = await provider.retrieve(testCase);
+        const retrieved = (retrieval.tables || []).map(table => table.toLowerCase());
+        const found = testCase.tables.filter(table => retrieved.includes(table.toLowerCase()));
+        result.retrievedTables = retrieval.tables;
+        result.retrievalRecall = testCase.tables.length > 0 ? found.length / testCase.tables.length : 1;
+
+        result.generatedSql = await provider.generateSql(testCase, retrieval);
+        result.exactMatch = normalizeSql(result.generatedSql) === normalizeSql(testCase.sql);
+
+        if (dbService) {
+            const [referenceRows, generatedRows] = await Promise.all([
+                dbService.executeQuery(testCase.sql, { dataSource: testCase.dataSource }),
+                dbService.executeQuery(result.generatedSql, { dataSource: testCase.dataSource })
+            ]);
+            const ordered = /\bORDER\s+BY\b/.test(maskNested(testCase.sql).toUpperCase());
+            result.resultMatch = resultsEqual(referenceRows, generatedRows, ordered);
+            result.rowCounts = { reference: referenceRows.length, generated: generatedRows.length };
+        }
+    } catch (error) {
+        result.error = error.message;
+    }
+
+    return result;
+}
+
+function ratio(count, total) {
+    return total > 0 ? Number((count / total).toFixed(4)) : 0;
+}
+
+function summarize(results, executed) {
+    const scored = results.filter(result => result.retrievalRecall !== undefined);
+    const summary = {
+        cases: results.length,
+        scored: results.filter(result => !result.error && result.exactMatch !== undefined).length,
+        errors: results.filter(result => result.error).length,
+        retrievalRecall: ratio(scored.reduce((sum, result) => sum + result.retrievalRecall, 0), results.length),
+        fullRetrievalRate: ratio(scored.filter(result => result.retrievalRecall === 1).length, results.length),
+        exactMatchRate: ratio(results.filter(result => result.exactMatch).length, results.length)
+    };
+    if (executed) {
+        summary.executionAccuracy = ratio(results.filter(result => result.resultMatch).length, results.length);
+    }
+    return summary;
+}
+
+/**
+ * Main evaluation function
+ */
+async function evaluate() {
+    const startTime = Date.now();
+
+    console.log("🧪 Starting text-to-SQL evaluation...");
+    console.log(`🔧 Configuration:`);
+    console.log(`   - Golden set: ${options.goldenPath}`);
+    console.log(`   - Provider: ${options.provider}`);
+    console.log(`   - Execution: ${options.skipExecution ? 'skipped' : 'enabled'}`);
+
+    const { getDataSource } = require('../src/utils/dataSources');
+    const cases = loadGoldenSet(options.goldenPath)
+        .slice(0, options.limit)
+        .map(testCase => ({ ...testCase, dataSource: getDataSource(testCase.dataSource) }));
+    const provider = createProvider(options.provider, options.recordingsPath);
+    const dbService = options.skipExecution ? null : require('../src/services/dbService');
+
+    const results = [];
+    for (const testCase of cases) {
+        const result = await evaluateCase(testCase, provider, dbService);
+        results.push(result);
+
+        const mark = (value) => (value === undefined ? '-' : value ? '✓' : '✗');
+        const status = result.error ? '💥' : (result.resultMatch ?? result.exactMatch) ? '✅' : '❌';
+        console.log(`${status} ${result.id.padEnd(32)} recall ${result.retrievalRecall !== undefined ? result.retrievalRecall.toFixed(2) : '-'}  exact ${mark(result.exactMatch)}  result ${mark(result.resultMatch)}${result.error ? `  ${result.error}` : ''}`);
+    }
+
+    provider.finish();
+
+    const summary = summarize(results, Boolean(dbService));
+    console.log(`\n📊 Summary (${((Date.now() - startTime) / 1000).toFixed(1)}s):`);
+    Object.entries(summary).forEach(([key, value]) => console.log(`   - ${key}: ${value}`));
+
+    if (options.outputPath) {
+        fs.writeFileSync(options.outputPath, JSON.stringify({ options, summary, results }, null, 2));
+        console.log(`📝 Report written to ${options.outputPath}`);
+    }
+
+    if (summary.errors > 0 || summary.scored === 0) {
+        console.error(`❌ ${summary.errors} of ${summary.cases} cases failed to run and ${summary.scored} were scored`);
+        process.exit(1);
+    }
+    const score = summary.executionAccuracy ?? summary.exactMatchRate;
+    if (score < options.failUnder) {
+        console.error(`❌ Score ${score} is below --fail-under ${options.failUnder}`);
+        process.exit(1);
+    }
+    process.exit(0);
+}
+
+// Unhandled rejection handler
+process.on('unhandledRejection', (reason) => {
+    console.error('💥 Unhandled Promise Rejection:', reason);
+    process.exit(1);
+});
+
+if (require.main === module) {
+    evaluate().catch(error => {
+        console.error('💥 Evaluation failed:', error.message);
+        process.exit(1);
+    });
+}
@@ -5,14 +5,15 @@ const yaml = require('yaml');
 const { ChromaClient } = require('chromadb');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const config = require('../src/config');
+const { SENSITIVITY_LEVELS, schemaDocHash } = require('../src/utils/schemaDocs');
+const { getDataSources, getDataSource } = require('../src/utils/dataSources');
+const valueProfileService = require('../src/services/valueProfileService');
 
 // Initialize clients
 const genAI = new GoogleGenerativeAI(config.gemini.apiKey);
 const chroma = new ChromaClient({ path: config.rag.chromaDbUrl });
 
-// Constants
-const SCHEMA_FILE_PATH = './schema_docs.yaml';
-const COLLECTION_NAME = config.rag?.collectionName || 'sql_schemas';
+// Constants (schema files and collections are per data source, see src/utils/dataSources.js)
 const EMBEDDING_MODEL = config.gemini?.embeddingModel || 'text-embedding-004';
 const RATE_LIMIT_DELAY = 200; // ms between API calls
 
@@ -44,6 +45,9 @@ function validateSchemaStructure(schemas) {
                 if (!col.description) {
                     errors.push(`Column at index ${colIndex} in table '${schema.table_name}' is missing 'description'`);
                 }
+                if (col.sensitivity !== undefined && !SENSITIVITY_LEVELS.includes(col.sensitivity)) {
+                    errors.push(`Column '${col.name}' in table '${schema.table_name}' has an unknown sensitivity '${col.sensitivity}' (allowed: ${SENSITIVITY_LEVELS.join(', ')})`);
+                }
             });
         }
     });
@@ -63,7 +67,8 @@ function createDocuments(schemas) {
         content += `Columns:\n`;
         schema.columns.forEach(col => {
             content += `- ${col.name}`;
-            if (col.type) content += ` (${col.type})`;
+            if (col.type) content += ` (${col.type}${col.primary_key ? ', primary key' : ''})`;
+            if (col.sensitivity && col.sensitivity !== 'public') content += ` [${col.sensitivity}]`;
             content += `: ${col.description}\n`;
         });
         
@@ -161,9 +166,9 @@ async function generateEmbeddings(documents, schemas) {
 }
 
 /**
- * Connects to ChromaDB with retry logic
+ * Connects to ChromaDB with retry logic and opens a collection
  */
-async function connectToChromaDB() {
+async function connectToChromaDB(collectionName) {
     const maxRetries = 3;
     let retryCount = 0;
     
@@ -175,7 +180,7 @@ async function connectToChromaDB() {
             await chroma.heartbeat();
             
             const collection = await chroma.getOrCreateCollection({ 
-                name: COLLECTION_NAME,
+                name: collectionName,
                 metadata: { 
                     description: 'Database table schemas for text-to-SQL generation',
                     created_at: new Date().toISOString(),
@@ -183,7 +188,7 @@ async function connectToChromaDB() {
                 }
             });
             
-            console.log(`✅ Connected to ChromaDB collection '${COLLECTION_NAME}'`);
+            console.log(`✅ Connected to ChromaDB collection '${collectionName}'`);
             return collection;
             
         } catch (error) {
@@ -201,10 +206,32 @@ async function connectToChromaDB() {
     }
 }
 
+/**
+ * Profiles the column values of a data source's tables from the live database. Indexing goes
+ * on without profiles when the database cannot be read, or with --skip-profile.
+ */
+async function profileValues(dataSource) {
+    if (!config.rag.profileValues || process.argv.includes('--skip-profile')) {
+        console.log('ℹ️  Value profiling is turned off');
+        return {};
+    }
+    try {
+        const profiles = await valueProfileService.profileDataSource(dataSource);
+        Object.entries(profiles).forEach(([tableName, profile]) => {
+            const columns = Object.keys(profile.columns);
+            console.log(`   - ${tableName}: ${columns.length > 0 ? columns.join(', ') : 'no columns to profile'}`);
+        });
+        return profiles;
+    } catch (error) {
+        console.warn(`⚠️  Could not profile column values, indexing without them: ${error.message}`);
+        return {};
+    }
+}
+
 /**
  * Adds documents to ChromaDB collection with validation
  */
-async function addToCollection(collection, schemas, embeddings, documents) {
+async function addToCollection(collection, schemas, embeddings, documents, profiles = {}) {
     // Filter out failed embeddings
     const validEntries = [];
     const skippedTables = [];
@@ -219,7 +246,11 @@ async function addToCollection(collection, schemas, embeddings, documents) {
                     description: schema.description,
                     columnCount: schema.columns.length,
                     hasRelationships: !!(schema.relationships && schema.relationships.length > 0),
-                    indexed_at: new Date().toISOString()
+                    indexed_at: new Date().toISOString(),
+                    // Compared with the current docs by the schema drift check
+                    schemaHash: schemaDocHash(schema),
+                    // Kept out of the document so the values do not skew its embedding
+                    ...(profiles[schema.table_name] && { valueProfile: JSON.stringify(profiles[schema.table_name]) })
                 },
                 document: documents[index]
             });
@@ -257,11 +288,11 @@ async function addToCollection(collection, schemas, embeddings, documents) {
 /**
  * Creates a backup of the existing collection (if it exists)
  */
-async function backupExistingCollection() {
+async function backupExistingCollection(collectionName) {
     try {
-        const existingCollection = await chroma.getCollection({ name: COLLECTION_NAME });
+        const existingCollection = await chroma.getCollection({ name: collectionName });
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const backupName = `${COLLECTION_NAME}_backup_${timestamp}`;
+        const backupName = `${collectionName}_backup_${timestamp}`;
         
         console.log(`🔄 Creating backup of existing collection as '${backupName}'...`);
         
@@ -273,8 +304,8 @@ async function backupExistingCollection() {
             const backupCollection = await chroma.createCollection({ 
                 name: backupName,
                 metadata: { 
-                    description: `Backup of ${COLLECTION_NAME} created on ${new Date().toISOString()}`,
-                    original_collection: COLLECTION_NAME
+                    description: `Backup of ${collectionName} created on ${new Date().toISOString()}`,
+                    original_collection: collectionName
                 }
             });
             
@@ -290,7 +321,7 @@ async function backupExistingCollection() {
         }
         
         // Delete the original collection
-        await chroma.deleteCollection({ name: COLLECTION_NAME });
+        await chroma.deleteCollection({ name: collectionName });
         console.log(`🗑️  Original collection deleted`);
         
     } catch (error) {
@@ -349,7 +380,83 @@ async function validateCollection(collection, expectedCount) {
 }
 
 /**
- * Main indexing function
+ * Indexes the schema file of one data source into its own collection
+ * @returns {Promise<{successCount: number, skippedCount: number, failedCount: number, isValid: boolean}>}
+ */
+async function indexDataSource(dataSource) {
+    const { schemaFile, collectionName } = dataSource;
+
+    console.log(`\n🗄️  Data source '${dataSource.name}' (${dataSource.dialect.engine})`);
+    console.log(`   - Schema file: ${schemaFile}`);
+    console.log(`   - Collection: ${collectionName}`);
+
+    // Step 1: Validate schema file exists
+    console.log("\n📋 Step 1: Validating schema file...");
+    if (!fs.existsSync(schemaFile)) {
+        throw new Error(`Schema file not found: ${schemaFile}`);
+    }
+
+    // Step 2: Read and parse schema file
+    console.log("📖 Step 2: Reading schema file...");
+    const file = fs.readFileSync(schemaFile, 'utf8');
+    const schemas = yaml.parse(file);
+    console.log(`✅ Found ${schemas.length} table schemas`);
+
+    // Step 3: Validate schema structure
+    console.log("🔍 Step 3: Validating schema structure...");
+    const validationErrors = validateSchemaStructure(schemas);
+    if (validationErrors.length > 0) {
+        console.error('❌ Schema validation failed:');
+        validationErrors.forEach(error => console.error(`   - ${error}`));
+        throw new Error('Schema file has validation errors');
+    }
+    console.log("✅ Schema structure is valid");
+
+    // Step 4: Profile column values
+    console.log("📊 Step 4: Profiling column values...");
+    const profiles = await profileValues(dataSource);
+
+    // Step 5: Create documents
+    console.log("📝 Step 5: Creating documents...");
+    const documents = createDocuments(schemas);
+    console.log(`✅ Created ${documents.length} document strings`);
+
+    // Step 6: Generate embeddings
+    console.log("\n🤖 Step 6: Generating embeddings...");
+    const { embeddings, failedDocuments } = await generateEmbeddings(documents, schemas);
+    const successfulEmbeddings = embeddings.filter(e => e !== null).length;
+    
+    console.log(`✅ Generated embeddings: ${successfulEmbeddings}/${schemas.length}`);
+    if (failedDocuments.length > 0) {
+        console.warn('⚠️  Failed embeddings:');
+        failedDocuments.forEach(failed => {
+            console.warn(`   - ${failed.tableName}: ${failed.error}`);
+        });
+    }
+
+    // Step 7: Connect to ChromaDB
+    console.log("\n🔗 Step 7: Connecting to ChromaDB...");
+    
+    // Create backup if needed
+    await backupExistingCollection(collectionName);
+    
+    const collection = await connectToChromaDB(collectionName);
+
+    // Step 8: Add documents to collection
+    console.log("\n💾 Step 8: Adding documents to collection...");
+    const { successCount, skippedCount } = await addToCollection(collection, schemas, embeddings, documents, profiles);
+
+    // Step 9: Validate collection
+    console.log("\n🔍 Step 9: Validating collection...");
+    const isValid = await validateCollection(collection, successCount);
+
+    return { successCount, skippedCount, failedCount: failedDocuments.length, isValid };
+}
+
+/**
+ * Main indexing function. Every configured data source is indexed into its own collection,
+ * or only the one named with `--source <name>`. Column values are profiled from each source's
+ * database unless `--skip-profile` is given.
  */
 async function indexSchemas() {
     const startTime = Date.now();
@@ -357,85 +464,43 @@ async function indexSchemas() {
     console.log("🚀 Starting enhanced schema indexing process...");
     console.log(`📅 Timestamp: ${new Date().toISOString()}`);
     console.log(`🔧 Configuration:`);
-    console.log(`   - Schema file: ${SCHEMA_FILE_PATH}`);
-    console.log(`   - Collection: ${COLLECTION_NAME}`);
     console.log(`   - Embedding model: ${EMBEDDING_MODEL}`);
     console.log(`   - ChromaDB URL: ${config.rag?.chromaDbUrl || 'http://localhost:8000'}`);
 
     try {
-        // Step 1: Validate schema file exists
-        console.log("\n📋 Step 1: Validating schema file...");
-        if (!fs.existsSync(SCHEMA_FILE_PATH)) {
-            throw new Error(`Schema file not found: ${SCHEMA_FILE_PATH}`);
-        }
-
-        // Step 2: Read and parse schema file
-        console.log("📖 Step 2: Reading schema file...");
-        const file = fs.readFileSync(SCHEMA_FILE_PATH, 'utf8');
-        const schemas = yaml.parse(file);
-        console.log(`✅ Found ${schemas.length} table schemas`);
-
-        // Step 3: Validate schema structure
-        console.log("🔍 Step 3: Validating schema structure...");
-        const validationErrors = validateSchemaStructure(schemas);
-        if (validationErrors.length > 0) {
-            console.error('❌ Schema validation failed:');
-            validationErrors.forEach(error => console.error(`   - ${error}`));
-            throw new Error('Schema file has validation errors');
-        }
-        console.log("✅ Schema structure is valid");
-
-        // Step 4: Create documents
-        console.log("📝 Step 4: Creating documents...");
-        const documents = createDocuments(schemas);
-        console.log(`✅ Created ${documents.length} document strings`);
+        const sourceIndex = process.argv.indexOf('--source');
+        const dataSources = sourceIndex === -1
+            ? [...getDataSources().values()]
+            : [getDataSource(process.argv[sourceIndex + 1])];
+        console.log(`   - Data sources: ${dataSources.map(dataSource => dataSource.name).join(', ')}`);
 
-        // Step 5: Generate embeddings
-        console.log("\n🤖 Step 5: Generating embeddings...");
-        const { embeddings, failedDocuments } = await generateEmbeddings(documents, schemas);
-        const successfulEmbeddings = embeddings.filter(e => e !== null).length;
-        
-        console.log(`✅ Generated embeddings: ${successfulEmbeddings}/${schemas.length}`);
-        if (failedDocuments.length > 0) {
-            console.warn('⚠️  Failed embeddings:');
-            failedDocuments.forEach(failed => {
-                console.warn(`   - ${failed.tableName}: ${failed.error}`);
-            });
+        const summaries = [];
+        for (const dataSource of dataSources) {
+            summaries.push({ name: dataSource.name, ...(await indexDataSource(dataSource)) });
         }
 
-        // Step 6: Connect to ChromaDB
-        console.log("\n🔗 Step 6: Connecting to ChromaDB...");
-        
-        // Create backup if needed
-        await backupExistingCollection();
-        
-        const collection = await connectToChromaDB();
-
-        // Step 7: Add documents to collection
-        console.log("\n💾 Step 7: Adding documents to collection...");
-        const { successCount, skippedCount } = await addToCollection(collection, schemas, embeddings, documents);
-
-        // Step 8: Validate collection
-        console.log("\n🔍 Step 8: Validating collection...");
-        const isValid = await validateCollection(collection, successCount);
-
         // Final summary
         const endTime = Date.now();
         const totalTime = endTime - startTime;
         
         console.log("\n🎉 Schema indexing completed!");
         console.log("📊 Summary:");
-        console.log(`   ✅ Successfully indexed: ${successCount} tables`);
-        console.log(`   ⚠️  Skipped: ${skippedCount} tables`);
+        summaries.forEach(summary => {
+            console.log(`   🗄️  ${summary.name}:`);
+            console.log(`      ✅ Successfully indexed: ${summary.successCount} tables`);
+            console.log(`      ⚠️  Skipped: ${summary.skippedCount} tables`);
+            console.log(`      🔍 Collection valid: ${summary.isValid ? 'Yes' : 'No'}`);
+            if (summary.failedCount > 0) {
+                console.log(`      ❌ Failed embeddings: ${summary.failedCount}`);
+            }
+        });
         console.log(`   ⏱️  Total time: ${(totalTime / 1000).toFixed(2)} seconds`);
-        console.log(`   🔍 Collection valid: ${isValid ? 'Yes' : 'No'}`);
         
-        if (failedDocuments.length > 0) {
-            console.log(`   ❌ Failed embeddings: ${failedDocuments.length}`);
+        if (summaries.some(summary => summary.failedCount > 0)) {
             console.log("\n💡 Consider checking the failed tables and re-running the indexing if needed.");
         }
         
-        if (!isValid) {
+        if (summaries.some(summary => !summary.isValid)) {
             console.warn("\n⚠️  Warning: Collection validation failed. The index may not work correctly.");
             process.exit(1);
         }
@@ -464,7 +529,7 @@ async function indexSchemas() {
             console.error("   - Check if port 8000 is available");
         } else if (error.code === 'ENOENT') {
             console.error("\n🔧 Troubleshooting:");
-            console.error("   - Make sure schema_docs.yaml exists in the project root");
+            console.error("   - Make sure each data source's schema file exists (schema_docs.yaml by default)");
             console.error("   - Check the file path and permissions");
         }
         
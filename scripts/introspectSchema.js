@@ -0,0 +1,89 @@
+// scripts/introspectSchema.js
+// Generates the schema docs of each data source from its database catalog: real column types,
+// primary keys and foreign keys (as `relationships`), plus the table and column descriptions
+// stored in the database (MS_Description on SQL Server, comments elsewhere). Descriptions,
+// sensitivities, notes and comments already written are kept. Columns new to the docs are marked
+// `sensitivity: restricted` until reviewed; empty descriptions must be filled in before indexing.
+//
+// The result is written next to the schema file as <name>.draft.yaml for review, or over the
+// schema file itself with --write.
+//
+// Usage: npm run schema:introspect -- [--source name] [--add-tables] [--describe] [--write]
+//                                     [--output file.yaml]
+const fs = require('fs');
+const path = require('path');
+
+const sourceName = getArg('source');
+const outputPath = getArg('output');
+const addTables = process.argv.includes('--add-tables');
+const describe = process.argv.includes('--describe');
+const write = process.argv.includes('--write');
+
+/**
+ * Reads `--name value` from the command line
+ */
+function getArg(name) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index === -1 ? undefined : process.argv[index + 1];
+}
+
+/**
+ * Where a source's docs are written: the schema file itself with --write, the --output file,
+ * or a draft next to the schema file
+ */
+function targetFile(dataSource, sourceCount) {
+    if (write) return dataSource.schemaFile;
+    if (outputPath) {
+        // Several sources cannot share one output file
+        return sourceCount > 1 ? outputPath.replace(/(\.ya?ml)?$/, `.${dataSource.name}$1`) : outputPath;
+    }
+    const { dir, name } = path.parse(dataSource.schemaFile);
+    return path.join(dir, `${name}.draft.yaml`);
+}
+
+function printList(label, items) {
+    if (items.length === 0) return;
+    console.log(`   ${label} (${items.length}):`);
+    items.slice(0, 20).forEach(item => console.log(`     - ${item}`));
+    if (items.length > 20) console.log(`     ... and ${items.length - 20} more`);
+}
+
+async function main() {
+    const { getDataSources, getDataSource } = require('../src/utils/dataSources');
+    const schemaDocsService = require('../src/services/schemaDocsService');
+
+    const dataSources = sourceName ? [getDataSource(sourceName)] : [...getDataSources().values()];
+    let undescribedCount = 0;
+
+    for (const dataSource of dataSources) {
+        console.log(`\n🗄️  Introspecting data source '${dataSource.name}' (${dataSource.dialect.engine})...`);
+        const { docs, document, report } = await schemaDocsService.generateSchemaDocs(dataSource, { addTables, describe });
+
+        const file = targetFile(dataSource, dataSources.length);
+        fs.writeFileSync(file, schemaDocsService.stringifySchemaDocs(document));
+        console.log(`📝 ${docs.length} tables written to ${file}`);
+
+        printList('➕ Tables added', report.addedTables);
+        printList('➕ Columns added (marked restricted until reviewed)', report.newColumns);
+        printList('⚠️  Documented tables not in the database', report.missingTables);
+        printList('⚠️  Documented columns not in the database', report.missingColumns);
+        printList('ℹ️  Undocumented tables left out (use --add-tables)', report.undocumentedTables);
+        printList('🔗 Relationships no foreign key confirms (check or remove them)', report.unconfirmedRelationships);
+        printList('🤖 Descriptions drafted by the model (review them)', report.drafted);
+        printList('✏️  Still need a description', report.undescribed);
+        undescribedCount += report.undescribed.length;
+    }
+
+    if (undescribedCount > 0) {
+        console.log(`\n💡 Fill in the empty descriptions${describe ? '' : ' (or re-run with --describe for drafts)'} before running npm run index.`);
+    } else if (!write) {
+        console.log('\n💡 Review the draft, then copy it over the schema file (or re-run with --write) and run npm run index.');
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(`\n💥 Schema introspection failed: ${error.message}`);
+        process.exit(1);
+    });
@@ -5,8 +5,14 @@ const helmet = require('helmet');
 const compression = require('compression');
 const config = require('./config');
 const askRoutes = require('./routes/ask');
+const resultsRoutes = require('./routes/results');
+const sessionsRoutes = require('./routes/sessions');
+const cacheRoutes = require('./routes/cache');
+const feedbackRoutes = require('./routes/feedback');
+const adminRoutes = require('./routes/admin');
 const errorHandler = require('./middleware/errorHandler');
 const rateLimiter = require('./middleware/rateLimiter');
+const { authenticate, authorize } = require('./middleware/auth');
 const logger = require('./utils/logger');
 
 const app = express();
@@ -20,13 +26,17 @@ app.use(compression());
 // CORS configuration
 app.use(cors({
     origin: config.server.corsOrigins,
-    methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    methods: ['GET', 'POST', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-User-Id'],
     credentials: true
 }));
 
-// Rate limiting
+// Authentication (everything but /health), then rate limiting per caller
+app.use(['/ask', '/results', '/sessions', '/cache', '/feedback', '/admin'], authenticate);
 app.use('/ask', rateLimiter);
+app.use('/results', rateLimiter);
+app.use('/sessions', rateLimiter);
+app.use('/feedback', rateLimiter);
 
 // Body parsing middleware
 app.use(bodyParser.json({ limit: '10mb' }));
@@ -52,13 +62,18 @@ app.get('/health', (req, res) => {
 });
 
 // Routes
-app.use('/ask', askRoutes);
+app.use('/ask', authorize('ask'), askRoutes);
+app.use('/results', authorize('results'), resultsRoutes);
+app.use('/sessions', authorize('sessions'), sessionsRoutes);
+app.use('/cache', authorize('cache'), cacheRoutes);
+app.use('/feedback', authorize('feedback'), feedbackRoutes);
+app.use('/admin', authorize('admin'), adminRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
     res.status(404).json({
         error: 'Endpoint not found',
-        availableEndpoints: ['/health', '/ask']
+        availableEndpoints: ['/health', '/ask', '/ask/stream', '/ask/execute', '/results/:cursor', '/results/:resultId/export', '/sessions', '/sessions/:sessionId', '/sessions/:sessionId/fork', '/cache/stats', '/feedback', '/admin/audit', '/admin/audit/verify', '/admin/schema-drift']
     });
 });
 
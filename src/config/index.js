@@ -9,9 +9,15 @@ const config = {
         corsOrigins: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : ['*'],
     },
     database: {
+        // Engine: 'mssql' (default), 'postgres', 'mysql' or 'sqlite' (see src/services/dbAdapters)
+        client: process.env.DB_CLIENT || 'mssql',
         host: process.env.DB_HOST || 'localhost',
-        port: parseInt(process.env.DB_PORT) || 1433,
+        port: parseInt(process.env.DB_PORT) || null, // The engine's standard port if unset
         database: process.env.DB_NAME || 'your_database',
+        // Schema of the documented tables; defaults to dbo, public, the database (MySQL) or main (SQLite)
+        schema: process.env.DB_SCHEMA,
+        // Database file for sqlite; opened read-only
+        filename: process.env.DB_SQLITE_PATH || 'data/database.db',
         user: process.env.DB_USER || 'your_user',
         password: process.env.DB_PASSWORD || 'your_password',
         connectionTimeout: parseInt(process.env.DB_CONNECTION_TIMEOUT) || 15000,
@@ -22,6 +28,18 @@ const config = {
             idleTimeoutMillis: parseInt(process.env.DB_POOL_IDLE_TIMEOUT) || 30000,
         }
     },
+    dataSources: {
+        // Named databases questions can be asked about, each with its own connection (overriding
+        // `database` above field by field), schema docs file and Chroma collections. Without any,
+        // `database`, sqlValidation.schemaFile and the rag collections form one source, 'default'. E.g.
+        // [{"name": "hr", "description": "Employees and departments", "database": {"database": "HR"},
+        //   "schemaFile": "./schema_docs/hr.yaml", "collectionName": "hr_schemas"}]
+        sources: process.env.DATA_SOURCES ? JSON.parse(process.env.DATA_SOURCES) : [],
+        // Used by requests that name no source when routing is off; the first source if unset
+        defaultSource: process.env.DEFAULT_DATA_SOURCE,
+        // Send questions that name no source to the one whose schemas match them best
+        autoRoute: process.env.DATA_SOURCE_AUTO_ROUTE !== 'false',
+    },
     gemini: {
         apiKey: process.env.GEMINI_API_KEY,
         // UPDATED: Both models now default to gemini-2.5-flash
@@ -31,13 +49,78 @@ const config = {
         maxRetries: parseInt(process.env.GEMINI_MAX_RETRIES) || 3,
         retryDelay: parseInt(process.env.GEMINI_RETRY_DELAY) || 1000,
     },
+    sqlRepair: {
+        enabled: process.env.SQL_REPAIR_ENABLED !== 'false',
+        maxAttempts: parseInt(process.env.SQL_REPAIR_MAX_ATTEMPTS) || 2,
+    },
+    costGuard: {
+        // Checks the estimated plan (SET SHOWPLAN_XML) of each generated query before running it.
+        // SQL Server only; other engines skip the check.
+        enabled: process.env.COST_GUARD_ENABLED !== 'false',
+        // 'reject' (the model is asked for a cheaper query) or 'warn' (log only)
+        mode: process.env.COST_GUARD_MODE || 'reject',
+        maxSubtreeCost: parseFloat(process.env.COST_GUARD_MAX_SUBTREE_COST) || 50,
+        // Most rows any single plan operator (scan, join, ...) is estimated to produce
+        maxEstimatedRows: parseInt(process.env.COST_GUARD_MAX_ESTIMATED_ROWS) || 1000000,
+    },
+    clarification: {
+        enabled: process.env.CLARIFICATION_ENABLED !== 'false',
+        maxOptions: parseInt(process.env.CLARIFICATION_MAX_OPTIONS) || 10,
+    },
+    refinement: {
+        // Follow-ups that only filter/regroup/re-sort the last result edit its SQL
+        enabled: process.env.REFINEMENT_ENABLED !== 'false',
+    },
+    results: {
+        // How date/time values are written in responses and exports: 'text' (as stored,
+        // '2024-01-31 13:45:00'), 'iso' ('2024-01-31T13:45:00') or 'epoch' (milliseconds, read as UTC)
+        dateFormat: process.env.RESULT_DATE_FORMAT || 'text',
+    },
+    pagination: {
+        pageSize: parseInt(process.env.RESULT_PAGE_SIZE) || 100,
+        cursorTtlMinutes: parseInt(process.env.RESULT_CURSOR_TTL_MINUTES) || 30,
+    },
+    chart: {
+        enabled: process.env.CHART_ENABLED !== 'false',
+        // 'rules' (default) or 'model' to let Gemini pick the chart type
+        recommender: process.env.CHART_RECOMMENDER || 'rules',
+        maxCategories: parseInt(process.env.CHART_MAX_CATEGORIES) || 30,
+        maxPieSlices: parseInt(process.env.CHART_MAX_PIE_SLICES) || 6,
+    },
+    conversation: {
+        // Session store backend: 'memory' (default), 'sqlite' or 'redis'
+        store: process.env.SESSION_STORE || 'memory',
+        sqlitePath: process.env.SESSION_SQLITE_PATH || 'data/sessions.db',
+        redisUrl: process.env.SESSION_REDIS_URL || 'redis://localhost:6379',
+        sessionTtlHours: parseInt(process.env.SESSION_TTL_HOURS) || 168, // 7 days
+        maxHistoryLength: parseInt(process.env.SESSION_MAX_HISTORY) || 10, // exchanges sent to the model
+        maxStoredExchanges: parseInt(process.env.SESSION_MAX_STORED_EXCHANGES) || 100,
+    },
     rag: {
         chromaDbUrl: process.env.CHROMA_DB_URL || 'http://localhost:8000',
         topK: parseInt(process.env.RAG_TOP_K) || 3,
         collectionName: process.env.RAG_COLLECTION_NAME || 'sql_schemas',
         similarityThreshold: parseFloat(process.env.RAG_SIMILARITY_THRESHOLD) || 0.5,
+        // Verified question -> SQL pairs (from user feedback) used as few-shot examples
+        examplesCollectionName: process.env.RAG_EXAMPLES_COLLECTION_NAME || 'verified_examples',
+        exampleTopK: parseInt(process.env.RAG_EXAMPLE_TOP_K) || 3,
+        exampleMaxDistance: parseFloat(process.env.RAG_EXAMPLE_MAX_DISTANCE) || 0.25, // cosine distance
+        // Column value profiles, gathered when indexing and added to the retrieved schemas
+        profileValues: process.env.RAG_PROFILE_VALUES !== 'false',
+        profileMaxDistinctValues: parseInt(process.env.RAG_PROFILE_MAX_DISTINCT_VALUES) || 25, // more makes a column free text
+        profileMaxValueLength: parseInt(process.env.RAG_PROFILE_MAX_VALUE_LENGTH) || 60,
+    },
+    feedback: {
+        // How long an answer can still receive feedback
+        responseTtlHours: parseInt(process.env.FEEDBACK_RESPONSE_TTL_HOURS) || 24,
+        maxCommentLength: parseInt(process.env.FEEDBACK_MAX_COMMENT_LENGTH) || 1000,
     },
     cache: {
+        // Semantic answer cache: reuses the SQL (and optionally the result) of similar earlier questions
+        enabled: process.env.SEMANTIC_CACHE_ENABLED !== 'false',
+        similarityThreshold: parseFloat(process.env.SEMANTIC_CACHE_THRESHOLD) || 0.95, // cosine similarity
+        // 'live' re-executes the cached SQL, 'cached' returns the cached result as-is
+        defaultFreshness: process.env.CACHE_DEFAULT_FRESHNESS || 'live',
         ttl: parseInt(process.env.CACHE_TTL) || 300, // 5 minutes
         maxKeys: parseInt(process.env.CACHE_MAX_KEYS) || 1000,
         checkPeriod: parseInt(process.env.CACHE_CHECK_PERIOD) || 600, // 10 minutes
@@ -51,6 +134,68 @@ const config = {
         maxQueryLength: parseInt(process.env.MAX_QUERY_LENGTH) || 500,
         maxResultRows: parseInt(process.env.MAX_RESULT_ROWS) || 1000,
         queryTimeoutMs: parseInt(process.env.QUERY_TIMEOUT_MS) || 30000,
+        // Total time an /ask request may take; model calls and queries still running are cancelled
+        askDeadlineMs: parseInt(process.env.ASK_DEADLINE_MS) || 120000,
+        maxSqlLength: parseInt(process.env.MAX_SQL_LENGTH) || 10000,
+        // Secret for signing preview query tokens. If unset, a random one is generated per process.
+        queryTokenSecret: process.env.QUERY_TOKEN_SECRET,
+        queryTokenTtlMinutes: parseInt(process.env.QUERY_TOKEN_TTL_MINUTES) || 60,
+    },
+    auth: {
+        // When disabled, callers are identified by the X-User-Id header and get `anonymousRoles`.
+        // On unless AUTH_ENABLED=false; the server will not start without credentials (see middleware/auth).
+        enabled: process.env.AUTH_ENABLED !== 'false',
+        anonymousRoles: (process.env.AUTH_ANONYMOUS_ROLES || 'viewer').split(',').map(role => role.trim()),
+        // API keys, stored as SHA-256 hashes (see scripts/createApiKey.js):
+        // [{"id": "bi-dashboard", "keyHash": "<sha256 hex>", "roles": ["analyst"], "attributes": {"clients": [3]}}]
+        apiKeys: process.env.AUTH_API_KEYS ? JSON.parse(process.env.AUTH_API_KEYS) : [],
+        jwt: {
+            // HS256 with a shared secret and/or RS256 with a local public key (PEM file)
+            secret: process.env.AUTH_JWT_SECRET,
+            publicKeyFile: process.env.AUTH_JWT_PUBLIC_KEY_FILE,
+            issuer: process.env.AUTH_JWT_ISSUER,
+            audience: process.env.AUTH_JWT_AUDIENCE,
+            rolesClaim: process.env.AUTH_JWT_ROLES_CLAIM || 'roles',
+        },
+        // What each role may use: endpoint groups (ask, results, sessions, feedback, cache, admin) and
+        // tables from the schema docs ('*' for all; a table is allowed on every source documenting it). E.g. {"hr": {"endpoints": ["ask"], "tables": ["mas_employees"]}}
+        roles: process.env.AUTH_ROLES ? JSON.parse(process.env.AUTH_ROLES) : {
+            viewer: { endpoints: ['ask', 'results', 'sessions', 'feedback'], tables: ['*'] },
+            analyst: { endpoints: ['ask', 'results', 'sessions', 'feedback', 'cache'], tables: ['*'] },
+            admin: { endpoints: ['*'], tables: ['*'] },
+        },
+    },
+    privacy: {
+        // Policy for identities none of whose roles has one in `policies`
+        defaultRole: process.env.PRIVACY_DEFAULT_ROLE || 'viewer',
+        // What each role sees of columns marked `sensitivity: pii|restricted` in schema_docs.yaml:
+        // 'allow', 'mask', 'hash' or 'block'. Row data sent to a model is always redacted.
+        policies: process.env.PRIVACY_POLICIES ? JSON.parse(process.env.PRIVACY_POLICIES) : {
+            viewer: { pii: 'mask', restricted: 'block' },
+            analyst: { pii: 'mask', restricted: 'hash' },
+            admin: { pii: 'allow', restricted: 'mask' },
+        },
+        // Key for hashed values. If unset, a random one is generated per process.
+        hashSecret: process.env.PRIVACY_HASH_SECRET,
+    },
+    rowSecurity: {
+        // Row filters per role and table, enforced by rewriting each query before it runs
+        // (see rowSecurityService). `:user.<attribute>` is bound to a JWT claim or an API key
+        // entry's `attributes`, `:user.id` to the user id. E.g.
+        // {"site_manager": {"Accsites": "ACCMAIN_Fid IN (:user.clients)"}}
+        policies: process.env.ROW_SECURITY_POLICIES ? JSON.parse(process.env.ROW_SECURITY_POLICIES) : {},
+    },
+    audit: {
+        // Append-only, hash-chained record of every question, its SQL and the data it accessed
+        // (GET /admin/audit)
+        enabled: process.env.AUDIT_ENABLED !== 'false',
+        sqlitePath: process.env.AUDIT_SQLITE_PATH || 'data/audit.db',
+        maxPageSize: parseInt(process.env.AUDIT_MAX_PAGE_SIZE) || 500,
+    },
+    sqlValidation: {
+        // Tables and columns queries may reference
+        schemaFile: process.env.SQL_ALLOWLIST_SCHEMA_FILE || './schema_docs.yaml',
+        checkColumns: process.env.SQL_ALLOWLIST_CHECK_COLUMNS !== 'false',
     }
 };
 
@@ -0,0 +1,149 @@
+// src/middleware/auth.js
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const accessService = require('../services/accessService');
+const { runWithContext } = require('../utils/requestContext');
+const logger = require('../utils/logger');
+
+const USER_ID_PATTERN = /^[\w.@-]{1,128}$/;
+
+const jwtPublicKey = config.auth.jwt.publicKeyFile ? fs.readFileSync(config.auth.jwt.publicKeyFile, 'utf8') : null;
+
+// Verification key per accepted algorithm; a token can only use an algorithm configured here
+const jwtKeys = {};
+if (config.auth.jwt.secret) jwtKeys.HS256 = config.auth.jwt.secret;
+if (jwtPublicKey) jwtKeys.RS256 = jwtPublicKey;
+
+const apiKeyHashes = config.auth.apiKeys.map(entry => ({
+    ...entry,
+    hash: Buffer.from(String(entry.keyHash || ''), 'hex')
+}));
+
+// Scripts load the config without serving requests, so this is checked here, when the server starts.
+// Running without authentication must be asked for explicitly.
+if (config.auth.enabled && apiKeyHashes.length === 0 && Object.keys(jwtKeys).length === 0) {
+    throw new Error('Authentication is enabled but no credentials are configured: set AUTH_API_KEYS (see npm run auth:create-key), '
+        + 'AUTH_JWT_SECRET or AUTH_JWT_PUBLIC_KEY_FILE, or AUTH_ENABLED=false to run without authentication');
+}
+
+if (!config.auth.enabled) {
+    logger.warn('Authentication is disabled; callers are identified by the X-User-Id header', { roles: config.auth.anonymousRoles });
+}
+
+function unauthorized(res, message, code) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: message, code });
+}
+
+/**
+ * Finds the API key entry matching a presented key by comparing SHA-256 hashes in constant time
+ */
+function findApiKey(key) {
+    const hash = crypto.createHash('sha256').update(key).digest();
+    return apiKeyHashes.find(entry => entry.hash.length === hash.length && crypto.timingSafeEqual(entry.hash, hash));
+}
+
+/**
+ * Verifies a JWT with the key of its (configured) algorithm
+ * @returns {Object} The payload.
+ */
+function verifyJwt(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    const algorithm = decoded && decoded.header && decoded.header.alg;
+    if (!jwtKeys[algorithm]) {
+        throw new Error(`Unsupported token algorithm '${algorithm}'`);
+    }
+
+    return jwt.verify(token, jwtKeys[algorithm], {
+        algorithms: [algorithm],
+        issuer: config.auth.jwt.issuer,
+        audience: config.auth.jwt.audience
+    });
+}
+
+function rolesOf(claim) {
+    if (Array.isArray(claim)) return claim.map(String);
+    return typeof claim === 'string' ? claim.split(/[\s,]+/).filter(Boolean) : [];
+}
+
+/**
+ * Identifies the caller and sets `req.identity` ({id, type, roles, attributes}), `req.userId` (owner of
+ * sessions and feedback) and `req.userRoles`. Credentials are an API key (`X-API-Key`
+ * header or `Authorization: ApiKey <key>`) or a JWT (`Authorization: Bearer <token>`)
+ * whose `sub` is the user id and whose roles claim (config.auth.jwt.rolesClaim) lists the roles.
+ * `attributes` (the token's claims, or the API key entry's `attributes`) feed row security.
+ * With authentication disabled, the id is read from the `X-User-Id` header (default
+ * 'anonymous') and the roles are config.auth.anonymousRoles.
+ * Everything logged while handling the request carries the user id.
+ */
+const authenticate = (req, res, next) => {
+    let identity;
+
+    if (!config.auth.enabled) {
+        const userId = req.get('X-User-Id');
+        if (userId !== undefined && !USER_ID_PATTERN.test(userId)) {
+            return res.status(400).json({
+                error: "X-User-Id may only contain letters, digits and . _ @ - (max 128 characters).",
+                code: "INVALID_USER_ID"
+            });
+        }
+        identity = { id: userId || 'anonymous', type: 'anonymous', roles: config.auth.anonymousRoles, attributes: {} };
+    } else {
+        const [scheme, credentials] = (req.get('Authorization') || '').split(/\s+/, 2);
+        const apiKey = req.get('X-API-Key') || (/^ApiKey$/i.test(scheme) ? credentials : null);
+
+        if (apiKey) {
+            const entry = findApiKey(apiKey);
+            if (!entry) {
+                logger.warn('Rejected invalid API key', { ip: req.ip, path: req.path });
+                return unauthorized(res, 'Invalid API key.', 'INVALID_CREDENTIALS');
+            }
+            identity = { id: String(entry.id), type: 'api_key', roles: rolesOf(entry.roles), attributes: entry.attributes || {} };
+        } else if (/^Bearer$/i.test(scheme) && credentials) {
+            try {
+                const payload = verifyJwt(credentials);
+                if (!payload.sub) {
+                    throw new Error('Token has no subject');
+                }
+                identity = {
+                    id: String(payload.sub),
+                    type: 'jwt',
+                    roles: rolesOf(payload[config.auth.jwt.rolesClaim]),
+                    attributes: payload
+                };
+            } catch (error) {
+                logger.warn('Rejected invalid token', { ip: req.ip, path: req.path, error: error.message });
+                return unauthorized(res, 'Invalid or expired token.', 'INVALID_CREDENTIALS');
+            }
+        } else {
+            return unauthorized(res, 'Authentication required: send an API key or a bearer token.', 'AUTH_REQUIRED');
+        }
+    }
+
+    req.identity = identity;
+    req.userId = identity.id;
+    req.userRoles = identity.roles;
+    runWithContext({ userId: identity.id, authType: identity.type }, next);
+};
+
+/**
+ * Only lets through callers with a role that may use the endpoint group (config.auth.roles)
+ * @param {string} endpoint - e.g. 'ask', 'results', 'sessions'.
+ */
+const authorize = (endpoint) => (req, res, next) => {
+    if (!accessService.canUseEndpoint(req.userRoles, endpoint)) {
+        logger.warn(`Access to '${endpoint}' denied`, { roles: req.userRoles, path: req.originalUrl });
+        return res.status(403).json({
+            error: "Your role does not allow access to this endpoint.",
+            code: "FORBIDDEN"
+        });
+    }
+    next();
+};
+
+module.exports = {
+    authenticate,
+    authorize
+};
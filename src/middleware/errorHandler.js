@@ -10,6 +10,11 @@ function errorHandler(err, req, res, next) {
     res.status(statusCode).json({
         error: {
             message: message,
+            code: err.code,
+            // Rules a rejected query broke (see sqlValidationService.validateSql)
+            violations: err.violations,
+            // SQL repairs tried before giving up (see askService.executeWithRepair)
+            repairAttempts: err.repairAttempts,
             // Optionally include stack trace in development
             stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
         },
@@ -2,24 +2,30 @@ const rateLimit = require('express-rate-limit');
 const config = require('../config');
 const logger = require('../utils/logger');
 
+// Authenticated callers are limited per identity, anonymous ones per IP
+const keyOf = (req) => (req.identity && req.identity.type !== 'anonymous'
+    ? `${req.identity.type}:${req.identity.id}`
+    : req.ip);
+
 const limiter = rateLimit({
     windowMs: config.rateLimiting.windowMs,
     max: config.rateLimiting.maxRequests,
     skipSuccessfulRequests: config.rateLimiting.skipSuccessfulRequests,
+    keyGenerator: keyOf,
     message: {
-        error: 'Too many requests from this IP, please try again later.',
+        error: 'Too many requests, please try again later.',
         retryAfter: Math.ceil(config.rateLimiting.windowMs / 1000 / 60) + ' minutes'
     },
     standardHeaders: true,
     legacyHeaders: false,
     handler: (req, res) => {
-        logger.warn(`Rate limit exceeded for IP: ${req.ip}`, {
+        logger.warn(`Rate limit exceeded for ${keyOf(req)}`, {
             ip: req.ip,
             userAgent: req.get('User-Agent'),
             path: req.path
         });
         res.status(429).json({
-            error: 'Too many requests from this IP, please try again later.',
+            error: 'Too many requests, please try again later.',
             retryAfter: Math.ceil(config.rateLimiting.windowMs / 1000 / 60) + ' minutes'
         });
     }
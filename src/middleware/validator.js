@@ -1,5 +1,16 @@
 const config = require('../config');
 const logger = require('../utils/logger');
+const { getDataSource } = require('../utils/dataSources');
+
+// `execute` runs the whole pipeline; `preview` stops after SQL generation
+const ASK_MODES = ['execute', 'preview'];
+
+// How a semantic cache hit is served: re-execute the cached SQL or return the cached result
+const FRESHNESS_OPTIONS = ['live', 'cached'];
+
+// Optional page size for paginated results
+const isValidPageSize = (pageSize) => pageSize === undefined ||
+    (Number.isInteger(pageSize) && pageSize >= 1 && pageSize <= config.security.maxResultRows);
 
 const validateQuestion = (req, res, next) => {
     const { question } = req.body;
@@ -63,9 +74,210 @@ const validateQuestion = (req, res, next) => {
         });
     }
 
+    // Check the optional pipeline mode
+    const { mode } = req.body;
+    if (mode !== undefined && !ASK_MODES.includes(mode)) {
+        return res.status(400).json({ 
+            error: `Invalid mode. Allowed values: ${ASK_MODES.join(', ')}.`,
+            code: "INVALID_MODE"
+        });
+    }
+
+    if (!isValidPageSize(req.body.pageSize)) {
+        return res.status(400).json({ 
+            error: `pageSize must be an integer between 1 and ${config.security.maxResultRows}.`,
+            code: "INVALID_PAGE_SIZE"
+        });
+    }
+
+    const { freshness } = req.body;
+    if (freshness !== undefined && !FRESHNESS_OPTIONS.includes(freshness)) {
+        return res.status(400).json({ 
+            error: `Invalid freshness. Allowed values: ${FRESHNESS_OPTIONS.join(', ')}.`,
+            code: "INVALID_FRESHNESS"
+        });
+    }
+
+    // Optional data source; without one the question is routed to a source automatically
+    const { dataSource } = req.body;
+    if (dataSource !== undefined) {
+        if (typeof dataSource !== 'string') {
+            return res.status(400).json({ 
+                error: "dataSource must be a string.",
+                code: "INVALID_DATA_SOURCE"
+            });
+        }
+        try {
+            getDataSource(dataSource);
+        } catch (error) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+    }
+
     // Sanitize the question
     req.body.question = question.trim();
     next();
 };
 
-module.exports = { validateQuestion };
\ No newline at end of file
+const validateExecuteRequest = (req, res, next) => {
+    const { queryToken, sql } = req.body;
+
+    if (!queryToken || typeof queryToken !== 'string') {
+        return res.status(400).json({ 
+            error: "A queryToken from a preview response is required.",
+            code: "MISSING_QUERY_TOKEN"
+        });
+    }
+
+    // Edited SQL is optional, but must be a non-empty string when given
+    if (sql !== undefined) {
+        if (typeof sql !== 'string' || sql.trim().length === 0) {
+            return res.status(400).json({ 
+                error: "Edited SQL must be a non-empty string.",
+                code: "INVALID_SQL"
+            });
+        }
+
+        if (sql.length > config.security.maxSqlLength) {
+            return res.status(400).json({ 
+                error: `SQL is too long. Maximum ${config.security.maxSqlLength} characters allowed.`,
+                code: "SQL_TOO_LONG"
+            });
+        }
+
+        req.body.sql = sql.trim();
+    }
+
+    if (!isValidPageSize(req.body.pageSize)) {
+        return res.status(400).json({ 
+            error: `pageSize must be an integer between 1 and ${config.security.maxResultRows}.`,
+            code: "INVALID_PAGE_SIZE"
+        });
+    }
+
+    next();
+};
+
+const validateForkRequest = (req, res, next) => {
+    const { exchanges } = req.body;
+
+    // Optional number of exchanges to copy into the fork
+    if (exchanges !== undefined && !(Number.isInteger(exchanges) && exchanges >= 0)) {
+        return res.status(400).json({ 
+            error: "exchanges must be a non-negative integer.",
+            code: "INVALID_EXCHANGES"
+        });
+    }
+
+    next();
+};
+
+// Thumbs up or down on an answer
+const FEEDBACK_RATINGS = ['up', 'down'];
+
+const validateFeedback = (req, res, next) => {
+    const { responseId, rating, correctedSql, comment } = req.body;
+
+    if (!responseId || typeof responseId !== 'string') {
+        return res.status(400).json({ 
+            error: "The responseId of an answer is required.",
+            code: "MISSING_RESPONSE_ID"
+        });
+    }
+
+    if (!FEEDBACK_RATINGS.includes(rating)) {
+        return res.status(400).json({ 
+            error: `Invalid rating. Allowed values: ${FEEDBACK_RATINGS.join(', ')}.`,
+            code: "INVALID_RATING"
+        });
+    }
+
+    if (correctedSql !== undefined) {
+        if (typeof correctedSql !== 'string' || correctedSql.trim().length === 0) {
+            return res.status(400).json({ 
+                error: "Corrected SQL must be a non-empty string.",
+                code: "INVALID_SQL"
+            });
+        }
+
+        if (correctedSql.length > config.security.maxSqlLength) {
+            return res.status(400).json({ 
+                error: `SQL is too long. Maximum ${config.security.maxSqlLength} characters allowed.`,
+                code: "SQL_TOO_LONG"
+            });
+        }
+
+        req.body.correctedSql = correctedSql.trim();
+    }
+
+    if (comment !== undefined && (typeof comment !== 'string' || comment.length > config.feedback.maxCommentLength)) {
+        return res.status(400).json({ 
+            error: `Comment must be a string of at most ${config.feedback.maxCommentLength} characters.`,
+            code: "INVALID_COMMENT"
+        });
+    }
+
+    next();
+};
+
+const AUDIT_OUTCOMES = ['success', 'preview', 'clarification', 'error', 'denied', 'cancelled'];
+
+// Query string of GET /admin/audit; the parsed filters are left in req.auditFilters
+const validateAuditQuery = (req, res, next) => {
+    const { user, dataSource, table, column, from, to, outcome, before, limit } = req.query;
+    const filters = { userId: user, dataSource, table, column, outcome };
+
+    for (const [name, value] of Object.entries({ from, to })) {
+        if (value === undefined) continue;
+        const time = Date.parse(value);
+        if (typeof value !== 'string' || Number.isNaN(time)) {
+            return res.status(400).json({ 
+                error: `${name} must be an ISO 8601 date or date-time.`,
+                code: "INVALID_TIME_RANGE"
+            });
+        }
+        // A date alone covers that whole day, so ?from=2024-05-01&to=2024-05-31 is all of May
+        const wholeDay = name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+        filters[name] = wholeDay ? time + 24 * 60 * 60 * 1000 - 1 : time;
+    }
+
+    if (filters.from !== undefined && filters.to !== undefined && filters.from > filters.to) {
+        return res.status(400).json({ 
+            error: "from must not be later than to.",
+            code: "INVALID_TIME_RANGE"
+        });
+    }
+
+    if (outcome !== undefined && !AUDIT_OUTCOMES.includes(outcome)) {
+        return res.status(400).json({ 
+            error: `Invalid outcome. Allowed values: ${AUDIT_OUTCOMES.join(', ')}.`,
+            code: "INVALID_OUTCOME"
+        });
+    }
+
+    for (const [name, value] of Object.entries({ before, limit })) {
+        if (value === undefined) continue;
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1) {
+            return res.status(400).json({ 
+                error: `${name} must be a positive integer.`,
+                code: "INVALID_PAGINATION"
+            });
+        }
+        filters[name] = number;
+    }
+
+    for (const name of ['user', 'dataSource', 'table', 'column']) {
+        if (req.query[name] !== undefined && typeof req.query[name] !== 'string') {
+            return res.status(400).json({ 
+                error: `${name} must be given once.`,
+                code: "INVALID_FILTER"
+            });
+        }
+    }
+
+    req.auditFilters = filters;
+    next();
+};
+
+module.exports = { validateQuestion, validateExecuteRequest, validateForkRequest, validateFeedback, validateAuditQuery };
\ No newline at end of file
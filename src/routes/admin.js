@@ -0,0 +1,55 @@
+// src/routes/admin.js
+const express = require('express');
+const auditService = require('../services/auditService');
+const schemaDriftService = require('../services/schemaDriftService');
+const { validateAuditQuery } = require('../middleware/validator');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Searches the audit trail, newest first. Filters (all optional): `user`, `table`,
+ * `column` ('PANNo' or 'mas_employees.PANNo'), `dataSource`, `from`/`to` (ISO dates), `outcome`;
+ * page with `limit` and `before` (the `nextBefore` of the previous page).
+ */
+router.get('/audit', validateAuditQuery, (req, res, next) => {
+    try {
+        res.json(auditService.search(req.auditFilters));
+    } catch (error) {
+        logger.error('Error in /admin/audit route', {
+            error: error.message,
+        });
+        next(error);
+    }
+});
+
+/**
+ * Checks the audit trail's hash chain for entries altered or removed outside the service
+ */
+router.get('/audit/verify', (req, res, next) => {
+    try {
+        res.json(auditService.verifyChain());
+    } catch (error) {
+        logger.error('Error in /admin/audit/verify route', {
+            error: error.message,
+        });
+        next(error);
+    }
+});
+
+/**
+ * Compares the schema docs with the database catalog and the schema index, for one data
+ * source (`dataSource`) or all of them. See schemaDriftService.checkDrift for the report.
+ */
+router.get('/schema-drift', async (req, res, next) => {
+    try {
+        res.json(await schemaDriftService.checkDrift(req.query.dataSource));
+    } catch (error) {
+        logger.error('Error in /admin/schema-drift route', {
+            error: error.message,
+        });
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,83 +1,393 @@
 // src/routes/ask.js
 const express = require('express');
-const NodeCache = require('node-cache');
-const { v4: uuidv4 } = require('uuid'); // Import uuid for session IDs
 const config = require('../config');
+const askService = require('../services/askService');
 const dbService = require('../services/dbService');
-const geminiService = require('../services/geminiService');
-const ragService = require('../services/ragService');
-const { validateQuestion } = require('../middleware/validator');
+const sessionService = require('../services/sessionService');
+const feedbackService = require('../services/feedbackService');
+const auditService = require('../services/auditService');
+const { validateQuestion, validateExecuteRequest } = require('../middleware/validator');
+const { signQueryToken, verifyQueryToken } = require('../utils/queryToken');
+const { getDataSource } = require('../utils/dataSources');
+const { createCancellation } = require('../utils/cancellation');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// This cache will now be used to store session histories
-const sessionCache = new NodeCache({ 
-    stdTTL: (config.conversation?.sessionTimeoutMinutes || 30) * 60, // Use TTL for session expiration
-    checkperiod: 120 
-});
+/**
+ * Records a clarifying question in the session history, so the user's choice is
+ * understood in the next turn, and returns the response body for it
+ */
+async function respondWithClarification(session, question, clarification) {
+    await sessionService.recordExchange(session, question, askService.describeClarification(clarification), { clarification });
+    return {
+        answer: clarification.question,
+        clarification,
+        sessionId: session.id
+    };
+}
+
+/**
+ * Logs a failed request. A cancelled one (client gone or deadline passed) is logged with
+ * the stage it was in rather than as an error.
+ */
+function logFailure(message, error, details) {
+    if (error.isCancellation) {
+        logger.warn(`${message}: cancelled during ${error.stage}`, { reason: error.code, ...details });
+    } else {
+        logger.error(message, { error: error.message, ...details });
+    }
+}
+
+/**
+ * Registers an answer for feedback and returns what is kept on the bot entry of the
+ * history for it, including the `responseId` sent to the client
+ */
+function recordAnswer(req, session, question, standaloneQuestion, result) {
+    const responseId = feedbackService.registerResponse({
+        userId: req.userId,
+        sessionId: session.id,
+        question,
+        standaloneQuestion,
+        sql: result.sqlQuery,
+        dataSource: result.dataSource
+    });
+    return { responseId, sql: result.sqlQuery, dataSource: result.dataSource, rowCount: result.pagination.totalRows, standaloneQuestion };
+}
+
+/**
+ * The audit trail fields of a pipeline stage's result: a prepared query, a clarification
+ * or an answer (see auditService.record)
+ */
+function auditDetails(result) {
+    return {
+        standaloneQuestion: result.standaloneQuestion,
+        dataSource: result.dataSource,
+        retrievedTables: result.tables,
+        sql: result.sqlQuery,
+        rows: result.queryResults,
+        rowCount: result.pagination && result.pagination.totalRows
+    };
+}
+
+/**
+ * Audits the lookup query run to list the options of a clarification (see
+ * askService.runPipeline) as its own entry, under `<endpoint>/lookup`
+ */
+function auditLookup(req, endpoint, sessionId, question) {
+    return lookup => auditService.record(req, { endpoint: `${endpoint}/lookup`, sessionId, question, ...lookup });
+}
 
 router.post('/', validateQuestion, async (req, res, next) => {
-    // Now expecting `question` and an optional `sessionId`
-    let { question, sessionId } = req.body;
+    // Now expecting `question`, an optional `sessionId`, `mode`, `pageSize`, `freshness` and `dataSource`
+    let { question, sessionId, mode, pageSize, freshness, dataSource } = req.body;
     const startTime = Date.now();
+    const cancellation = createCancellation(res, config.security.askDeadlineMs);
+    const { signal } = cancellation;
 
     try {
         // 1. MANAGE SESSION & RETRIEVE CHAT HISTORY
-        if (!sessionId) {
-            sessionId = uuidv4();
-            logger.info(`New session started: ${sessionId}`);
-        }
-        const historyKey = `history_${sessionId}`;
-        const chatHistory = sessionCache.get(historyKey) || [];
-
-        // 2. CREATE STANDALONE QUESTION (THE "MEMORY" STEP)
-        const standaloneQuestion = await geminiService.createStandaloneQuestion(question, chatHistory);
-        logger.info(`Rewritten question for RAG: "${standaloneQuestion}"`, { sessionId });
-
-        // 3. USE STANDALONE QUESTION IN RAG & SQL PIPELINE
-        const schemaContext = await ragService.retrieveRelevantSchemas(standaloneQuestion);
-        
-        if (!schemaContext || !schemaContext.trim()) {
-            throw new Error("No relevant database schemas found for this question.");
+        const session = await sessionService.loadSession(sessionId, req.userId);
+        sessionId = session.id;
+        const chatHistory = sessionService.getChatHistory(session);
+        const lastQuery = sessionService.getLastQuery(session);
+
+        // PREVIEW: stop after SQL generation and hand back a signed token for /ask/execute
+        if (mode === 'preview') {
+            const prepared = await askService.prepareSql(question, chatHistory, {
+                sessionId,
+                lastQuery,
+                dataSource,
+                roles: req.userRoles,
+                identity: req.identity,
+                signal,
+                onLookup: auditLookup(req, 'ask/preview', sessionId, question)
+            });
+            auditService.record(req, {
+                endpoint: 'ask/preview',
+                startTime,
+                sessionId,
+                question,
+                ...auditDetails(prepared),
+                outcome: prepared.clarification ? 'clarification' : 'preview'
+            });
+            if (prepared.clarification) {
+                return res.json({
+                    ...(await respondWithClarification(session, question, prepared.clarification)),
+                    responseTimeMs: Date.now() - startTime
+                });
+            }
+
+            const queryToken = signQueryToken({
+                sessionId,
+                question,
+                standaloneQuestion: prepared.standaloneQuestion,
+                sql: prepared.sqlQuery,
+                tables: prepared.tables,
+                dataSource: prepared.dataSource
+            });
+
+            return res.json({
+                mode: 'preview',
+                generatedSql: prepared.sqlQuery,
+                refinement: prepared.refinement,
+                tables: prepared.tables,
+                dataSource: prepared.dataSource,
+                standaloneQuestion: prepared.standaloneQuestion,
+                queryToken,
+                sessionId: sessionId,
+                responseTimeMs: Date.now() - startTime
+            });
         }
 
-        const sqlQuery = await geminiService.generateSql(standaloneQuestion, schemaContext);
-        const queryResults = await dbService.executeQuery(sqlQuery);
-        
-        // Use the standalone question for analysis to give the AI better context
-        const finalAnswer = await geminiService.generateAnalysis(standaloneQuestion, queryResults);
-
-        // 4. UPDATE AND SAVE HISTORY
-        // Add the original user question and the bot's final answer to the history
-        chatHistory.push({ role: 'user', content: question });
-        chatHistory.push({ role: 'bot', content: finalAnswer });
-        
-        // Trim history if it exceeds the max length
-        if (chatHistory.length > (config.conversation?.maxHistoryLength || 10) * 2) {
-            chatHistory.splice(0, 2); // Remove the oldest user/bot pair
+        // 2. RUN THE REWRITE -> RAG -> SQL -> ANALYSIS PIPELINE
+        const result = await askService.runPipeline(question, chatHistory, {
+            sessionId,
+            pageSize,
+            lastQuery,
+            freshness,
+            dataSource,
+            roles: req.userRoles,
+            identity: req.identity,
+            signal,
+            onLookup: auditLookup(req, 'ask', sessionId, question)
+        });
+        auditService.record(req, {
+            endpoint: 'ask',
+            startTime,
+            sessionId,
+            question,
+            ...auditDetails(result),
+            outcome: result.clarification ? 'clarification' : 'success'
+        });
+        if (result.clarification) {
+            return res.json({
+                ...(await respondWithClarification(session, question, result.clarification)),
+                responseTimeMs: Date.now() - startTime
+            });
         }
 
-        sessionCache.set(historyKey, chatHistory);
-        logger.debug(`History for session ${sessionId} updated.`);
+        // 3. UPDATE AND SAVE HISTORY
+        const details = recordAnswer(req, session, question, result.standaloneQuestion, result);
+        await sessionService.recordExchange(session, question, result.answer, details);
 
-        // 5. SEND RESPONSE
+        // 4. SEND RESPONSE
         res.json({
-            answer: finalAnswer,
-            generatedSql: sqlQuery,
-            rawData: queryResults,
+            responseId: details.responseId,
+            answer: result.answer,
+            generatedSql: result.sqlQuery,
+            refinement: result.refinement,
+            dataSource: result.dataSource,
+            rawData: result.queryResults,
+            columns: result.columns,
+            pagination: result.pagination,
+            chart: result.chart,
+            repairAttempts: result.repairAttempts,
+            cache: result.cache,
             sessionId: sessionId, // Always return the sessionId
             responseTimeMs: Date.now() - startTime
         });
 
     } catch (error) {
-        logger.error(`Error in /ask route for session ${sessionId}`, {
-            error: error.message,
-            question,
-        });
+        logFailure(`Error in /ask route for session ${sessionId}`, error, { question });
+        auditService.record(req, { endpoint: mode === 'preview' ? 'ask/preview' : 'ask', startTime, sessionId, dataSource, question, error });
+        // Nobody is left to receive an error response
+        if (error.code === 'CLIENT_DISCONNECTED') return;
         error.sessionId = sessionId; // Pass sessionId for better error logging
         next(error);
+    } finally {
+        cancellation.dispose();
+    }
+});
+
+/**
+ * Executes a query approved from a preview. Accepts the preview's `queryToken` and,
+ * optionally, SQL edited by the user, which must pass the same safety rules as
+ * generated SQL. Approved SQL is run as-is (no automatic repair).
+ */
+router.post('/execute', validateExecuteRequest, async (req, res, next) => {
+    const { queryToken, sql: editedSql, pageSize } = req.body;
+    const startTime = Date.now();
+    const cancellation = createCancellation(res, config.security.askDeadlineMs);
+    let sessionId;
+    let preview;
+
+    try {
+        preview = verifyQueryToken(queryToken);
+        sessionId = preview.sessionId;
+
+        const sqlQuery = editedSql || preview.sql;
+        const edited = sqlQuery !== preview.sql;
+
+        if (edited) {
+            try {
+                dbService.validateQuery(sqlQuery, getDataSource(preview.dataSource));
+            } catch (validationError) {
+                validationError.statusCode = 400;
+                throw validationError;
+            }
+            logger.info(`Executing user-edited SQL for session ${sessionId}`, {
+                originalSql: preview.sql,
+                editedSql: sqlQuery
+            });
+        }
+
+        const session = await sessionService.loadSession(sessionId, req.userId);
+        const result = await askService.executeAndAnalyse(preview.standaloneQuestion, sqlQuery, {
+            sessionId,
+            pageSize,
+            dataSource: preview.dataSource,
+            roles: req.userRoles,
+            identity: req.identity,
+            signal: cancellation.signal
+        });
+
+        auditService.record(req, {
+            endpoint: 'ask/execute',
+            startTime,
+            sessionId,
+            question: preview.question,
+            ...auditDetails({ ...result, standaloneQuestion: preview.standaloneQuestion, tables: preview.tables })
+        });
+
+        const details = recordAnswer(req, session, preview.question, preview.standaloneQuestion, result);
+        await sessionService.recordExchange(session, preview.question, result.answer, {
+            ...details,
+            editedSql: edited
+        });
+
+        res.json({
+            responseId: details.responseId,
+            answer: result.answer,
+            generatedSql: preview.sql,
+            executedSql: result.sqlQuery,
+            edited,
+            dataSource: result.dataSource,
+            rawData: result.queryResults,
+            columns: result.columns,
+            pagination: result.pagination,
+            chart: result.chart,
+            sessionId: sessionId,
+            responseTimeMs: Date.now() - startTime
+        });
+
+    } catch (error) {
+        logFailure(`Error in /ask/execute route for session ${sessionId}`, error);
+        auditService.record(req, {
+            endpoint: 'ask/execute',
+            startTime,
+            sessionId,
+            dataSource: preview && preview.dataSource,
+            question: preview && preview.question,
+            standaloneQuestion: preview && preview.standaloneQuestion,
+            retrievedTables: preview && preview.tables,
+            sql: error.sqlQuery || editedSql || (preview && preview.sql),
+            error
+        });
+        if (error.code === 'CLIENT_DISCONNECTED') return;
+        error.sessionId = sessionId;
+        next(error);
+    } finally {
+        cancellation.dispose();
     }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * Writes a single Server-Sent Event and flushes it past the compression middleware
+ */
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (typeof res.flush === 'function') {
+        res.flush();
+    }
+}
+
+/**
+ * Streaming variant of POST /ask. Emits one event per finished pipeline stage
+ * (standalone_question, tables, sql, data), then the analysis as analysis_token
+ * events, and finally a `done` event. Failures are sent as an `error` event since
+ * the response headers have already been sent. Closing the stream cancels the pipeline.
+ * POST only: EventSource cannot send credentials, so clients read the stream with fetch().
+ */
+async function handleStream(req, res) {
+    let { question, sessionId, pageSize, freshness, dataSource } = req.body;
+    const startTime = Date.now();
+    const cancellation = createCancellation(res, config.security.askDeadlineMs);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    try {
+        const session = await sessionService.loadSession(sessionId, req.userId);
+        sessionId = session.id;
+        sendEvent(res, 'session', { sessionId });
+
+        const result = await askService.runPipeline(question, sessionService.getChatHistory(session), {
+            sessionId,
+            lastQuery: sessionService.getLastQuery(session),
+            freshness,
+            pageSize,
+            dataSource,
+            roles: req.userRoles,
+            identity: req.identity,
+            signal: cancellation.signal,
+            onLookup: auditLookup(req, 'ask/stream', sessionId, question),
+            streamAnalysis: true,
+            onEvent: (event, data) => sendEvent(res, event, data)
+        });
+        auditService.record(req, {
+            endpoint: 'ask/stream',
+            startTime,
+            sessionId,
+            question,
+            ...auditDetails(result),
+            outcome: result.clarification ? 'clarification' : 'success'
+        });
+
+        // The `clarification` event has already been sent by the pipeline
+        if (result.clarification) {
+            sendEvent(res, 'done', {
+                ...(await respondWithClarification(session, question, result.clarification)),
+                responseTimeMs: Date.now() - startTime
+            });
+            return;
+        }
+
+        const details = recordAnswer(req, session, question, result.standaloneQuestion, result);
+        await sessionService.recordExchange(session, question, result.answer, details);
+
+        sendEvent(res, 'done', {
+            responseId: details.responseId,
+            answer: result.answer,
+            dataSource: result.dataSource,
+            repairAttempts: result.repairAttempts,
+            cache: result.cache,
+            sessionId,
+            responseTimeMs: Date.now() - startTime
+        });
+    } catch (error) {
+        logFailure(`Error in /ask/stream route for session ${sessionId}`, error, { question });
+        auditService.record(req, { endpoint: 'ask/stream', startTime, sessionId, dataSource, question, error });
+        if (error.code === 'CLIENT_DISCONNECTED') {
+            return;
+        }
+        sendEvent(res, 'error', {
+            message: error.message || 'An unexpected error occurred.',
+            code: error.code,
+            violations: error.violations,
+            sessionId
+        });
+    } finally {
+        cancellation.dispose();
+        res.end();
+    }
+}
+
+router.post('/stream', validateQuestion, handleStream);
+
+module.exports = router;
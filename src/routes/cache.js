@@ -0,0 +1,14 @@
+// src/routes/cache.js
+const express = require('express');
+const cacheService = require('../services/cacheService');
+
+const router = express.Router();
+
+/**
+ * Semantic answer cache metrics: hits by kind, misses, hit rate and estimated savings
+ */
+router.get('/stats', (req, res) => {
+    res.json(cacheService.getStats());
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+// src/routes/feedback.js
+const express = require('express');
+const feedbackService = require('../services/feedbackService');
+const { validateFeedback } = require('../middleware/validator');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Rates an answer (thumbs up/down), optionally with the SQL that should have been
+ * generated. Approved and corrected queries become few-shot examples for similar questions.
+ */
+router.post('/', validateFeedback, async (req, res, next) => {
+    try {
+        const result = await feedbackService.submitFeedback(req.body, req.userId, req.userRoles);
+        res.json(result);
+    } catch (error) {
+        logger.error('Error in /feedback route', {
+            error: error.message,
+            responseId: req.body.responseId,
+        });
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+// src/routes/results.js
+const express = require('express');
+const paginationService = require('../services/paginationService');
+const exportService = require('../services/exportService');
+const accessService = require('../services/accessService');
+const privacyService = require('../services/privacyService');
+const auditService = require('../services/auditService');
+const { serialiseRows } = require('../utils/resultSerialiser');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Returns the page of a previous answer's results that the cursor points to.
+ * The cursor comes from `pagination.nextCursor` of /ask (or of a previous page); other users get a 404.
+ */
+router.get('/:cursor', async (req, res, next) => {
+    const startTime = Date.now();
+    let sql;
+    let dataSource;
+    let sessionId;
+
+    try {
+        // The caller's roles may have changed since the answer, so check them before running the query
+        const result = paginationService.getCursorQuery(req.params.cursor, req.identity);
+        sql = result.sql;
+        dataSource = result.dataSource.name;
+        sessionId = result.sessionId;
+        accessService.checkQuery(sql, req.userRoles, result.dataSource);
+
+        const page = await paginationService.fetchPage(req.params.cursor, { identity: req.identity });
+        const policy = privacyService.createResultPolicy(page.sql, req.userRoles, page.dataSource);
+        const { columns, rows } = serialiseRows(privacyService.applyPolicy(page.rows, policy));
+        auditService.record(req, { endpoint: 'results', startTime, sessionId, sql, dataSource, rows, rowCount: page.rows.length });
+
+        res.json({
+            rawData: rows,
+            columns,
+            dataSource,
+            pagination: {
+                totalRows: page.totalRows,
+                pageSize: page.pageSize,
+                offset: page.offset,
+                returnedRows: page.rows.length,
+                nextCursor: page.nextCursor
+            },
+            responseTimeMs: Date.now() - startTime
+        });
+    } catch (error) {
+        logger.error('Error in /results route', {
+            error: error.message,
+        });
+        auditService.record(req, { endpoint: 'results', startTime, sessionId, sql, dataSource, error });
+        next(error);
+    }
+});
+
+/**
+ * Downloads the full results behind an answer as CSV, NDJSON or XLSX (`?format=`, default csv).
+ * The answer's SQL is re-run in streaming mode; `resultId` comes from `pagination.resultId` (other users get a 404).
+ * Sensitive columns and row security get the same treatment as in the answer.
+ */
+router.get('/:resultId/export', async (req, res, next) => {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    const startTime = Date.now();
+    let sql;
+    let dataSource;
+    let sessionId;
+
+    try {
+        if (!exportService.EXPORT_FORMATS[format]) {
+            return res.status(400).json({
+                error: `Unsupported export format. Allowed values: ${Object.keys(exportService.EXPORT_FORMATS).join(', ')}.`,
+                code: "INVALID_EXPORT_FORMAT"
+            });
+        }
+
+        const result = paginationService.getResultQuery(req.params.resultId, req.identity);
+        sql = result.sql;
+        dataSource = result.dataSource.name;
+        sessionId = result.sessionId;
+        accessService.checkQuery(sql, req.userRoles, result.dataSource);
+        const policy = privacyService.createResultPolicy(sql, req.userRoles, result.dataSource);
+        const exported = await exportService.exportQuery(sql, format, res, `query-results-${req.params.resultId.substring(0, 8)}`, policy, req.identity, result.dataSource);
+        auditService.record(req, { endpoint: 'results/export', startTime, sessionId, sql, dataSource, ...exported });
+    } catch (error) {
+        logger.error('Error in /results export route', {
+            error: error.message,
+            format,
+        });
+        auditService.record(req, { endpoint: 'results/export', startTime, sessionId, sql, dataSource, error });
+
+        // Once streaming has started the status can no longer change, so abort the download
+        if (res.headersSent) {
+            res.destroy(error);
+            return;
+        }
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+// src/routes/sessions.js
+const express = require('express');
+const sessionService = require('../services/sessionService');
+const { validateForkRequest } = require('../middleware/validator');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Lists the caller's sessions, most recently used first
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const sessions = await sessionService.listSessions(req.userId);
+        res.json({ sessions });
+    } catch (error) {
+        logger.error('Error in /sessions route', {
+            error: error.message,
+        });
+        next(error);
+    }
+});
+
+/**
+ * Returns a session with its full history (questions, answers, SQL and row counts)
+ */
+router.get('/:sessionId', async (req, res, next) => {
+    try {
+        const session = await sessionService.getSession(req.params.sessionId, req.userId);
+        res.json({ session });
+    } catch (error) {
+        logger.error(`Error in /sessions route for session ${req.params.sessionId}`, {
+            error: error.message,
+        });
+        next(error);
+    }
+});
+
+router.delete('/:sessionId', async (req, res, next) => {
+    try {
+        await sessionService.deleteSession(req.params.sessionId, req.userId);
+        res.json({ deleted: true, sessionId: req.params.sessionId });
+    } catch (error) {
+        logger.error(`Error deleting session ${req.params.sessionId}`, {
+            error: error.message,
+        });
+        next(error);
+    }
+});
+
+/**
+ * Copies a session into a new one. `exchanges` in the body keeps only the first N
+ * question/answer pairs, to branch off from an earlier point.
+ */
+router.post('/:sessionId/fork', validateForkRequest, async (req, res, next) => {
+    try {
+        const session = await sessionService.forkSession(req.params.sessionId, req.userId, {
+            exchanges: req.body.exchanges
+        });
+        res.status(201).json({ session });
+    } catch (error) {
+        logger.error(`Error forking session ${req.params.sessionId}`, {
+            error: error.message,
+        });
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+// src/services/accessService.js
+const config = require('../config');
+const { validateSql, createValidationError } = require('./sqlValidationService');
+const privacyService = require('./privacyService');
+const { getTableCatalog } = require('../utils/schemaDocs');
+const { getDataSource } = require('../utils/dataSources');
+const logger = require('../utils/logger');
+
+function roleDefinitions(roles) {
+    return (roles || []).map(role => config.auth.roles[role]).filter(Boolean);
+}
+
+/**
+ * Whether any of the roles may use an endpoint group ('ask', 'results', 'sessions', ...)
+ */
+function canUseEndpoint(roles, endpoint) {
+    return roleDefinitions(roles).some(definition =>
+        (definition.endpoints || []).some(allowed => allowed === '*' || allowed === endpoint));
+}
+
+/**
+ * The documented tables (schema docs names) of a data source the roles may query, or null when
+ * they may query all of them. Role definitions name tables without a source, so a listed table
+ * is allowed on every source that documents it.
+ * @param {string[]} roles
+ * @param {Object} [dataSource] - See utils/dataSources; the default source if omitted.
+ * @returns {?string[]}
+ */
+function allowedTables(roles, dataSource = getDataSource()) {
+    const catalog = getTableCatalog(dataSource);
+    const tables = new Set();
+    for (const definition of roleDefinitions(roles)) {
+        for (const table of definition.tables || []) {
+            if (table === '*') return null;
+            const documented = catalog.get(String(table).toLowerCase());
+            if (documented) tables.add(documented.name);
+        }
+    }
+    return [...tables];
+}
+
+/**
+ * The tables a query reads that the roles may not query. Throws if the query is invalid.
+ */
+function forbiddenTables(sql, roles, dataSource) {
+    const allowed = allowedTables(roles, dataSource);
+    if (!allowed) return [];
+
+    return validateSql(sql, dataSource).tables.filter(table => !allowed.includes(table));
+}
+
+/**
+ * Whether the roles may run a query on a data source (the default one if omitted), e.g. a
+ * cached or example query written for someone else. Invalid queries are not permitted.
+ */
+function isQueryPermitted(sql, roles, dataSource = getDataSource()) {
+    try {
+        return forbiddenTables(sql, roles, dataSource).length === 0;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Rejects a query that reads tables the roles may not query (TABLE_NOT_PERMITTED) or
+ * columns blocked for them (see privacyService.checkQuery). All are repairable: the model
+ * can rewrite the query within the schemas it was given. `dataSource` is the source the query
+ * runs on (see utils/dataSources), the default one if omitted.
+ * @throws {Error} A SQL_VALIDATION_FAILED error, with status 403 when the query reads tables or
+ *   columns the roles may not see.
+ */
+function checkQuery(sql, roles, dataSource = getDataSource()) {
+    let forbidden = [];
+    try {
+        forbidden = forbiddenTables(sql, roles, dataSource);
+    } catch (error) {
+        // Invalid SQL is reported by dbService.validateQuery when it runs
+        return;
+    }
+
+    if (forbidden.length > 0) {
+        logger.warn('Query reads tables not permitted for the caller', { roles, tables: forbidden });
+        const error = createValidationError(forbidden.map(table => ({
+            rule: 'TABLE_NOT_PERMITTED',
+            message: `Table '${table}' is not available to your role.`,
+            object: table
+        })));
+        error.statusCode = 403;
+        throw error;
+    }
+
+    privacyService.checkQuery(sql, roles, dataSource);
+}
+
+module.exports = {
+    canUseEndpoint,
+    allowedTables,
+    isQueryPermitted,
+    checkQuery
+};
@@ -0,0 +1,519 @@
+// src/services/askService.js
+const config = require('../config');
+const dbService = require('./dbService');
+const geminiService = require('./geminiService');
+const ragService = require('./ragService');
+const paginationService = require('./paginationService');
+const chartService = require('./chartService');
+const cacheService = require('./cacheService');
+const privacyService = require('./privacyService');
+const accessService = require('./accessService');
+const rowSecurityService = require('./rowSecurityService');
+const { getDataSources, getDataSource } = require('../utils/dataSources');
+const { diffSql } = require('../utils/sqlDiff');
+const { serialiseRows } = require('../utils/resultSerialiser');
+const { throwIfCancelled } = require('../utils/cancellation');
+const logger = require('../utils/logger');
+
+/**
+ * Executes the generated SQL and returns its first page (see paginationService). When the
+ * database rejects the query text (unknown column or table, syntax error, ...) or its estimated
+ * plan is over the cost limits (see dbService.checkQueryCost), the failed SQL and error are
+ * sent back to the model for a corrected query, up to
+ * `config.sqlRepair.maxAttempts` times. Without a schema context (e.g. SQL approved by a
+ * user) the query is executed as-is.
+ * @param {string} question - The standalone question.
+ * @param {?string} schemaContext - The retrieved schemas; enables repair when given.
+ * @param {string} sqlQuery - The query to run.
+ * @param {Object} [options]
+ * @param {Function} [options.onEvent] - Receives 'sql_repair' events.
+ * @param {number} [options.pageSize] - Requested page size.
+ * @param {string[]} [options.roles] - Requester's roles; a query reading tables or columns they
+ *   may not see is rejected like invalid SQL (see accessService.checkQuery).
+ * @param {Object} [options.identity] - Requester, whose row security policies apply; only they
+ *   can page or export the results.
+ * @param {string} [options.sessionId] - The requester's session, kept with the results.
+ * @param {string} [options.dataSource] - Name of the data source to run on (default source when omitted).
+ * @param {AbortSignal} [options.signal] - Cancels the queries and repair calls in flight.
+ * @returns {Promise<{sqlQuery: string, queryResults: Array<Object>, pagination: Object, repairAttempts: Array<Object>}>}
+ */
+async function executeWithRepair(question, schemaContext, sqlQuery, { onEvent = () => {}, pageSize, roles, identity, sessionId, dataSource: sourceName, signal } = {}) {
+    const dataSource = getDataSource(sourceName);
+    const repairAttempts = [];
+    const maxAttempts = config.sqlRepair.enabled && schemaContext ? config.sqlRepair.maxAttempts : 0;
+
+    while (true) {
+        try {
+            accessService.checkQuery(sqlQuery, roles, dataSource);
+            await dbService.checkQueryCost(sqlQuery, { identity, dataSource, signal });
+            const page = await paginationService.executeFirstPage(sqlQuery, { pageSize, identity, sessionId, dataSource, signal });
+            return {
+                sqlQuery,
+                queryResults: page.rows,
+                pagination: {
+                    totalRows: page.totalRows,
+                    pageSize: page.pageSize,
+                    returnedRows: page.rows.length,
+                    nextCursor: page.nextCursor,
+                    resultId: page.resultId
+                },
+                repairAttempts
+            };
+        } catch (error) {
+            if (!error.isRepairable || repairAttempts.length >= maxAttempts) {
+                if (repairAttempts.length > 0) {
+                    error.repairAttempts = repairAttempts;
+                }
+                error.sqlQuery = sqlQuery; // The query that failed, for the audit trail
+                throw error;
+            }
+
+            const attempt = {
+                attempt: repairAttempts.length + 1,
+                failedSql: sqlQuery,
+                error: error.dbMessage,
+                sqlNumber: error.sqlNumber
+            };
+            logger.warn(`Repairing failed SQL (attempt ${attempt.attempt} of ${maxAttempts})`, {
+                sqlNumber: error.sqlNumber,
+                error: error.dbMessage
+            });
+
+            sqlQuery = await geminiService.repairSql(question, schemaContext, sqlQuery, error.dbMessage, { dialect: dataSource.dialect, signal });
+            attempt.repairedSql = sqlQuery;
+            repairAttempts.push(attempt);
+            onEvent('sql_repair', attempt);
+        }
+    }
+}
+
+/**
+ * Turns a lookup row into a readable option, e.g. "Rahul Sharma (EMP017, SALES)"
+ */
+function formatLookupOption(row) {
+    const values = Object.values(row)
+        .filter(value => value !== null && value !== undefined && value !== privacyService.REDACTED && String(value).trim() !== '')
+        .map(value => (value instanceof Date ? value.toISOString().split('T')[0] : String(value).trim()));
+    if (values.length === 0) {
+        return null;
+    }
+    const [label, ...details] = values;
+    return details.length > 0 ? `${label} (${details.join(', ')})` : label;
+}
+
+/**
+ * Runs the lookup query of a clarification through the usual safety checks, and reports it,
+ * run or refused, to `onLookup` for the audit trail
+ * @returns {Promise<Array<Object>>} The rows.
+ */
+async function runLookup(question, sql, { roles, identity, dataSource, signal, onLookup = () => {} }) {
+    const startTime = Date.now();
+    const lookup = { standaloneQuestion: question, sql, dataSource: dataSource.name, startTime };
+    try {
+        accessService.checkQuery(sql, roles, dataSource);
+        await dbService.checkQueryCost(sql, { identity, dataSource, signal });
+        const rows = await dbService.executeQuery(sql, { identity, dataSource, signal });
+        onLookup({ ...lookup, rows, rowCount: rows.length });
+        return rows;
+    } catch (error) {
+        onLookup({ ...lookup, error });
+        throw error;
+    }
+}
+
+/**
+ * Resolves a clarification requested by the model. If it came with a lookup query, the
+ * query is run (through the usual safety checks) to list the matching records:
+ * - zero or one match: the question is not really ambiguous, so SQL is generated again
+ *   with clarification disabled (and the single match spelled out);
+ * - several matches: they become the options offered to the user.
+ * `options` are those of generateOrClarify.
+ * @returns {Promise<{sqlQuery?: string, clarification?: {question: string, options: string[]}}>}
+ */
+async function resolveClarification(question, schemaContext, clarification, { examples = [], roles, identity, dataSource, signal, onLookup } = {}) {
+    let options = clarification.options;
+
+    if (clarification.lookupSql) {
+        try {
+            const rows = await runLookup(question, clarification.lookupSql, { roles, identity, dataSource, signal, onLookup });
+            // The options also reach the models through the chat history, so sensitive values are left out
+            const policy = privacyService.createResultPolicy(clarification.lookupSql, roles, dataSource);
+            const matches = [...new Set(privacyService.redactForModel(rows, policy).map(formatLookupOption).filter(Boolean))];
+
+            if (matches.length <= 1) {
+                const refinedQuestion = matches.length === 1
+                    ? `${question} (referring to: ${matches[0]})`
+                    : question;
+                logger.info('Clarification lookup found at most one match, generating SQL without asking', {
+                    matches: matches.length
+                });
+                const sqlQuery = await geminiService.generateSql(refinedQuestion, schemaContext, { allowClarification: false, examples, dialect: dataSource.dialect, signal });
+                return { sqlQuery };
+            }
+
+            options = matches;
+        } catch (error) {
+            if (error.isCancellation) throw error;
+            logger.warn('Clarification lookup query failed, using the model-suggested options', {
+                error: error.message
+            });
+        }
+    }
+
+    return {
+        clarification: {
+            question: clarification.question,
+            options: options.slice(0, config.clarification.maxOptions)
+        }
+    };
+}
+
+/**
+ * Renders a clarification as chat text, so the options are visible to the question
+ * rewriter when the user answers in the next turn.
+ */
+function describeClarification(clarification) {
+    if (!clarification.options.length) {
+        return clarification.question;
+    }
+    return `${clarification.question}\nOptions: ${clarification.options.join('; ')}`;
+}
+
+/**
+ * Generates SQL for a new question, resolving a clarification request from the model.
+ * `options.examples` are verified question/SQL pairs shown to the model as demonstrations.
+ * `options.roles` and `options.identity` are the requester's, for the tables, columns and
+ * rows of a clarification lookup, which is reported to `options.onLookup`;
+ * `options.dataSource` is the (resolved) source the SQL is for; `options.signal` cancels the calls.
+ * @returns {Promise<{sqlQuery?: string, clarification?: Object}>}
+ */
+async function generateOrClarify(standaloneQuestion, schemaContext, options = {}) {
+    const { examples = [], dataSource, signal } = options;
+    try {
+        return { sqlQuery: await geminiService.generateSql(standaloneQuestion, schemaContext, { examples, dialect: dataSource.dialect, signal }) };
+    } catch (error) {
+        if (!error.clarification) {
+            throw error;
+        }
+        return resolveClarification(standaloneQuestion, schemaContext, error.clarification, options);
+    }
+}
+
+/**
+ * Retrieves the schemas of a data source relevant to a question, limited to the tables the
+ * caller may query there, and (unless `withExamples` is false) its verified examples
+ * @returns {Promise<{schemaContext: string, tables: string[], distances: number[], examples: Array<Object>, dataSource: Object}>}
+ */
+async function retrieveContext(standaloneQuestion, dataSource, { embedding, roles, withExamples = true }) {
+    const [schemas, retrievedExamples] = await Promise.all([
+        ragService.retrieveSchemas(standaloneQuestion, { embedding, tables: accessService.allowedTables(roles, dataSource), dataSource }),
+        withExamples ? ragService.retrieveExamples(standaloneQuestion, { embedding, dataSource }) : []
+    ]);
+    const examples = retrievedExamples.filter(example => accessService.isQueryPermitted(example.sql, roles, dataSource));
+    return { ...schemas, examples, dataSource };
+}
+
+/**
+ * Picks the data source for a question that names none: schemas are retrieved from every
+ * source, and the one whose closest table is nearest to the question wins. Sources the caller
+ * has no tables in, or whose retrieval fails, are left out.
+ */
+async function routeQuestion(standaloneQuestion, { embedding, roles, sessionId }) {
+    const errors = [];
+    const candidates = await Promise.all([...getDataSources().values()].map(dataSource =>
+        retrieveContext(standaloneQuestion, dataSource, { embedding, roles }).catch(error => {
+            logger.warn('Schema retrieval failed for data source', { dataSource: dataSource.name, error: error.message });
+            errors.push(error);
+            return null;
+        })
+    ));
+
+    const closest = context => (context.distances.length > 0 ? Math.min(...context.distances) : Infinity);
+    const best = candidates
+        .filter(Boolean)
+        .reduce((chosen, context) => (!chosen || closest(context) < closest(chosen) ? context : chosen), null);
+    if (!best) {
+        throw errors[0];
+    }
+
+    logger.info(`Routed the question to data source "${best.dataSource.name}"`, {
+        sessionId,
+        distances: Object.fromEntries(candidates.filter(Boolean).map(context => [context.dataSource.name, closest(context)]))
+    });
+    return best;
+}
+
+/**
+ * First half of the pipeline: rewrite the question, retrieve schemas and generate SQL.
+ * A follow-up classified as a refinement of `options.lastQuery` edits that query instead,
+ * and `refinement` describes the change. If a similar question is in the semantic cache,
+ * its SQL is reused and `cached` is set (schemaContext is then null). When the question
+ * is ambiguous, `sqlQuery` is null and `clarification` is set instead.
+ * The SQL is written for `options.dataSource`; without one, and with more than one source
+ * configured, the question is routed to the source whose schemas match it best (unless
+ * config.dataSources.autoRoute is off). Refinements stay on the previous query's source.
+ * @param {string} question - The user's original question.
+ * @param {Array<Object>} chatHistory - Previous user/bot turns of the session.
+ * @param {Object} [options] - See runPipeline.
+ * @returns {Promise<{standaloneQuestion: string, schemaContext: ?string, tables: string[], sqlQuery: ?string, refinement: ?Object, embedding: ?number[], dataSource: string, cached?: Object, clarification?: Object}>}
+ */
+async function prepareSql(question, chatHistory, options = {}) {
+    const { onEvent = () => {}, onLookup, sessionId, lastQuery, roles, identity, signal } = options;
+
+    // A question sent to another source than the previous query's cannot refine it
+    const canRefine = lastQuery && config.refinement.enabled &&
+        (!options.dataSource || options.dataSource === lastQuery.dataSource);
+
+    // 1. CREATE STANDALONE QUESTION (THE "MEMORY" STEP), AND CHECK FOR A REFINEMENT
+    const [standaloneQuestion, followUpType] = await Promise.all([
+        geminiService.createStandaloneQuestion(question, chatHistory, { signal }),
+        canRefine ? geminiService.classifyFollowUp(question, lastQuery, { signal }) : 'new'
+    ]);
+    logger.info(`Rewritten question for RAG: "${standaloneQuestion}"`, { sessionId, followUpType });
+    onEvent('standalone_question', { standaloneQuestion });
+
+    const isRefinement = followUpType === 'refinement';
+    const sourceName = isRefinement ? lastQuery.dataSource : options.dataSource;
+    const isRouted = !isRefinement && !sourceName && config.dataSources.autoRoute && getDataSources().size > 1;
+    let dataSource = isRouted ? null : getDataSource(sourceName);
+
+    // 2. REUSE THE SQL OF A SIMILAR, ALREADY ANSWERED QUESTION (refinements depend on the session, so they are not cached).
+    //    The embedding is computed once for the cache, schema and example lookups.
+    let embedding = null;
+    if (!isRefinement) {
+        try {
+            embedding = await ragService.embedText(standaloneQuestion, { signal });
+        } catch (error) {
+            throwIfCancelled(signal, 'question embedding');
+            logger.warn('Could not embed the question', { error: error.message });
+        }
+
+        const cached = embedding && cacheService.lookup(embedding, {
+            accept: entry => (!dataSource || entry.dataSource === dataSource.name) &&
+                accessService.isQueryPermitted(entry.sqlQuery, roles, getDataSource(entry.dataSource))
+        });
+        if (cached) {
+            onEvent('tables', { tables: cached.entry.tables, dataSource: cached.entry.dataSource });
+            onEvent('sql', { sql: cached.entry.sqlQuery, refinement: null });
+            return {
+                standaloneQuestion,
+                schemaContext: null,
+                tables: cached.entry.tables,
+                sqlQuery: cached.entry.sqlQuery,
+                refinement: null,
+                embedding,
+                dataSource: cached.entry.dataSource,
+                cached
+            };
+        }
+    }
+
+    // 3. RETRIEVE RELEVANT SCHEMAS AND VERIFIED EXAMPLES, LIMITED TO THE TABLES THE CALLER MAY QUERY
+    const context = isRouted
+        ? await routeQuestion(standaloneQuestion, { embedding, roles, sessionId })
+        : await retrieveContext(standaloneQuestion, dataSource, { embedding, roles, withExamples: !isRefinement });
+    throwIfCancelled(signal, 'schema retrieval');
+    const { schemaContext, tables, examples } = context;
+    dataSource = context.dataSource;
+
+    if (!schemaContext || !schemaContext.trim()) {
+        throw new Error("No relevant database schemas found for this question.");
+    }
+    onEvent('tables', { tables, dataSource: dataSource.name });
+    if (examples.length > 0) {
+        logger.info(`Using ${examples.length} verified example(s) for SQL generation`, { sessionId });
+    }
+
+    // 4. EDIT THE PREVIOUS SQL, OR GENERATE SQL (OR ASK FOR CLARIFICATION)
+    let sqlQuery;
+    let refinement = null;
+    if (isRefinement) {
+        sqlQuery = await geminiService.refineSql(question, schemaContext, lastQuery, { dialect: dataSource.dialect, signal });
+        refinement = { previousSql: lastQuery.sql, ...diffSql(lastQuery.sql, sqlQuery) };
+        logger.info('Refined the previous query', { sessionId, diff: refinement.diff });
+    } else {
+        const generated = await generateOrClarify(standaloneQuestion, schemaContext, { examples, roles, identity, dataSource, signal, onLookup });
+        if (generated.clarification) {
+            onEvent('clarification', generated.clarification);
+            return { standaloneQuestion, schemaContext, tables, sqlQuery: null, refinement, embedding, dataSource: dataSource.name, clarification: generated.clarification };
+        }
+        sqlQuery = generated.sqlQuery;
+    }
+    onEvent('sql', { sql: sqlQuery, refinement });
+
+    return { standaloneQuestion, schemaContext, tables, sqlQuery, refinement, embedding, dataSource: dataSource.name };
+}
+
+/**
+ * Second half of the pipeline: execute the SQL (repairing it if a schema context is given)
+ * and analyse the results. Sensitive columns are blocked, masked or hashed in the returned
+ * rows according to `options.roles`, and always redacted in the rows sent to the model. Rows
+ * are filtered by the row security policies of `options.identity`. The rows returned, charted
+ * and analysed are serialised from the column metadata (see utils/resultSerialiser), and
+ * `columns` describes them.
+ * @param {string} standaloneQuestion - The rewritten question.
+ * @param {string} sqlQuery - The query to run.
+ * @param {Object} [options] - See runPipeline; `schemaContext` enables SQL repair and
+ *   `dataSource` names the source the SQL was written for.
+ * @returns {Promise<{sqlQuery: string, queryResults: Array<Object>, columns: Array<{name: string, type: ?string, nullable: ?boolean}>, pagination: Object, repairAttempts: Array<Object>, answer: string, chart: ?Object, dataSource: string}>}
+ */
+async function executeAndAnalyse(standaloneQuestion, sqlQuery, options = {}) {
+    const { onEvent = () => {}, streamAnalysis = false, schemaContext, pageSize, roles, identity, sessionId, signal } = options;
+    const dataSource = getDataSource(options.dataSource);
+
+    const execution = await executeWithRepair(standaloneQuestion, schemaContext, sqlQuery, { onEvent, pageSize, roles, identity, sessionId, dataSource: dataSource.name, signal });
+    const { pagination } = execution;
+    const policy = privacyService.createResultPolicy(execution.sqlQuery, roles, dataSource);
+    const { columns, rows: queryResults } = serialiseRows(privacyService.applyPolicy(execution.queryResults, policy));
+    const modelRows = privacyService.redactForModel(serialiseRows(execution.queryResults).rows, policy);
+    onEvent('data', { rowCount: pagination.totalRows, rows: queryResults, columns, pagination });
+
+    // The chart does not depend on the analysis, so both run side by side
+    const chartPromise = chartService.recommendChart(standaloneQuestion, queryResults, pagination.totalRows, { columns, signal })
+        .then(chart => {
+            if (chart) onEvent('chart', chart);
+            return chart;
+        });
+
+    // Use the standalone question for analysis to give the AI better context
+    const [answer, chart] = await Promise.all([
+        streamAnalysis
+            ? geminiService.streamAnalysis(standaloneQuestion, modelRows, pagination.totalRows, text => onEvent('analysis_token', { text }), { signal })
+            : geminiService.generateAnalysis(standaloneQuestion, modelRows, pagination.totalRows, { signal }),
+        chartPromise
+    ]);
+
+    return { ...execution, queryResults, columns, answer, chart, dataSource: dataSource.name };
+}
+
+function rolesKey(roles) {
+    return [...(roles || [])].sort().join(',');
+}
+
+/**
+ * The part of an answer kept in the semantic cache
+ */
+function cachedResultOf(executed) {
+    const { queryResults, columns, pagination, answer, chart } = executed;
+    return { queryResults, columns, pagination, answer, chart };
+}
+
+/**
+ * Emits the events of the execution and analysis stages for a result taken from the cache
+ */
+function replayCachedResult(result, { onEvent = () => {}, streamAnalysis = false }) {
+    onEvent('data', { rowCount: result.pagination.totalRows, rows: result.queryResults, columns: result.columns, pagination: result.pagination });
+    if (result.chart) {
+        onEvent('chart', result.chart);
+    }
+    if (streamAnalysis) {
+        onEvent('analysis_token', { text: result.answer });
+    }
+}
+
+/**
+ * Runs the full question-answering pipeline: rewrite, RAG retrieval, SQL generation,
+ * execution and analysis. Each finished stage is reported through `onEvent` so callers
+ * can surface progress (e.g. the Server-Sent Events endpoint).
+ * @param {string} question - The user's original question.
+ * @param {Array<Object>} chatHistory - Previous user/bot turns of the session.
+ * @param {Object} [options]
+ * @param {Function} [options.onEvent] - Called as onEvent(stage, payload) after each stage.
+ * @param {Function} [options.onLookup] - Called as onLookup({standaloneQuestion, sql, dataSource, startTime,
+ *   rows, rowCount, error}) when a clarification's lookup query is run or refused, for the audit trail.
+ * @param {boolean} [options.streamAnalysis] - Stream the analysis as 'analysis_token' events.
+ * @param {number} [options.pageSize] - Rows in the first page of results.
+ * @param {string} [options.sessionId] - Used for log correlation, and kept with the results for paging.
+ * @param {{sql: string, question: string, dataSource: string}} [options.lastQuery] - The session's last successful query, for refinements.
+ * @param {string} [options.dataSource] - Name of the data source to ask; routed automatically when omitted
+ *   (see prepareSql).
+ * @param {string[]} [options.roles] - Requester's roles: the tables retrieval and SQL may use
+ *   (see accessService) and what they see of sensitive columns (see privacyService).
+ * @param {Object} [options.identity] - Requester (req.identity), whose row security policies
+ *   filter the rows of every query run (see rowSecurityService).
+ * @param {AbortSignal} [options.signal] - Cancels the model calls and queries in flight, and
+ *   stops retries; the pipeline then throws an error with `isCancellation` and `stage` set.
+ * @param {'live'|'cached'} [options.freshness] - On a semantic cache hit, re-execute the cached SQL
+ *   ('live') or return the cached result as-is ('cached'). Defaults to config.cache.defaultFreshness.
+ *   A cached result is only returned to the same roles and row security scope it was produced for.
+ * @returns {Promise<Object>} The outputs of every stage, or `clarification` if the question is ambiguous.
+ *   `cache` tells whether (and how) the semantic cache was used, and `dataSource` which source answered.
+ */
+async function runPipeline(question, chatHistory, options = {}) {
+    const startTime = Date.now();
+    const { freshness = config.cache.defaultFreshness, roles, identity } = options;
+    const rowScope = rowSecurityService.scopeKey(identity);
+    const prepared = await prepareSql(question, chatHistory, options);
+    if (prepared.clarification) {
+        return {
+            standaloneQuestion: prepared.standaloneQuestion,
+            tables: prepared.tables,
+            dataSource: prepared.dataSource,
+            clarification: prepared.clarification
+        };
+    }
+
+    const stages = {
+        standaloneQuestion: prepared.standaloneQuestion,
+        tables: prepared.tables,
+        dataSource: prepared.dataSource,
+        refinement: prepared.refinement
+    };
+
+    if (prepared.cached) {
+        const { entry, similarity } = prepared.cached;
+        const sameAudience = rolesKey(entry.roles) === rolesKey(roles) && entry.rowScope === rowScope;
+        const mode = freshness === 'cached' && sameAudience ? 'result' : 'sql';
+        const cache = {
+            hit: true,
+            mode,
+            similarity: Number(similarity.toFixed(4)),
+            cachedQuestion: entry.question,
+            cachedAt: new Date(entry.cachedAt).toISOString()
+        };
+
+        if (mode === 'result') {
+            // The cached result ids belong to whoever asked first
+            const result = { ...entry.result, pagination: paginationService.reissuePagination(entry.result.pagination, options) };
+            replayCachedResult(result, options);
+            cacheService.recordHit(entry, mode, Date.now() - startTime);
+            return { ...stages, sqlQuery: entry.sqlQuery, ...result, repairAttempts: [], cache };
+        }
+
+        // Re-execute the cached SQL as-is; the cached result is refreshed with the new one
+        const executed = await executeAndAnalyse(prepared.standaloneQuestion, entry.sqlQuery, { ...options, dataSource: entry.dataSource, schemaContext: null });
+        cacheService.recordHit(entry, mode, Date.now() - startTime);
+        cacheService.store({ ...entry, roles, rowScope, result: cachedResultOf(executed) });
+        return { ...stages, ...executed, cache };
+    }
+
+    const executed = await executeAndAnalyse(prepared.standaloneQuestion, prepared.sqlQuery, {
+        ...options,
+        dataSource: prepared.dataSource,
+        schemaContext: prepared.schemaContext
+    });
+
+    if (prepared.embedding) {
+        cacheService.store({
+            question: prepared.standaloneQuestion,
+            embedding: prepared.embedding,
+            sqlQuery: executed.sqlQuery,
+            tables: prepared.tables,
+            dataSource: prepared.dataSource,
+            roles,
+            rowScope,
+            result: cachedResultOf(executed),
+            durationMs: Date.now() - startTime
+        });
+    }
+
+    return { ...stages, ...executed, cache: { hit: false } };
+}
+
+module.exports = {
+    runPipeline,
+    prepareSql,
+    executeAndAnalyse,
+    executeWithRepair,
+    describeClarification
+};
@@ -0,0 +1,339 @@
+// src/services/auditService.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { parseSql } = require('./sqlValidationService');
+const { getTableCatalog } = require('../utils/schemaDocs');
+const { getDataSource } = require('../utils/dataSources');
+const logger = require('../utils/logger');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Entry fields covered by the hash chain, in hashing order
+const HASHED_FIELDS = [
+    'createdAt', 'userId', 'authType', 'sessionId', 'endpoint', 'dataSource', 'question', 'standaloneQuestion',
+    'retrievedTables', 'sql', 'tables', 'sourceColumns', 'columns', 'rowCount', 'latencyMs',
+    'outcome', 'errorCode', 'errorMessage'
+];
+
+let db = null;
+let statements = null;
+
+/**
+ * Opens the audit database on first use. Updates and deletes are rejected by triggers, so
+ * entries can only be appended.
+ */
+function getDb() {
+    if (db) return db;
+
+    // Loaded here so the native module is only needed when auditing is enabled
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(path.dirname(path.resolve(config.audit.sqlitePath)), { recursive: true });
+    db = new Database(config.audit.sqlitePath);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            created_at INTEGER NOT NULL,
+            user_id TEXT,
+            auth_type TEXT,
+            session_id TEXT,
+            endpoint TEXT NOT NULL,
+            data_source TEXT,
+            question TEXT,
+            standalone_question TEXT,
+            retrieved_tables TEXT NOT NULL,
+            sql TEXT,
+            tables TEXT NOT NULL,
+            source_columns TEXT NOT NULL,
+            columns TEXT NOT NULL,
+            row_count INTEGER,
+            latency_ms INTEGER,
+            outcome TEXT NOT NULL,
+            error_code TEXT,
+            error_message TEXT,
+            prev_hash TEXT NOT NULL,
+            hash TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_audit_user ON audit_log (user_id, created_at);
+        CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log (created_at);
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+            BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+            BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    `);
+
+    statements = {
+        lastHash: db.prepare('SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1'),
+        insert: db.prepare(`
+            INSERT INTO audit_log (created_at, user_id, auth_type, session_id, endpoint, data_source, question,
+                standalone_question, retrieved_tables, sql, tables, source_columns, columns, row_count, latency_ms, outcome,
+                error_code, error_message, prev_hash, hash)
+            VALUES (@createdAt, @userId, @authType, @sessionId, @endpoint, @dataSource, @question, @standaloneQuestion,
+                @retrievedTables, @sql, @tables, @sourceColumns, @columns, @rowCount, @latencyMs, @outcome, @errorCode,
+                @errorMessage, @prevHash, @hash)
+        `),
+        all: db.prepare('SELECT * FROM audit_log ORDER BY id')
+    };
+    return db;
+}
+
+/**
+ * The documented tables a query reads and the documented columns it references, as
+ * `table.column`, in the schema docs of the data source it ran on. `SELECT *` counts as every
+ * column of the tables it covers; a column that is not qualified with a documented table is
+ * attributed to each read table that has it.
+ * @returns {{tables: string[], sourceColumns: string[]}} Both empty if the query cannot be parsed.
+ */
+function describeAccess(sql, dataSourceName) {
+    let parsed;
+    let dataSource;
+    try {
+        dataSource = getDataSource(dataSourceName);
+        parsed = parseSql(sql, dataSource);
+    } catch (error) {
+        return { tables: [], sourceColumns: [] };
+    }
+
+    const catalog = getTableCatalog(dataSource);
+    const read = [...new Set(parsed.tableList.map(entry => entry.split('::')[2].toLowerCase()))]
+        .filter(key => catalog.has(key))
+        .map(key => catalog.get(key));
+
+    const sourceColumns = new Set();
+    parsed.columnList.forEach(entry => {
+        const [, table, column] = entry.split('::');
+        const qualified = table !== 'null' && read.find(candidate => candidate.name.toLowerCase() === table.toLowerCase());
+        const candidates = qualified ? [qualified] : read;
+        candidates.forEach(candidate => {
+            if (column === '(.*)') {
+                candidate.columns.forEach(documented => sourceColumns.add(`${candidate.name}.${documented.name}`));
+                return;
+            }
+            const documented = candidate.columns.get(column.toLowerCase());
+            if (documented) sourceColumns.add(`${candidate.name}.${documented.name}`);
+        });
+    });
+
+    return { tables: read.map(table => table.name), sourceColumns: [...sourceColumns] };
+}
+
+/**
+ * The column names of a result: the recordset's `columns` metadata, else the first row's keys
+ */
+function resultColumns(rows) {
+    if (!rows) return [];
+    if (rows.columns) {
+        return Array.isArray(rows.columns) ? rows.columns.map(column => column.name) : Object.keys(rows.columns);
+    }
+    return rows.length > 0 ? Object.keys(rows[0]) : [];
+}
+
+function outcomeOf(error) {
+    if (error.isCancellation) return 'cancelled';
+    if (error.statusCode === 403) return 'denied';
+    return 'error';
+}
+
+function hashEntry(prevHash, entry) {
+    const canonical = JSON.stringify(HASHED_FIELDS.map(field => entry[field] === undefined ? null : entry[field]));
+    return crypto.createHash('sha256').update(prevHash).update(canonical).digest('hex');
+}
+
+/**
+ * Appends an entry to the audit trail. Failures are logged and never fail the request.
+ * @param {import('express').Request} req - The request; the user comes from `req.identity`.
+ * @param {Object} details
+ * @param {string} details.endpoint - e.g. 'ask', 'ask/execute', 'ask/lookup' (a clarification's lookup query), 'results/export'.
+ * @param {number} details.startTime - When the request started (ms), for the latency.
+ * @param {string} [details.sessionId]
+ * @param {string} [details.dataSource] - Name of the data source the SQL was written for.
+ * @param {string} [details.question] - The question as asked.
+ * @param {string} [details.standaloneQuestion]
+ * @param {string[]} [details.retrievedTables] - Tables retrieved for SQL generation.
+ * @param {string} [details.sql] - The final SQL (the failed one for errors).
+ * @param {Array<Object>} [details.rows] - Rows returned, for the column names; or pass `columns`.
+ * @param {string[]} [details.columns] - Column names returned to the user.
+ * @param {number} [details.rowCount] - Total rows of the result.
+ * @param {string} [details.outcome] - 'success' (default), 'preview' or 'clarification'; derived from `error` if given.
+ * @param {Error} [details.error] - The failure, if any.
+ */
+function record(req, details) {
+    if (!config.audit.enabled) return;
+
+    const { error } = details;
+    const identity = req.identity || {};
+    const sql = details.sql || (error && error.sqlQuery) || null;
+    const dataSource = details.dataSource || null;
+    const access = sql ? describeAccess(sql, dataSource) : { tables: [], sourceColumns: [] };
+
+    const entry = {
+        createdAt: Date.now(),
+        userId: identity.id || req.userId || null,
+        authType: identity.type || null,
+        sessionId: details.sessionId || null,
+        endpoint: details.endpoint,
+        dataSource,
+        question: details.question || null,
+        standaloneQuestion: details.standaloneQuestion || null,
+        retrievedTables: details.retrievedTables || [],
+        sql,
+        tables: access.tables,
+        sourceColumns: access.sourceColumns,
+        columns: details.columns || resultColumns(details.rows),
+        rowCount: Number.isInteger(details.rowCount) ? details.rowCount : null,
+        latencyMs: Date.now() - details.startTime,
+        outcome: error ? outcomeOf(error) : details.outcome || 'success',
+        errorCode: error ? error.code || null : null,
+        errorMessage: error ? String(error.message).substring(0, 1000) : null
+    };
+
+    try {
+        getDb();
+        const append = db.transaction(() => {
+            const last = statements.lastHash.get();
+            const prevHash = last ? last.hash : GENESIS_HASH;
+            statements.insert.run({
+                ...entry,
+                retrievedTables: JSON.stringify(entry.retrievedTables),
+                tables: JSON.stringify(entry.tables),
+                sourceColumns: JSON.stringify(entry.sourceColumns),
+                columns: JSON.stringify(entry.columns),
+                prevHash,
+                hash: hashEntry(prevHash, entry)
+            });
+        });
+        // IMMEDIATE takes the write lock before reading the last hash, so concurrent writers cannot fork the chain
+        append.immediate();
+    } catch (auditError) {
+        logger.error('Could not write audit entry', {
+            error: auditError.message,
+            endpoint: entry.endpoint,
+            userId: entry.userId
+        });
+    }
+}
+
+function toEntry(row) {
+    return {
+        id: row.id,
+        createdAt: row.created_at,
+        userId: row.user_id,
+        authType: row.auth_type,
+        sessionId: row.session_id,
+        endpoint: row.endpoint,
+        dataSource: row.data_source,
+        question: row.question,
+        standaloneQuestion: row.standalone_question,
+        retrievedTables: JSON.parse(row.retrieved_tables),
+        sql: row.sql,
+        tables: JSON.parse(row.tables),
+        sourceColumns: JSON.parse(row.source_columns),
+        columns: JSON.parse(row.columns),
+        rowCount: row.row_count,
+        latencyMs: row.latency_ms,
+        outcome: row.outcome,
+        errorCode: row.error_code,
+        errorMessage: row.error_message,
+        prevHash: row.prev_hash,
+        hash: row.hash
+    };
+}
+
+/**
+ * Searches the audit trail, newest first.
+ * @param {Object} [filters]
+ * @param {string} [filters.userId]
+ * @param {string} [filters.dataSource]
+ * @param {string} [filters.table] - A table the SQL read or that was retrieved for it (case-insensitive).
+ * @param {string} [filters.column] - A column the SQL referenced or returned: 'PANNo' or 'mas_employees.PANNo'.
+ * @param {number} [filters.from] - Earliest time (ms, inclusive).
+ * @param {number} [filters.to] - Latest time (ms, inclusive).
+ * @param {string} [filters.outcome]
+ * @param {number} [filters.before] - Only entries with a smaller id, to page through results.
+ * @param {number} [filters.limit=100]
+ * @returns {{entries: Array<Object>, nextBefore: ?number}} `nextBefore` is set when more entries may follow.
+ */
+function search(filters = {}) {
+    getDb();
+    const conditions = [];
+    const params = {};
+
+    if (filters.userId) {
+        conditions.push('user_id = @userId');
+        params.userId = filters.userId;
+    }
+    if (filters.dataSource) {
+        conditions.push('data_source = @dataSource');
+        params.dataSource = filters.dataSource;
+    }
+    if (filters.table) {
+        conditions.push(`(EXISTS (SELECT 1 FROM json_each(audit_log.tables) WHERE lower(value) = lower(@table))
+            OR EXISTS (SELECT 1 FROM json_each(audit_log.retrieved_tables) WHERE lower(value) = lower(@table)))`);
+        params.table = filters.table;
+    }
+    if (filters.column) {
+        // A bare column name matches it in any table
+        const qualified = filters.column.includes('.');
+        conditions.push(`(EXISTS (SELECT 1 FROM json_each(audit_log.source_columns) WHERE ${qualified
+            ? 'lower(value) = lower(@column)'
+            : "substr(lower(value), -length(@column) - 1) = '.' || lower(@column)"})
+            OR EXISTS (SELECT 1 FROM json_each(audit_log.columns) WHERE lower(value) = lower(@columnName)))`);
+        params.column = filters.column;
+        params.columnName = filters.column.split('.').pop();
+    }
+    if (filters.from !== undefined) {
+        conditions.push('created_at >= @from');
+        params.from = filters.from;
+    }
+    if (filters.to !== undefined) {
+        conditions.push('created_at <= @to');
+        params.to = filters.to;
+    }
+    if (filters.outcome) {
+        conditions.push('outcome = @outcome');
+        params.outcome = filters.outcome;
+    }
+    if (filters.before !== undefined) {
+        conditions.push('id < @before');
+        params.before = filters.before;
+    }
+
+    const limit = Math.min(filters.limit || 100, config.audit.maxPageSize);
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = db.prepare(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ${limit}`).all(params);
+
+    return {
+        entries: rows.map(toEntry),
+        nextBefore: rows.length === limit ? rows[rows.length - 1].id : null
+    };
+}
+
+/**
+ * Recomputes the hash chain to detect entries that were altered, removed or inserted
+ * outside this service
+ * @returns {{valid: boolean, entries: number, brokenAt: ?number}} `brokenAt` is the id of the first bad entry.
+ */
+function verifyChain() {
+    getDb();
+    let prevHash = GENESIS_HASH;
+    let entries = 0;
+    for (const row of statements.all.iterate()) {
+        const entry = toEntry(row);
+        if (entry.prevHash !== prevHash || hashEntry(prevHash, entry) !== entry.hash) {
+            logger.error('Audit trail hash chain is broken', { id: entry.id });
+            return { valid: false, entries, brokenAt: entry.id };
+        }
+        prevHash = entry.hash;
+        entries++;
+    }
+    return { valid: true, entries, brokenAt: null };
+}
+
+module.exports = {
+    record,
+    search,
+    verifyChain
+};
@@ -0,0 +1,159 @@
+// src/services/cacheService.js
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Answered questions, looked up by the similarity of their standalone question's embedding
+const answerCache = new NodeCache({
+    stdTTL: config.cache.ttl,
+    checkperiod: config.cache.checkPeriod,
+    useClones: false
+});
+
+// Model calls avoided by each kind of hit: a `sql` hit skips SQL generation, a
+// `result` hit also skips the analysis
+const MODEL_CALLS_SAVED = { sql: 1, result: 2 };
+
+const metrics = {
+    lookups: 0,
+    misses: 0,
+    hits: { sql: 0, result: 0 },
+    modelCallsSaved: 0,
+    queriesSaved: 0,
+    timeSavedMs: 0
+};
+
+function cosineSimilarity(a, b) {
+    if (a.length !== b.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Finds the cached answer whose question is the most similar to the given embedding,
+ * if its similarity reaches `config.cache.similarityThreshold`. Counts a miss otherwise.
+ * @param {number[]} embedding - Embedding of the standalone question.
+ * @param {Object} [options]
+ * @param {Function} [options.accept] - Only entries for which it returns true are considered,
+ *   e.g. those whose SQL the caller may run.
+ * @returns {?{entry: Object, similarity: number}}
+ */
+function lookup(embedding, { accept = () => true } = {}) {
+    if (!config.cache.enabled) return null;
+    metrics.lookups++;
+
+    let best = null;
+    answerCache.keys().forEach(key => {
+        const entry = answerCache.get(key);
+        if (!entry || !accept(entry)) return;
+        const similarity = cosineSimilarity(embedding, entry.embedding);
+        if (!best || similarity > best.similarity) {
+            best = { entry, similarity };
+        }
+    });
+
+    if (!best || best.similarity < config.cache.similarityThreshold) {
+        metrics.misses++;
+        return null;
+    }
+
+    logger.info('Semantic cache hit', {
+        cachedQuestion: best.entry.question,
+        similarity: Number(best.similarity.toFixed(4))
+    });
+    return best;
+}
+
+/**
+ * Caches an answered question. When the cache is full, the oldest entry is evicted.
+ * @param {Object} entry
+ * @param {string} entry.question - The standalone question.
+ * @param {number[]} entry.embedding - Its embedding.
+ * @param {string} entry.sqlQuery - The SQL that answered it.
+ * @param {string[]} entry.tables - The tables retrieved for it.
+ * @param {string} entry.dataSource - Name of the data source the SQL runs on.
+ * @param {string[]} entry.roles - Roles the result was produced for (its sensitive columns depend on them).
+ * @param {string} entry.rowScope - Row security scope of the result (see rowSecurityService.scopeKey).
+ * @param {Object} entry.result - queryResults, columns, pagination, answer and chart of the answer.
+ * @param {number} entry.durationMs - How long the uncached pipeline took.
+ * @param {string} [entry.id] - Id of an existing entry to replace.
+ */
+function store({ id = crypto.randomUUID(), ...entry }) {
+    if (!config.cache.enabled) return;
+
+    if (!answerCache.has(id) && answerCache.keys().length >= config.cache.maxKeys) {
+        const oldest = answerCache.keys()
+            .map(key => ({ key, entry: answerCache.get(key) }))
+            .filter(item => item.entry)
+            .sort((a, b) => a.entry.cachedAt - b.entry.cachedAt)[0];
+        if (oldest) answerCache.del(oldest.key);
+    }
+
+    answerCache.set(id, { id, ...entry, cachedAt: Date.now() });
+}
+
+/**
+ * Removes the cached answers that use a query, e.g. after it was rated as wrong
+ * @returns {number} The number of entries removed.
+ */
+function evictSql(sqlQuery) {
+    const keys = answerCache.keys().filter(key => {
+        const entry = answerCache.get(key);
+        return entry && entry.sqlQuery === sqlQuery;
+    });
+    return answerCache.del(keys);
+}
+
+/**
+ * Records a hit and what it saved compared to the uncached run of the same question.
+ * @param {Object} entry - The cache entry that was used.
+ * @param {'sql'|'result'} mode - Whether only the SQL or the whole result was reused.
+ * @param {number} durationMs - How long the request took with the cache.
+ */
+function recordHit(entry, mode, durationMs) {
+    metrics.hits[mode]++;
+    metrics.modelCallsSaved += MODEL_CALLS_SAVED[mode];
+    if (mode === 'result') {
+        metrics.queriesSaved++;
+    }
+    metrics.timeSavedMs += Math.max(0, entry.durationMs - durationMs);
+}
+
+/**
+ * Hit/miss counters and estimated savings since the process started
+ */
+function getStats() {
+    const hits = metrics.hits.sql + metrics.hits.result;
+    return {
+        enabled: config.cache.enabled,
+        entries: answerCache.keys().length,
+        lookups: metrics.lookups,
+        hits: { ...metrics.hits, total: hits },
+        misses: metrics.misses,
+        hitRate: metrics.lookups > 0 ? Number((hits / metrics.lookups).toFixed(4)) : 0,
+        savings: {
+            modelCalls: metrics.modelCallsSaved,
+            databaseQueries: metrics.queriesSaved,
+            timeMs: metrics.timeSavedMs
+        },
+        similarityThreshold: config.cache.similarityThreshold,
+        ttlSeconds: config.cache.ttl
+    };
+}
+
+module.exports = {
+    lookup,
+    store,
+    evictSql,
+    recordHit,
+    getStats
+};
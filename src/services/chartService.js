@@ -0,0 +1,208 @@
+// src/services/chartService.js
+const config = require('../config');
+const geminiService = require('./geminiService');
+const { isNumericType, isTemporalType } = require('../utils/resultSerialiser');
+const logger = require('../utils/logger');
+
+const VEGA_LITE_SCHEMA = 'https://vega.github.io/schema/vega-lite/v5.json';
+const CHART_TYPES = ['bar', 'line', 'pie', 'table'];
+
+// Numeric identifiers (Fid, EmployeeId, MAS_DEPT, ...) are labels, not measures
+const IDENTIFIER_PATTERN = /(^[Ff]id$|Id$|ID$|_id$|^MAS_|^mas_)/;
+const PROPORTION_PATTERN = /\b(share|percent(age)?|proportion|distribution|breakdown|split)\b/i;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Describes each column of the result: Vega-Lite field type, distinct value count and
+ * whether it has negative values. With the result's column types, decimals serialised as
+ * strings count as numbers and dates serialised as numbers as dates.
+ * @param {Array<Object>} rows - Query results.
+ * @param {Array<{name: string, type: ?string}>} [columns] - The result columns (see utils/resultSerialiser).
+ * @returns {Array<{name: string, type: string, cardinality: number, hasNegative: boolean}>}
+ */
+function profileColumns(rows, columns = []) {
+    if (!rows || rows.length === 0) return [];
+    const columnTypes = new Map(columns.map(column => [column.name, column.type]));
+
+    return Object.keys(rows[0]).map(name => {
+        const values = rows.map(row => row[name]).filter(value => value !== null && value !== undefined);
+        const columnType = columnTypes.get(name);
+        const isTemporal = values.length > 0 && (isTemporalType(columnType) || values.every(value =>
+            value instanceof Date || (typeof value === 'string' && ISO_DATE_PATTERN.test(value))));
+        const isNumeric = values.length > 0 && values.every(value => typeof value === 'number' ||
+            (isNumericType(columnType) && typeof value === 'string' && Number.isFinite(Number(value))));
+
+        let type = 'nominal';
+        if (isTemporal) type = 'temporal';
+        else if (isNumeric && !IDENTIFIER_PATTERN.test(name)) type = 'quantitative';
+
+        return {
+            name,
+            type,
+            cardinality: new Set(values.map(value => (value instanceof Date ? value.getTime() : value))).size,
+            hasNegative: isNumeric && values.some(value => Number(value) < 0)
+        };
+    });
+}
+
+/**
+ * Rule-based chart choice from the result shape:
+ * - a date column and a measure: line chart over time;
+ * - one category and a measure: pie for a few non-negative slices when the question asks
+ *   for a share/breakdown, bar chart up to `maxCategories`, table beyond that;
+ * - anything else: table.
+ * @returns {{type: string, x?: string, y?: string, reason: string}}
+ */
+function chooseChartByRules(question, profile, rowCount) {
+    const measures = profile.filter(column => column.type === 'quantitative');
+    const dates = profile.filter(column => column.type === 'temporal');
+    const categories = profile.filter(column => column.type === 'nominal');
+
+    if (rowCount < 2 || measures.length === 0) {
+        return { type: 'table', reason: 'No numeric measure to plot across several rows.' };
+    }
+
+    const measure = measures[0];
+
+    if (dates.length > 0) {
+        return { type: 'line', x: dates[0].name, y: measure.name, reason: `Trend of ${measure.name} over ${dates[0].name}.` };
+    }
+
+    if (categories.length === 1) {
+        const category = categories[0];
+        if (category.cardinality <= config.chart.maxPieSlices && !measure.hasNegative && PROPORTION_PATTERN.test(question || '')) {
+            return { type: 'pie', x: category.name, y: measure.name, reason: `Share of ${measure.name} by ${category.name}.` };
+        }
+        if (category.cardinality <= config.chart.maxCategories) {
+            return { type: 'bar', x: category.name, y: measure.name, reason: `${measure.name} compared across ${category.name}.` };
+        }
+        return { type: 'table', reason: `${category.name} has too many distinct values (${category.cardinality}) to chart.` };
+    }
+
+    return { type: 'table', reason: 'The result shape does not map to a single chart.' };
+}
+
+/**
+ * Builds the Vega-Lite spec for a chart choice. Tables have no spec.
+ */
+function buildSpec(choice, profile, rows, description) {
+    if (choice.type === 'table') return null;
+
+    const field = name => profile.find(column => column.name === name);
+    const x = field(choice.x);
+    const y = field(choice.y);
+    // Measures serialised as strings (decimals) are parsed back into numbers by Vega-Lite
+    const parse = Object.fromEntries([x, y]
+        .filter(column => column.type === 'quantitative' && rows.some(row => typeof row[column.name] === 'string'))
+        .map(column => [column.name, 'number']));
+    const spec = {
+        $schema: VEGA_LITE_SCHEMA,
+        description,
+        data: Object.keys(parse).length > 0 ? { values: rows, format: { parse } } : { values: rows },
+        width: 'container'
+    };
+
+    if (choice.type === 'pie') {
+        return {
+            ...spec,
+            mark: { type: 'arc', tooltip: true },
+            encoding: {
+                theta: { field: y.name, type: 'quantitative' },
+                color: { field: x.name, type: 'nominal' }
+            }
+        };
+    }
+
+    if (choice.type === 'line') {
+        return {
+            ...spec,
+            mark: { type: 'line', point: true, tooltip: true },
+            encoding: {
+                x: { field: x.name, type: 'temporal' },
+                y: { field: y.name, type: 'quantitative' }
+            }
+        };
+    }
+
+    return {
+        ...spec,
+        mark: { type: 'bar', tooltip: true },
+        encoding: {
+            x: { field: x.name, type: 'nominal', sort: '-y' },
+            y: { field: y.name, type: 'quantitative' }
+        }
+    };
+}
+
+/**
+ * Checks a chart choice made by the model against the result profile
+ */
+function isValidChoice(choice, profile) {
+    if (!choice || !CHART_TYPES.includes(choice.type)) return false;
+    if (choice.type === 'table') return true;
+
+    const x = profile.find(column => column.name === choice.x);
+    const y = profile.find(column => column.name === choice.y);
+    if (!x || !y || y.type !== 'quantitative') return false;
+    return choice.type === 'line' ? x.type === 'temporal' : x.type !== 'quantitative';
+}
+
+/**
+ * Recommends a chart for a query result. Rules decide by default; with
+ * `CHART_RECOMMENDER=model` the model picks the chart type and fields, falling back to the
+ * rules if its choice does not fit the data.
+ * @param {string} question - The standalone question.
+ * @param {Array<Object>} rows - The rows shown to the user (first page).
+ * @param {number} [totalRows] - The true number of rows.
+ * @param {Object} [options]
+ * @param {Array<{name: string, type: ?string}>} [options.columns] - The result columns, for their types.
+ * @param {AbortSignal} [options.signal] - Cancels the model call.
+ * @returns {Promise<?{type: string, spec: ?Object, reason: string, source: string}>} Null when charts are disabled or there is no data.
+ */
+async function recommendChart(question, rows, totalRows, { columns, signal } = {}) {
+    if (!config.chart.enabled || !rows || rows.length === 0) {
+        return null;
+    }
+
+    const profile = profileColumns(rows, columns);
+    let choice = null;
+    let source = 'rules';
+
+    if (config.chart.recommender === 'model') {
+        try {
+            const modelChoice = await geminiService.recommendChartType(question, profile, { signal });
+            if (isValidChoice(modelChoice, profile)) {
+                choice = modelChoice;
+                source = 'model';
+            } else {
+                logger.warn('Model chart choice does not fit the result, using rules', { modelChoice });
+            }
+        } catch (error) {
+            if (error.isCancellation) throw error;
+            logger.warn('Model chart recommendation failed, using rules', { error: error.message });
+        }
+    }
+
+    if (!choice) {
+        choice = chooseChartByRules(question, profile, rows.length);
+    }
+
+    let description = choice.reason || question;
+    if (totalRows > rows.length) {
+        description += ` (first ${rows.length} of ${totalRows} rows)`;
+    }
+
+    return {
+        type: choice.type,
+        spec: buildSpec(choice, profile, rows, description),
+        reason: choice.reason,
+        source
+    };
+}
+
+module.exports = {
+    recommendChart,
+    profileColumns,
+    chooseChartByRules,
+    CHART_TYPES
+};
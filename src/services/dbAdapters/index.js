@@ -0,0 +1,50 @@
+// src/services/dbAdapters/index.js
+const { createMssqlAdapter } = require('./mssqlAdapter');
+const { createPostgresAdapter } = require('./postgresAdapter');
+const { createMysqlAdapter } = require('./mysqlAdapter');
+const { createSqliteAdapter } = require('./sqliteAdapter');
+
+/**
+ * A database engine behind dbService. Adapters run SQL as given: validation, row security
+ * and error wrapping happen in dbService.
+ * @typedef {Object} DatabaseAdapter
+ * @property {Object} dialect - See utils/sqlDialects.
+ * @property {function(): Promise<Object>} connect - Opens the pool (or file); the other methods call it.
+ * @property {function(string, {signal?: AbortSignal}): Promise<Array<Object>>} execute - Runs a query;
+ *   the rows carry `columns` metadata keyed by name ({index, name, type: {declaration}, scale?}).
+ *   Aborting the signal cancels the query where the engine allows it.
+ * @property {function(string): Promise<{columns: Array<Object>, rows: import('stream').Readable, cancel: Function}>} stream -
+ *   Resolves once the column metadata (in SELECT-list order) is known; `rows` is an object-mode stream.
+ * @property {function(string, {signal?: AbortSignal}): Promise<Object>} [estimate] - Estimated plan
+ *   summary (see utils/queryPlan); engines without it skip the cost guard.
+ * @property {function(): Promise<Array<Object>>} introspect - Tables of the configured schema with
+ *   their columns, primary and foreign keys (see introspection.assembleSchema).
+ * @property {function(): Promise<{healthy: boolean, connected: boolean, error?: string}>} health
+ * @property {function(Error): {message: string, number: *, isRepairable: boolean}} describeError - A
+ *   user-facing message for a driver error, its engine error number/code, and whether the model can
+ *   fix the query.
+ * @property {function(): Object} stats - Connection state and target.
+ * @property {function(): Promise<void>} close
+ */
+
+/**
+ * Creates the adapter for a database configuration's `client`
+ * @param {Object} options - A database configuration (see config.database).
+ * @returns {DatabaseAdapter}
+ */
+function createAdapter(options) {
+    switch (options.client) {
+        case 'mssql':
+            return createMssqlAdapter(options);
+        case 'postgres':
+            return createPostgresAdapter(options);
+        case 'mysql':
+            return createMysqlAdapter(options);
+        case 'sqlite':
+            return createSqliteAdapter(options);
+        default:
+            throw new Error(`Unknown database client "${options.client}". Use mssql, postgres, mysql or sqlite.`);
+    }
+}
+
+module.exports = { createAdapter };
@@ -0,0 +1,73 @@
+// src/services/dbAdapters/introspection.js
+
+/**
+ * Groups the rows of an adapter's catalog queries into tables, in the order of `columns`.
+ * @param {Object} rows
+ * @param {Array<{tableSchema: string, tableName: string, columnName: string, dataType: string, nullable: boolean}>} rows.columns
+ * @param {Array<{tableSchema: string, tableName: string, columnName: string}>} rows.primaryKeys - In key order.
+ * @param {Array<{name: string, tableSchema: string, tableName: string, columnName: string, referencedSchema: string, referencedTable: string, referencedColumn: string}>} rows.foreignKeys
+ *   One row per key column, in key order.
+ * @param {Array<{tableSchema: string, tableName: string, columnName: ?string, description: string}>} [rows.descriptions]
+ *   Comments stored in the catalog; a null columnName describes the table.
+ * @returns {Array<{schema: string, name: string, description: ?string, columns: Array<Object>, primaryKey: string[], foreignKeys: Array<Object>}>}
+ */
+function assembleSchema({ columns, primaryKeys, foreignKeys, descriptions = [] }) {
+    const tables = new Map();
+    const tableOf = row => tables.get(`${row.tableSchema}.${row.tableName}`);
+
+    columns.forEach(row => {
+        const key = `${row.tableSchema}.${row.tableName}`;
+        if (!tables.has(key)) {
+            tables.set(key, { schema: row.tableSchema, name: row.tableName, description: null, columns: [], primaryKey: [], foreignKeys: [] });
+        }
+        tables.get(key).columns.push({
+            name: row.columnName,
+            dataType: row.dataType,
+            nullable: Boolean(row.nullable),
+            primaryKey: false,
+            description: null
+        });
+    });
+
+    primaryKeys.forEach(row => {
+        const table = tableOf(row);
+        if (!table) return;
+        table.primaryKey.push(row.columnName);
+        const column = table.columns.find(candidate => candidate.name === row.columnName);
+        if (column) column.primaryKey = true;
+    });
+
+    foreignKeys.forEach(row => {
+        const table = tableOf(row);
+        if (!table) return;
+        let foreignKey = table.foreignKeys.find(candidate => candidate.name === row.name);
+        if (!foreignKey) {
+            foreignKey = {
+                name: row.name,
+                columns: [],
+                referencedSchema: row.referencedSchema,
+                referencedTable: row.referencedTable,
+                referencedColumns: []
+            };
+            table.foreignKeys.push(foreignKey);
+        }
+        foreignKey.columns.push(row.columnName);
+        foreignKey.referencedColumns.push(row.referencedColumn);
+    });
+
+    descriptions.forEach(row => {
+        const table = tableOf(row);
+        const description = row.description && String(row.description).trim();
+        if (!table || !description) return;
+        if (row.columnName === null || row.columnName === undefined) {
+            table.description = description;
+            return;
+        }
+        const column = table.columns.find(candidate => candidate.name === row.columnName);
+        if (column) column.description = description;
+    });
+
+    return [...tables.values()];
+}
+
+module.exports = { assembleSchema };
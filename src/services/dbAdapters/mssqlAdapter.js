@@ -0,0 +1,261 @@
+// src/services/dbAdapters/mssqlAdapter.js
+const { Readable } = require('stream');
+const { summarisePlan } = require('../../utils/queryPlan');
+const { getDialect } = require('../../utils/sqlDialects');
+const { assembleSchema } = require('./introspection');
+const { markInexactDecimals } = require('../../utils/resultSerialiser');
+const logger = require('../../utils/logger');
+
+// SQL Server errors caused by the query text itself, which the model can usually fix
+// when shown the error (syntax errors, unknown/ambiguous columns and tables, GROUP BY misuse)
+const REPAIRABLE_ERROR_NUMBERS = new Set([102, 105, 156, 207, 208, 209, 4104, 4145, 8120, 8127]);
+
+const CATALOG_QUERIES = {
+    columns: `
+        SELECT c.TABLE_SCHEMA AS tableSchema, c.TABLE_NAME AS tableName, c.COLUMN_NAME AS columnName,
+            c.DATA_TYPE AS dataType, CASE WHEN c.IS_NULLABLE = 'YES' THEN 1 ELSE 0 END AS nullable
+        FROM INFORMATION_SCHEMA.COLUMNS c
+        JOIN INFORMATION_SCHEMA.TABLES t ON t.TABLE_SCHEMA = c.TABLE_SCHEMA AND t.TABLE_NAME = c.TABLE_NAME
+        WHERE c.TABLE_SCHEMA = @schema AND t.TABLE_TYPE IN ('BASE TABLE', 'VIEW')
+        ORDER BY c.TABLE_NAME, c.ORDINAL_POSITION`,
+    primaryKeys: `
+        SELECT k.TABLE_SCHEMA AS tableSchema, k.TABLE_NAME AS tableName, k.COLUMN_NAME AS columnName
+        FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc
+        JOIN INFORMATION_SCHEMA.KEY_COLUMN_USAGE k ON k.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA AND k.CONSTRAINT_NAME = tc.CONSTRAINT_NAME
+        WHERE tc.CONSTRAINT_TYPE = 'PRIMARY KEY' AND tc.TABLE_SCHEMA = @schema
+        ORDER BY k.TABLE_NAME, k.ORDINAL_POSITION`,
+    foreignKeys: `
+        SELECT fk.name AS name, OBJECT_SCHEMA_NAME(fk.parent_object_id) AS tableSchema, OBJECT_NAME(fk.parent_object_id) AS tableName,
+            pc.name AS columnName, OBJECT_SCHEMA_NAME(fk.referenced_object_id) AS referencedSchema,
+            OBJECT_NAME(fk.referenced_object_id) AS referencedTable, rc.name AS referencedColumn
+        FROM sys.foreign_keys fk
+        JOIN sys.foreign_key_columns fkc ON fkc.constraint_object_id = fk.object_id
+        JOIN sys.columns pc ON pc.object_id = fkc.parent_object_id AND pc.column_id = fkc.parent_column_id
+        JOIN sys.columns rc ON rc.object_id = fkc.referenced_object_id AND rc.column_id = fkc.referenced_column_id
+        WHERE OBJECT_SCHEMA_NAME(fk.parent_object_id) = @schema
+        ORDER BY fk.name, fkc.constraint_column_id`,
+    // MS_Description extended properties; minor_id 0 describes the table itself
+    descriptions: `
+        SELECT OBJECT_SCHEMA_NAME(ep.major_id) AS tableSchema, OBJECT_NAME(ep.major_id) AS tableName,
+            c.name AS columnName, CAST(ep.value AS NVARCHAR(4000)) AS description
+        FROM sys.extended_properties ep
+        LEFT JOIN sys.columns c ON ep.minor_id > 0 AND c.object_id = ep.major_id AND c.column_id = ep.minor_id
+        WHERE ep.class = 1 AND ep.name = 'MS_Description' AND OBJECT_SCHEMA_NAME(ep.major_id) = @schema`
+};
+
+/**
+ * SQL Server adapter (mssql/tedious). Queries can be cancelled on the server and estimated
+ * with SET SHOWPLAN_XML, so the cost guard applies.
+ * @param {Object} options - A database configuration (see config.database).
+ */
+function createMssqlAdapter(options) {
+    const mssql = require('mssql');
+    const dialect = getDialect(options);
+
+    const poolConfig = {
+        server: options.host,
+        user: options.user,
+        password: options.password,
+        database: options.database,
+        port: options.port || 1433,
+        connectionTimeout: options.connectionTimeout,
+        requestTimeout: options.requestTimeout,
+        pool: options.pool,
+        options: {
+            encrypt: false,
+            trustServerCertificate: true,
+            enableArithAbort: true,
+        },
+    };
+
+    let poolPromise = null;
+    let isConnected = false;
+
+    function connect() {
+        if (poolPromise) return poolPromise;
+
+        poolPromise = new mssql.ConnectionPool(poolConfig)
+            .connect()
+            .then(pool => {
+                isConnected = true;
+                logger.info('✅ Connected to SQL Server successfully!', {
+                    server: options.host,
+                    database: options.database
+                });
+
+                // Handle pool errors
+                pool.on('error', err => {
+                    logger.error('Database pool error:', err);
+                    isConnected = false;
+                    poolPromise = null;
+                });
+
+                return pool;
+            })
+            .catch(err => {
+                logger.error('Database Connection Failed!', {
+                    error: err.message,
+                    server: options.host,
+                    database: options.database
+                });
+                isConnected = false;
+                poolPromise = null;
+                throw err;
+            });
+
+        return poolPromise;
+    }
+
+    /**
+     * Runs a request, cancelling it on SQL Server when the signal is aborted
+     */
+    function run(request, sql, signal, method = 'query') {
+        request.timeout = options.requestTimeout;
+        const cancelRequest = () => request.cancel();
+        if (signal) signal.addEventListener('abort', cancelRequest, { once: true });
+        return request[method](sql).finally(() => {
+            if (signal) signal.removeEventListener('abort', cancelRequest);
+        });
+    }
+
+    return {
+        dialect,
+        connect,
+
+        async execute(sql, { signal } = {}) {
+            const pool = await connect();
+            const result = await run(pool.request(), sql, signal);
+            if (result.recordset) markInexactDecimals(result.recordset.columns);
+            return result.recordset;
+        },
+
+        async stream(sql) {
+            const pool = await connect();
+            const request = pool.request();
+            request.timeout = options.requestTimeout;
+            // Not toReadableStream(): it pauses the request before it starts, so SQL Server never
+            // sends the column metadata awaited below. Rows are pushed as they arrive and the
+            // request paused only while the consumer is behind.
+            request.stream = true;
+
+            let started = false;
+            let finished = false;
+            const rows = new Readable({ objectMode: true, read: () => request.resume() });
+            request.on('row', row => {
+                if (!rows.push(row)) request.pause();
+            });
+            request.on('done', () => {
+                finished = true;
+                rows.push(null);
+            });
+            // A stream destroyed before the end (e.g. the client went away) frees its connection
+            rows.once('close', () => {
+                if (!finished) request.cancel();
+            });
+
+            const columns = await new Promise((resolve, reject) => {
+                request.once('recordset', recordsetColumns => {
+                    started = true;
+                    resolve(markInexactDecimals(Object.values(recordsetColumns).sort((a, b) => a.index - b.index)));
+                });
+                // Errors before the column metadata reject; later ones reach the consumer's stream
+                request.on('error', err => {
+                    finished = true;
+                    if (started) rows.destroy(err);
+                    else reject(err);
+                });
+                request.query(sql);
+            });
+            return { columns, rows, cancel: () => request.cancel() };
+        },
+
+        /**
+         * Compiles a query without running it and summarises its estimated plan. SET SHOWPLAN_XML
+         * applies to the connection and must be alone in its batch, so the batches run in a
+         * transaction, which keeps them on one pooled connection.
+         */
+        async estimate(sql, { signal } = {}) {
+            const pool = await connect();
+            const transaction = new mssql.Transaction(pool);
+            const batch = (text, cancelSignal) => run(transaction.request(), text, cancelSignal, 'batch');
+
+            await transaction.begin();
+            try {
+                await batch('SET SHOWPLAN_XML ON');
+                try {
+                    const result = await batch(sql, signal);
+                    const planXml = (result.recordsets || [])
+                        .flatMap(recordset => recordset.map(row => Object.values(row)[0]))
+                        .join('');
+                    return summarisePlan(planXml);
+                } finally {
+                    await batch('SET SHOWPLAN_XML OFF');
+                }
+            } finally {
+                await transaction.rollback();
+            }
+        },
+
+        async introspect() {
+            const pool = await connect();
+            const results = {};
+            for (const [name, sql] of Object.entries(CATALOG_QUERIES)) {
+                const request = pool.request();
+                request.input('schema', mssql.NVarChar, dialect.schema);
+                results[name] = (await run(request, sql)).recordset;
+            }
+            return assembleSchema(results);
+        },
+
+        async health() {
+            try {
+                const pool = await connect();
+                await run(pool.request(), 'SELECT 1 AS health_check');
+                return { healthy: true, connected: isConnected };
+            } catch (error) {
+                return { healthy: false, connected: isConnected, error: error.message };
+            }
+        },
+
+        describeError(err) {
+            // Provide more helpful error messages
+            let message = 'Error executing database query.';
+            if (err.code === 'ETIMEOUT') {
+                message = 'Query execution timed out. Please try a simpler query.';
+            } else if (err.code === 'ELOGIN') {
+                message = 'Database authentication failed.';
+            } else if (err.code === 'ECONNRESET') {
+                message = 'Database connection was reset. Please try again.';
+            } else if (err.number === 2) { // SQL Server error numbers
+                message = 'Database server is not accessible.';
+            } else if (err.number === 207) {
+                message = 'Invalid column name in the generated query.';
+            } else if (err.number === 208) {
+                message = 'Invalid table name in the generated query.';
+            }
+            return { message, number: err.number, isRepairable: REPAIRABLE_ERROR_NUMBERS.has(err.number) };
+        },
+
+        stats() {
+            return {
+                isConnected,
+                config: {
+                    client: dialect.name,
+                    server: options.host,
+                    database: options.database,
+                    port: poolConfig.port
+                }
+            };
+        },
+
+        async close() {
+            if (!poolPromise) return;
+            const pool = await poolPromise.catch(() => null);
+            poolPromise = null;
+            isConnected = false;
+            if (pool) await pool.close();
+        }
+    };
+}
+
+module.exports = { createMssqlAdapter };
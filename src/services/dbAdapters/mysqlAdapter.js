@@ -0,0 +1,262 @@
+// src/services/dbAdapters/mysqlAdapter.js
+const { getDialect } = require('../../utils/sqlDialects');
+const { assembleSchema } = require('./introspection');
+const logger = require('../../utils/logger');
+
+// Error numbers caused by the query text itself: syntax errors, unknown/ambiguous columns,
+// tables and functions, GROUP BY misuse and wrong argument counts
+const REPAIRABLE_ERROR_NUMBERS = new Set([1064, 1054, 1146, 1052, 1055, 1111, 1305, 1582, 1630]);
+
+// Rows buffered while streaming before the connection is paused
+const STREAM_BATCH_SIZE = 500;
+
+// Column flag set on NOT NULL result columns (mysql2 field `flags`)
+const NOT_NULL_FLAG = 1;
+
+const CATALOG_QUERIES = {
+    columns: `
+        SELECT c.TABLE_SCHEMA AS tableSchema, c.TABLE_NAME AS tableName, c.COLUMN_NAME AS columnName,
+            c.DATA_TYPE AS dataType, c.IS_NULLABLE = 'YES' AS nullable
+        FROM information_schema.COLUMNS c
+        JOIN information_schema.TABLES t ON t.TABLE_SCHEMA = c.TABLE_SCHEMA AND t.TABLE_NAME = c.TABLE_NAME
+        WHERE c.TABLE_SCHEMA = ? AND t.TABLE_TYPE IN ('BASE TABLE', 'VIEW')
+        ORDER BY c.TABLE_NAME, c.ORDINAL_POSITION`,
+    primaryKeys: `
+        SELECT TABLE_SCHEMA AS tableSchema, TABLE_NAME AS tableName, COLUMN_NAME AS columnName
+        FROM information_schema.KEY_COLUMN_USAGE
+        WHERE TABLE_SCHEMA = ? AND CONSTRAINT_NAME = 'PRIMARY'
+        ORDER BY TABLE_NAME, ORDINAL_POSITION`,
+    foreignKeys: `
+        SELECT CONSTRAINT_NAME AS name, TABLE_SCHEMA AS tableSchema, TABLE_NAME AS tableName, COLUMN_NAME AS columnName,
+            REFERENCED_TABLE_SCHEMA AS referencedSchema, REFERENCED_TABLE_NAME AS referencedTable,
+            REFERENCED_COLUMN_NAME AS referencedColumn
+        FROM information_schema.KEY_COLUMN_USAGE
+        WHERE TABLE_SCHEMA = ? AND REFERENCED_TABLE_NAME IS NOT NULL
+        ORDER BY CONSTRAINT_NAME, ORDINAL_POSITION`,
+    // Table and column comments (views report 'VIEW' as their comment, so only base tables count)
+    descriptions: `
+        SELECT TABLE_SCHEMA AS tableSchema, TABLE_NAME AS tableName, NULL AS columnName, TABLE_COMMENT AS description
+        FROM information_schema.TABLES
+        WHERE TABLE_SCHEMA = ? AND TABLE_TYPE = 'BASE TABLE' AND TABLE_COMMENT <> ''
+        UNION ALL
+        SELECT TABLE_SCHEMA, TABLE_NAME, COLUMN_NAME, COLUMN_COMMENT
+        FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = ? AND COLUMN_COMMENT <> ''`
+};
+
+/**
+ * MySQL adapter (mysql2). Sessions are read-only (SET SESSION TRANSACTION READ ONLY) and
+ * cancelled queries are stopped with KILL QUERY. There is no cost estimation.
+ * @param {Object} options - A database configuration (see config.database).
+ */
+function createMysqlAdapter(options) {
+    const mysql = require('mysql2');
+    const dialect = getDialect(options);
+
+    /**
+     * Column metadata in the shape mssql uses: `type.declaration`, `nullable` and, for decimals, `scale`
+     */
+    function describeField(field, index) {
+        const typeName = mysql.Types[field.columnType];
+        const column = {
+            index,
+            name: field.name,
+            type: { declaration: typeName ? typeName.toLowerCase() : null },
+            nullable: (field.flags & NOT_NULL_FLAG) === 0
+        };
+        if (typeName === 'NEWDECIMAL' || typeName === 'DECIMAL') column.scale = field.decimals;
+        return column;
+    }
+
+    let pool = null;
+    let isConnected = false;
+
+    function getConnection() {
+        return new Promise((resolve, reject) => {
+            pool.getConnection((err, connection) => (err ? reject(err) : resolve(connection)));
+        });
+    }
+
+    function run(connection, sql, values) {
+        return new Promise((resolve, reject) => {
+            connection.query({ sql, values, timeout: options.requestTimeout }, (err, rows, fields) => (err ? reject(err) : resolve({ rows, fields })));
+        });
+    }
+
+    /**
+     * A failed connection is discarded rather than returned to the pool
+     */
+    function release(connection, err) {
+        if (err && err.fatal) connection.destroy();
+        else connection.release();
+    }
+
+    /**
+     * Asks the server to stop the statement a connection is running
+     */
+    function killQuery(connection) {
+        pool.query(`KILL QUERY ${Number(connection.threadId)}`, err => {
+            if (err) logger.warn('Could not cancel MySQL query', { error: err.message });
+        });
+    }
+
+    async function connect() {
+        if (!pool) {
+            pool = mysql.createPool({
+                host: options.host,
+                port: options.port || 3306,
+                user: options.user,
+                password: options.password,
+                database: options.database,
+                connectTimeout: options.connectionTimeout,
+                connectionLimit: options.pool.max,
+                idleTimeout: options.pool.idleTimeoutMillis,
+                // DATETIME values are read as UTC, like mssql does, so the stored wall-clock time is kept
+                timezone: 'Z',
+                supportBigNumbers: true
+            });
+            pool.on('connection', connection => connection.query('SET SESSION TRANSACTION READ ONLY'));
+        }
+
+        if (!isConnected) {
+            try {
+                const connection = await getConnection();
+                connection.release();
+                isConnected = true;
+                logger.info('✅ Connected to MySQL successfully!', {
+                    server: options.host,
+                    database: options.database
+                });
+            } catch (err) {
+                logger.error('Database Connection Failed!', {
+                    error: err.message,
+                    server: options.host,
+                    database: options.database
+                });
+                throw err;
+            }
+        }
+        return pool;
+    }
+
+    return {
+        dialect,
+        connect,
+
+        async execute(sql, { signal } = {}) {
+            await connect();
+            const connection = await getConnection();
+            const cancelQuery = () => killQuery(connection);
+            if (signal) signal.addEventListener('abort', cancelQuery, { once: true });
+
+            let failed;
+            try {
+                const { rows, fields } = await run(connection, sql);
+                rows.columns = Object.fromEntries((fields || []).map((field, index) => [field.name, describeField(field, index)]));
+                return rows;
+            } catch (err) {
+                failed = err;
+                throw err;
+            } finally {
+                if (signal) signal.removeEventListener('abort', cancelQuery);
+                release(connection, failed);
+            }
+        },
+
+        async stream(sql) {
+            await connect();
+            const connection = await getConnection();
+            const query = connection.query({ sql, timeout: options.requestTimeout });
+            // Created right away so no row event is missed; it pauses the connection for back-pressure
+            const rows = query.stream({ highWaterMark: STREAM_BATCH_SIZE });
+            rows.on('error', () => {});
+            let released = false;
+            const done = err => {
+                if (released) return;
+                released = true;
+                release(connection, err);
+            };
+            rows.once('end', () => done());
+            rows.once('close', () => done());
+
+            const columns = await new Promise((resolve, reject) => {
+                query.once('fields', fields => resolve(fields.map(describeField)));
+                query.once('error', err => {
+                    done(err);
+                    reject(err);
+                });
+            });
+            return { columns, rows, cancel: () => killQuery(connection) };
+        },
+
+        async introspect() {
+            await connect();
+            const connection = await getConnection();
+            try {
+                const results = {};
+                for (const [name, sql] of Object.entries(CATALOG_QUERIES)) {
+                    // Every placeholder is the schema name
+                    results[name] = (await run(connection, sql, sql.match(/\?/g).map(() => dialect.schema))).rows;
+                }
+                return assembleSchema(results);
+            } finally {
+                connection.release();
+            }
+        },
+
+        async health() {
+            try {
+                await connect();
+                const connection = await getConnection();
+                try {
+                    await run(connection, 'SELECT 1 AS health_check');
+                } finally {
+                    connection.release();
+                }
+                return { healthy: true, connected: isConnected };
+            } catch (error) {
+                return { healthy: false, connected: isConnected, error: error.message };
+            }
+        },
+
+        describeError(err) {
+            let message = 'Error executing database query.';
+            if (err.code === 'PROTOCOL_SEQUENCE_TIMEOUT' || err.errno === 3024) {
+                message = 'Query execution timed out. Please try a simpler query.';
+            } else if (err.errno === 1045) {
+                message = 'Database authentication failed.';
+            } else if (err.code === 'ECONNREFUSED' || err.code === 'ENOTFOUND') {
+                message = 'Database server is not accessible.';
+            } else if (err.code === 'ECONNRESET' || err.code === 'PROTOCOL_CONNECTION_LOST') {
+                message = 'Database connection was reset. Please try again.';
+            } else if (err.errno === 1054) {
+                message = 'Invalid column name in the generated query.';
+            } else if (err.errno === 1146) {
+                message = 'Invalid table name in the generated query.';
+            }
+            return { message, number: err.errno, isRepairable: REPAIRABLE_ERROR_NUMBERS.has(err.errno) };
+        },
+
+        stats() {
+            return {
+                isConnected,
+                config: {
+                    client: dialect.name,
+                    server: options.host,
+                    database: options.database,
+                    port: options.port || 3306
+                }
+            };
+        },
+
+        async close() {
+            if (!pool) return;
+            const closing = pool;
+            pool = null;
+            isConnected = false;
+            await new Promise(resolve => closing.end(() => resolve()));
+        }
+    };
+}
+
+module.exports = { createMysqlAdapter };
@@ -0,0 +1,284 @@
+// src/services/dbAdapters/postgresAdapter.js
+const { Readable } = require('stream');
+const { getDialect } = require('../../utils/sqlDialects');
+const { assembleSchema } = require('./introspection');
+const logger = require('../../utils/logger');
+
+// SQLSTATEs caused by the query text itself: syntax errors, unknown/ambiguous columns, tables
+// and functions, GROUP BY misuse and type mismatches
+const REPAIRABLE_SQLSTATES = new Set(['42601', '42703', '42P01', '42702', '42803', '42883', '42804', '42P10', '42725']);
+
+// Type names of the common type OIDs, for column metadata
+const TYPE_NAMES = {
+    16: 'bool', 17: 'bytea', 20: 'int8', 21: 'int2', 23: 'int4', 25: 'text', 114: 'json', 700: 'float4',
+    701: 'float8', 790: 'money', 1042: 'bpchar', 1043: 'varchar', 1082: 'date', 1083: 'time',
+    1114: 'timestamp', 1184: 'timestamptz', 1266: 'timetz', 1700: 'numeric', 2950: 'uuid', 3802: 'jsonb'
+};
+const DATE_OID = 1082;
+const TIMESTAMP_OID = 1114;
+
+// Rows fetched per round trip when streaming
+const STREAM_BATCH_SIZE = 500;
+
+const CATALOG_QUERIES = {
+    columns: `
+        SELECT c.table_schema AS "tableSchema", c.table_name AS "tableName", c.column_name AS "columnName",
+            c.data_type AS "dataType", c.is_nullable = 'YES' AS nullable
+        FROM information_schema.columns c
+        JOIN information_schema.tables t ON t.table_schema = c.table_schema AND t.table_name = c.table_name
+        WHERE c.table_schema = $1 AND t.table_type IN ('BASE TABLE', 'VIEW')
+        ORDER BY c.table_name, c.ordinal_position`,
+    primaryKeys: `
+        SELECT k.table_schema AS "tableSchema", k.table_name AS "tableName", k.column_name AS "columnName"
+        FROM information_schema.table_constraints tc
+        JOIN information_schema.key_column_usage k ON k.constraint_schema = tc.constraint_schema AND k.constraint_name = tc.constraint_name
+        WHERE tc.constraint_type = 'PRIMARY KEY' AND tc.table_schema = $1
+        ORDER BY k.table_name, k.ordinal_position`,
+    foreignKeys: `
+        SELECT con.conname AS name, ns.nspname AS "tableSchema", cl.relname AS "tableName", a.attname AS "columnName",
+            rns.nspname AS "referencedSchema", rcl.relname AS "referencedTable", ra.attname AS "referencedColumn"
+        FROM pg_constraint con
+        JOIN pg_class cl ON cl.oid = con.conrelid
+        JOIN pg_namespace ns ON ns.oid = cl.relnamespace
+        JOIN pg_class rcl ON rcl.oid = con.confrelid
+        JOIN pg_namespace rns ON rns.oid = rcl.relnamespace
+        CROSS JOIN LATERAL unnest(con.conkey, con.confkey) WITH ORDINALITY AS k(attnum, refattnum, position)
+        JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+        JOIN pg_attribute ra ON ra.attrelid = con.confrelid AND ra.attnum = k.refattnum
+        WHERE con.contype = 'f' AND ns.nspname = $1
+        ORDER BY con.conname, k.position`,
+    // COMMENT ON TABLE/COLUMN; objsubid 0 describes the table itself
+    descriptions: `
+        SELECT ns.nspname AS "tableSchema", cl.relname AS "tableName", a.attname AS "columnName", d.description
+        FROM pg_description d
+        JOIN pg_class cl ON cl.oid = d.objoid AND d.classoid = 'pg_class'::regclass
+        JOIN pg_namespace ns ON ns.oid = cl.relnamespace
+        LEFT JOIN pg_attribute a ON d.objsubid > 0 AND a.attrelid = cl.oid AND a.attnum = d.objsubid
+        WHERE ns.nspname = $1 AND cl.relkind IN ('r', 'v', 'm', 'p')`
+};
+
+/**
+ * Column metadata in the shape mssql uses: `type.declaration` and, for numerics, `scale`
+ */
+function describeField(field, index) {
+    const column = { index, name: field.name, type: { declaration: TYPE_NAMES[field.dataTypeID] || null } };
+    if (field.dataTypeID === 1700 && field.dataTypeModifier >= 4) {
+        column.scale = (field.dataTypeModifier - 4) & 0xffff;
+    }
+    return column;
+}
+
+/**
+ * PostgreSQL adapter (pg). Sessions are read-only (default_transaction_read_only) and
+ * cancelled queries are stopped with pg_cancel_backend. There is no cost estimation.
+ * @param {Object} options - A database configuration (see config.database).
+ */
+function createPostgresAdapter(options) {
+    const pg = require('pg');
+    const Cursor = require('pg-cursor');
+    const dialect = getDialect(options);
+
+    // Dates and timestamps without a time zone are read as UTC, like mssql does, so the
+    // stored wall-clock time is kept whatever the server's time zone
+    const types = {
+        getTypeParser(oid, format) {
+            if (oid === DATE_OID) return value => new Date(`${value}T00:00:00Z`);
+            if (oid === TIMESTAMP_OID) return value => new Date(`${value.replace(' ', 'T')}Z`);
+            return pg.types.getTypeParser(oid, format);
+        }
+    };
+
+    let poolPromise = null;
+    let isConnected = false;
+
+    function connect() {
+        if (poolPromise) return poolPromise;
+
+        const pool = new pg.Pool({
+            host: options.host,
+            port: options.port || 5432,
+            user: options.user,
+            password: options.password,
+            database: options.database,
+            connectionTimeoutMillis: options.connectionTimeout,
+            statement_timeout: options.requestTimeout,
+            max: options.pool.max,
+            min: options.pool.min,
+            idleTimeoutMillis: options.pool.idleTimeoutMillis,
+            options: '-c default_transaction_read_only=on',
+            types
+        });
+        // Idle clients that lose their connection report it here
+        pool.on('error', err => {
+            logger.error('Database pool error:', err);
+            isConnected = false;
+        });
+
+        poolPromise = pool.query('SELECT 1')
+            .then(() => {
+                isConnected = true;
+                logger.info('✅ Connected to PostgreSQL successfully!', {
+                    server: options.host,
+                    database: options.database
+                });
+                return pool;
+            })
+            .catch(err => {
+                logger.error('Database Connection Failed!', {
+                    error: err.message,
+                    server: options.host,
+                    database: options.database
+                });
+                isConnected = false;
+                poolPromise = null;
+                pool.end().catch(() => {});
+                throw err;
+            });
+
+        return poolPromise;
+    }
+
+    /**
+     * Asks the server to cancel the statement a client is running
+     */
+    function cancelBackend(pool, client) {
+        pool.query('SELECT pg_cancel_backend($1)', [client.processID])
+            .catch(err => logger.warn('Could not cancel PostgreSQL query', { error: err.message }));
+    }
+
+    return {
+        dialect,
+        connect,
+
+        async execute(sql, { signal } = {}) {
+            const pool = await connect();
+            const client = await pool.connect();
+            const cancelQuery = () => cancelBackend(pool, client);
+            if (signal) signal.addEventListener('abort', cancelQuery, { once: true });
+
+            // Like pool.query, a client whose query failed is discarded
+            let failed;
+            try {
+                const result = await client.query(sql);
+                const rows = result.rows;
+                rows.columns = Object.fromEntries(result.fields.map((field, index) => [field.name, describeField(field, index)]));
+                return rows;
+            } catch (err) {
+                failed = err;
+                throw err;
+            } finally {
+                if (signal) signal.removeEventListener('abort', cancelQuery);
+                client.release(failed);
+            }
+        },
+
+        async stream(sql) {
+            const pool = await connect();
+            const client = await pool.connect();
+            const cursor = client.query(new Cursor(sql));
+            const read = () => new Promise((resolve, reject) => {
+                cursor.read(STREAM_BATCH_SIZE, (err, rows, result) => (err ? reject(err) : resolve({ rows, result })));
+            });
+
+            // The first batch carries the column metadata
+            let first;
+            try {
+                first = await read();
+            } catch (err) {
+                client.release(err);
+                throw err;
+            }
+
+            let started = false;
+            async function* generate() {
+                started = true;
+                let failed = null;
+                try {
+                    let batch = first.rows;
+                    while (batch.length > 0) {
+                        yield* batch;
+                        batch = (await read()).rows;
+                    }
+                } catch (err) {
+                    failed = err;
+                    throw err;
+                } finally {
+                    // A broken connection is discarded rather than returned to the pool
+                    if (failed) client.release(failed);
+                    else cursor.close(() => client.release());
+                }
+            }
+
+            const rows = Readable.from(generate());
+            // A stream destroyed before its first read never enters the generator
+            rows.once('close', () => {
+                if (!started) cursor.close(() => client.release());
+            });
+
+            return {
+                columns: first.result.fields.map(describeField),
+                rows,
+                cancel: () => cancelBackend(pool, client)
+            };
+        },
+
+        async introspect() {
+            const pool = await connect();
+            const results = {};
+            for (const [name, sql] of Object.entries(CATALOG_QUERIES)) {
+                results[name] = (await pool.query(sql, [dialect.schema])).rows;
+            }
+            return assembleSchema(results);
+        },
+
+        async health() {
+            try {
+                const pool = await connect();
+                await pool.query('SELECT 1 AS health_check');
+                return { healthy: true, connected: isConnected };
+            } catch (error) {
+                return { healthy: false, connected: isConnected, error: error.message };
+            }
+        },
+
+        describeError(err) {
+            let message = 'Error executing database query.';
+            if (err.code === '57014') {
+                message = 'Query execution timed out. Please try a simpler query.';
+            } else if (err.code === '28P01' || err.code === '28000') {
+                message = 'Database authentication failed.';
+            } else if (err.code === 'ECONNREFUSED' || err.code === 'ENOTFOUND') {
+                message = 'Database server is not accessible.';
+            } else if (err.code === 'ECONNRESET') {
+                message = 'Database connection was reset. Please try again.';
+            } else if (err.code === '42703') {
+                message = 'Invalid column name in the generated query.';
+            } else if (err.code === '42P01') {
+                message = 'Invalid table name in the generated query.';
+            }
+            return { message, number: err.code, isRepairable: REPAIRABLE_SQLSTATES.has(err.code) };
+        },
+
+        stats() {
+            return {
+                isConnected,
+                config: {
+                    client: dialect.name,
+                    server: options.host,
+                    database: options.database,
+                    port: options.port || 5432
+                }
+            };
+        },
+
+        async close() {
+            if (!poolPromise) return;
+            const pool = await poolPromise.catch(() => null);
+            poolPromise = null;
+            isConnected = false;
+            if (pool) await pool.end();
+        }
+    };
+}
+
+module.exports = { createPostgresAdapter };
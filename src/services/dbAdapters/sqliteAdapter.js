@@ -0,0 +1,186 @@
+// src/services/dbAdapters/sqliteAdapter.js
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { getDialect } = require('../../utils/sqlDialects');
+const { assembleSchema } = require('./introspection');
+const logger = require('../../utils/logger');
+
+// Errors caused by the query text itself, by message (SQLite reports them all as SQLITE_ERROR)
+const REPAIRABLE_MESSAGE = /no such (column|table|function)|ambiguous column name|syntax error|incomplete input|misuse of aggregate|GROUP BY|wrong number of arguments/i;
+
+const CATALOG_QUERIES = {
+    columns: `
+        SELECT 'main' AS tableSchema, m.name AS tableName, p.name AS columnName,
+            lower(trim(CASE WHEN instr(p.type, '(') > 0 THEN substr(p.type, 1, instr(p.type, '(') - 1) ELSE p.type END)) AS dataType,
+            p."notnull" = 0 AND p.pk = 0 AS nullable
+        FROM sqlite_master m
+        JOIN pragma_table_info(m.name) p
+        WHERE m.type IN ('table', 'view') AND m.name NOT LIKE 'sqlite_%'
+        ORDER BY m.name, p.cid`,
+    primaryKeys: `
+        SELECT 'main' AS tableSchema, m.name AS tableName, p.name AS columnName
+        FROM sqlite_master m
+        JOIN pragma_table_info(m.name) p
+        WHERE m.type = 'table' AND m.name NOT LIKE 'sqlite_%' AND p.pk > 0
+        ORDER BY m.name, p.pk`,
+    // Foreign keys have no names in SQLite; `to` is null when the parent's primary key is meant
+    foreignKeys: `
+        SELECT m.name || '_fk_' || f.id AS name, 'main' AS tableSchema, m.name AS tableName, f."from" AS columnName,
+            'main' AS referencedSchema, f."table" AS referencedTable, f."to" AS referencedColumn
+        FROM sqlite_master m
+        JOIN pragma_foreign_key_list(m.name) f
+        WHERE m.type = 'table' AND m.name NOT LIKE 'sqlite_%'
+        ORDER BY m.name, f.id, f.seq`
+};
+
+/**
+ * Column metadata in the shape mssql uses, from the declared type ('DECIMAL(10,2)' gives
+ * declaration 'decimal' and scale 2). Computed columns have no declared type.
+ */
+function describeColumn(column, index) {
+    const declared = column.type ? column.type.toLowerCase().match(/^([a-z ]+?)\s*(?:\(\s*\d+\s*(?:,\s*(\d+)\s*)?\))?$/) : null;
+    const described = { index, name: column.name, type: { declaration: declared ? declared[1] : null } };
+    if (declared && declared[2] !== undefined) described.scale = Number(declared[2]);
+    return described;
+}
+
+/**
+ * SQLite adapter (better-sqlite3) for local development and offline testing. The file is
+ * opened read-only. Queries run synchronously in-process, so they cannot be cancelled once
+ * started, and there is no cost estimation. SQLite has no table or column comments, so
+ * introspection returns no descriptions.
+ * @param {Object} options - A database configuration (see config.database); `filename` is the file.
+ */
+function createSqliteAdapter(options) {
+    // Loaded here so the native module is only needed when this engine is selected
+    const Database = require('better-sqlite3');
+    const dialect = getDialect(options);
+    const filename = path.resolve(options.filename);
+
+    let db = null;
+
+    function open() {
+        if (!fs.existsSync(filename)) {
+            throw new Error(`SQLite database not found at ${filename}`);
+        }
+        return new Database(filename, { readonly: true, fileMustExist: true });
+    }
+
+    async function connect() {
+        if (!db) {
+            db = open();
+            logger.info('✅ Opened SQLite database successfully!', { filename });
+        }
+        return db;
+    }
+
+    function describeStatement(statement) {
+        return statement.columns().map(describeColumn);
+    }
+
+    return {
+        dialect,
+        connect,
+
+        async execute(sql) {
+            const statement = (await connect()).prepare(sql);
+            if (!statement.reader) {
+                throw new Error('Only statements that return rows can be run.');
+            }
+            const rows = statement.all();
+            rows.columns = Object.fromEntries(describeStatement(statement).map(column => [column.name, column]));
+            return rows;
+        },
+
+        /**
+         * Streams from a connection of its own: a connection iterating a statement cannot
+         * run other queries until the iteration ends
+         */
+        async stream(sql) {
+            const streamDb = open();
+            let statement;
+            try {
+                statement = streamDb.prepare(sql);
+            } catch (err) {
+                streamDb.close();
+                throw err;
+            }
+
+            let cancelled = false;
+            function* generate() {
+                try {
+                    for (const row of statement.iterate()) {
+                        if (cancelled) return;
+                        yield row;
+                    }
+                } finally {
+                    streamDb.close();
+                }
+            }
+
+            const rows = Readable.from(generate());
+            // A stream destroyed before its first read never enters the generator
+            rows.once('close', () => {
+                if (streamDb.open) streamDb.close();
+            });
+
+            return {
+                columns: describeStatement(statement),
+                rows,
+                cancel: () => {
+                    cancelled = true;
+                }
+            };
+        },
+
+        async introspect() {
+            const database = await connect();
+            const results = {};
+            for (const [name, sql] of Object.entries(CATALOG_QUERIES)) {
+                results[name] = database.prepare(sql).all();
+            }
+            return assembleSchema(results);
+        },
+
+        async health() {
+            try {
+                (await connect()).prepare('SELECT 1 AS health_check').get();
+                return { healthy: true, connected: db !== null };
+            } catch (error) {
+                return { healthy: false, connected: db !== null, error: error.message };
+            }
+        },
+
+        describeError(err) {
+            let message = 'Error executing database query.';
+            if (/no such column/i.test(err.message)) {
+                message = 'Invalid column name in the generated query.';
+            } else if (/no such table/i.test(err.message)) {
+                message = 'Invalid table name in the generated query.';
+            }
+            return {
+                message,
+                number: err.code,
+                isRepairable: err.code === 'SQLITE_ERROR' && REPAIRABLE_MESSAGE.test(err.message)
+            };
+        },
+
+        stats() {
+            return {
+                isConnected: db !== null,
+                config: {
+                    client: dialect.name,
+                    database: filename
+                }
+            };
+        },
+
+        async close() {
+            if (db) db.close();
+            db = null;
+        }
+    };
+}
+
+module.exports = { createSqliteAdapter };
@@ -1,120 +1,81 @@
-const mssql = require('mssql');
 const config = require('../config');
+const sqlValidationService = require('./sqlValidationService');
+const rowSecurityService = require('./rowSecurityService');
+const { createAdapter } = require('./dbAdapters');
+const { getDataSources, getDataSource } = require('../utils/dataSources');
+const { throwIfCancelled, cancellationError } = require('../utils/cancellation');
 const logger = require('../utils/logger');
 
-// Enhanced configuration with better error handling and timeouts
-const dbConfig = {
-    server: config.database.host,
-    user: config.database.user,
-    password: config.database.password,
-    database: config.database.database,
-    port: config.database.port,
-    connectionTimeout: config.database.connectionTimeout,
-    requestTimeout: config.database.requestTimeout,
-    pool: config.database.pool,
-    options: {
-        encrypt: false,
-        trustServerCertificate: true,
-        enableArithAbort: true,
-    },
-};
-
-let poolPromise = null;
-let isConnected = false;
-
-function getPool() {
-    if (poolPromise) return poolPromise;
-
-    poolPromise = new mssql.ConnectionPool(dbConfig)
-        .connect()
-        .then(pool => {
-            isConnected = true;
-            logger.info('✅ Connected to SQL Server successfully!', {
-                server: config.database.host,
-                database: config.database.database
-            });
-
-            // Handle pool errors
-            pool.on('error', err => {
-                logger.error('Database pool error:', err);
-                isConnected = false;
-                poolPromise = null;
-            });
-
-            return pool;
-        })
-        .catch(err => {
-            logger.error('Database Connection Failed!', {
-                error: err.message,
-                server: config.database.host,
-                database: config.database.database
-            });
-            isConnected = false;
-            poolPromise = null;
-            throw err;
-        });
+// Adapters by data source name, each with its own connection pool
+const adapters = new Map();
+
+/**
+ * Returns the adapter of a data source's engine, creating it on first use
+ */
+function getAdapter(dataSource) {
+    if (!adapters.has(dataSource.name)) {
+        const adapter = createAdapter(dataSource.database);
+        adapters.set(dataSource.name, adapter);
+        logger.info(`Database adapter initialized: ${adapter.dialect.name}`, { dataSource: dataSource.name });
+    }
+    return adapters.get(dataSource.name);
+}
 
-    return poolPromise;
+/**
+ * Applies the read-only safety rules and the table/column allowlist to a query (see
+ * sqlValidationService.validateSql). Throws if the query is not allowed.
+ * @param {string} query - The SQL to check.
+ * @param {Object} [dataSource] - The source it is meant for (see utils/dataSources); the default if omitted.
+ */
+function validateQuery(query, dataSource = getDataSource()) {
+    sqlValidationService.validateSql(query, dataSource);
 }
 
 /**
  * Enhanced SQL execution with comprehensive security checks and monitoring
+ * @param {string} query - The SQL to run.
+ * @param {Object} [options]
+ * @param {Object} [options.identity] - The requester, whose row security policies are
+ *   applied to the query (see rowSecurityService). Without one, no rows are filtered.
+ * @param {Object} [options.dataSource] - The source to run it on (see utils/dataSources); the default if omitted.
+ * @param {AbortSignal} [options.signal] - Cancels the query on the server (where the engine allows it).
  */
-async function executeQuery(query) {
+async function executeQuery(query, { identity = null, dataSource = getDataSource(), signal } = {}) {
     const startTime = Date.now();
     
-    // Input validation
-    if (!query || query.trim() === '') {
-        throw new Error('SQL query cannot be empty');
-    }
-
-    // Security validation - only allow SELECT statements
-    const cleanQuery = query.trim().toUpperCase();
-    if (!cleanQuery.startsWith('SELECT')) {
-        logger.warn(`Non-SELECT query attempted: ${query.substring(0, 100)}`);
-        throw new Error('For security reasons, only SELECT queries are allowed.');
-    }
-
-    // Additional security checks
-    const dangerousPatterns = [
-        /;\s*(DROP|DELETE|UPDATE|INSERT|ALTER|CREATE|TRUNCATE|EXEC|EXECUTE)/i,
-        /xp_cmdshell/i,
-        /sp_executesql/i,
-        /--[^\r\n]*$/m,
-        /\/\*[\s\S]*?\*\//,
-    ];
-
-    const hasDangerousPattern = dangerousPatterns.some(pattern => pattern.test(query));
-    if (hasDangerousPattern) {
-        logger.warn(`Potentially dangerous SQL pattern detected: ${query.substring(0, 100)}`);
-        throw new Error('Query contains potentially unsafe patterns.');
-    }
+    validateQuery(query, dataSource);
+    query = rowSecurityService.applyRowSecurity(query, identity, dataSource);
+    throwIfCancelled(signal, 'SQL execution');
 
+    const database = getAdapter(dataSource);
     try {
-        const pool = await getPool();
-        
-        // Create request with timeout
-        const request = pool.request();
-        request.timeout = config.database.requestTimeout;
+        await database.connect();
+        throwIfCancelled(signal, 'SQL execution');
 
         logger.debug('Executing SQL query', {
             query: query.substring(0, 200) + (query.length > 200 ? '...' : ''),
-            queryLength: query.length
+            queryLength: query.length,
+            dataSource: dataSource.name
         });
 
-        const result = await request.query(query);
+        const rows = await database.execute(query, { signal });
         const executionTime = Date.now() - startTime;
 
         logger.info('SQL query executed successfully', {
             executionTime,
-            rowCount: result.recordset.length,
+            rowCount: rows.length,
             queryLength: query.length
         });
 
-        return result.recordset;
+        return rows;
 
     } catch (err) {
         const executionTime = Date.now() - startTime;
+
+        if (signal && signal.aborted) {
+            logger.warn('SQL query cancelled', { executionTime, reason: err.message });
+            throw err.isCancellation ? err : cancellationError(signal, 'SQL execution');
+        }
         
         logger.error('SQL query execution error', {
             error: err.message,
@@ -124,55 +85,175 @@ async function executeQuery(query) {
             sqlNumber: err.number
         });
 
-        // Provide more helpful error messages
-        let userFriendlyMessage = 'Error executing database query.';
-        
-        if (err.code === 'ETIMEOUT') {
-            userFriendlyMessage = 'Query execution timed out. Please try a simpler query.';
-        } else if (err.code === 'ELOGIN') {
-            userFriendlyMessage = 'Database authentication failed.';
-        } else if (err.code === 'ECONNRESET') {
-            userFriendlyMessage = 'Database connection was reset. Please try again.';
-        } else if (err.number === 2) { // SQL Server error numbers
-            userFriendlyMessage = 'Database server is not accessible.';
-        } else if (err.number === 207) {
-            userFriendlyMessage = 'Invalid column name in the generated query.';
-        } else if (err.number === 208) {
-            userFriendlyMessage = 'Invalid table name in the generated query.';
-        }
+        const { message, number, isRepairable } = database.describeError(err);
+        const queryError = new Error(`${message} Technical details: ${err.message}`);
+        queryError.sqlNumber = number;
+        queryError.dbMessage = err.message;
+        queryError.isRepairable = isRepairable;
+        throw queryError;
+    }
+}
+
+/**
+ * Runs a query in streaming mode (`request.stream = true`) so large results are never held
+ * in memory. Resolves once the database has sent the column metadata.
+ * @param {string} query - The SELECT to run; the usual safety checks apply.
+ * @param {Object} [options]
+ * @param {Object} [options.identity] - The requester, for row security (see executeQuery).
+ * @param {Object} [options.dataSource] - The source to run it on (see executeQuery).
+ * @returns {Promise<{columns: Array<Object>, rows: import('stream').Readable, cancel: Function}>}
+ *   `columns` is in SELECT-list order; `rows` is an object-mode stream with back-pressure;
+ *   `cancel` stops the query on the server.
+ */
+async function streamQuery(query, { identity = null, dataSource = getDataSource() } = {}) {
+    validateQuery(query, dataSource);
+    query = rowSecurityService.applyRowSecurity(query, identity, dataSource);
 
-        throw new Error(`${userFriendlyMessage} Technical details: ${err.message}`);
+    let stream;
+    try {
+        stream = await getAdapter(dataSource).stream(query);
+    } catch (err) {
+        logger.error('SQL streaming query error', {
+            error: err.message,
+            query: query.substring(0, 200) + (query.length > 200 ? '...' : ''),
+            sqlNumber: err.number
+        });
+        throw new Error(`Error executing database query. Technical details: ${err.message}`);
     }
+
+    logger.debug('Streaming SQL query started', { columnCount: stream.columns.length });
+    return stream;
 }
 
 /**
- * Health check for the database connection
+ * Compiles a query without running it and summarises its estimated execution plan (see
+ * utils/queryPlan). Only engines whose adapter can estimate plans (SQL Server) support it.
+ * @param {string} query - The SELECT to estimate; the usual safety checks apply.
+ * @param {Object} [options]
+ * @param {Object} [options.identity] - The requester, for row security (see executeQuery).
+ * @param {Object} [options.dataSource] - The source to estimate it on (see executeQuery).
+ * @param {AbortSignal} [options.signal] - Cancels the compilation on the server.
+ * @returns {Promise<?{cost: number, rows: number, maxOperatorRows: number, operators: Array<Object>}>}
+ *   Null if the engine cannot estimate plans.
  */
-async function healthCheck() {
+async function estimateQuery(query, { identity = null, dataSource = getDataSource(), signal } = {}) {
+    const database = getAdapter(dataSource);
+    if (!database.estimate) return null;
+
+    validateQuery(query, dataSource);
+    query = rowSecurityService.applyRowSecurity(query, identity, dataSource);
+    throwIfCancelled(signal, 'cost estimation');
+    return database.estimate(query, { signal });
+}
+
+function formatRows(rows) {
+    return Math.round(rows).toLocaleString('en-US');
+}
+
+/**
+ * Explains why a plan is over the limits, in terms the SQL repair step can act on
+ */
+function describeCostViolation(plan, violations) {
+    const operators = plan.operators.slice(0, 3).map(operator =>
+        `${operator.operation}${operator.table ? ` on ${operator.table}` : ''} (${formatRows(operator.rows)} rows)`);
+    return `The estimated execution plan is too expensive: ${violations.join('; ')}. `
+        + `Largest operators: ${operators.join(', ')}. `
+        + 'Rewrite the query to read fewer rows, e.g. filter before joining, join on key columns, '
+        + 'aggregate before joining, or drop joins the question does not need.';
+}
+
+/**
+ * Checks a query's estimated plan against config.costGuard before it runs. Over the limits,
+ * the query is rejected ('reject' mode) or only logged ('warn' mode). If no plan can be
+ * obtained (e.g. the login lacks SHOWPLAN permission, or the engine has no estimates), the
+ * query is let through and only the request timeout limits it.
+ * @param {string} query - The SELECT about to run.
+ * @param {Object} [options]
+ * @param {Object} [options.identity] - The requester, for row security (see executeQuery).
+ * @param {Object} [options.dataSource] - The source it will run on (see executeQuery).
+ * @param {AbortSignal} [options.signal] - Cancels the estimation.
+ * @returns {Promise<?Object>} The plan summary, or null if the guard is disabled or no plan was obtained.
+ * @throws {Error} A QUERY_TOO_EXPENSIVE error (422) whose `dbMessage` tells the model how to make the query cheaper.
+ */
+async function checkQueryCost(query, { identity = null, dataSource, signal } = {}) {
+    const { costGuard } = config;
+    if (!costGuard.enabled) return null;
+
+    let plan;
     try {
-        const result = await executeQuery('SELECT 1 as health_check');
-        return { healthy: true, connected: isConnected };
-    } catch (error) {
-        return { healthy: false, connected: isConnected, error: error.message };
+        plan = await estimateQuery(query, { identity, dataSource, signal });
+    } catch (err) {
+        throwIfCancelled(signal, 'cost estimation');
+        if (err.statusCode) throw err;
+        logger.warn('Could not get the estimated plan, skipping the cost check', { error: err.message });
+        return null;
+    }
+    if (!plan) return null;
+
+    const violations = [];
+    if (plan.cost > costGuard.maxSubtreeCost) {
+        violations.push(`estimated subtree cost ${plan.cost.toFixed(1)} (limit ${costGuard.maxSubtreeCost})`);
+    }
+    if (plan.maxOperatorRows > costGuard.maxEstimatedRows) {
+        violations.push(`${formatRows(plan.maxOperatorRows)} estimated rows in one operator (limit ${formatRows(costGuard.maxEstimatedRows)})`);
     }
+    logger.debug('Estimated query cost', { cost: plan.cost, rows: plan.rows, maxOperatorRows: plan.maxOperatorRows });
+
+    if (violations.length === 0) return plan;
+
+    const reason = describeCostViolation(plan, violations);
+    if (costGuard.mode === 'warn') {
+        logger.warn('Query exceeds the cost limits, running it anyway', { reason });
+        return plan;
+    }
+
+    logger.warn('Rejected expensive query', { reason });
+    const error = new Error(`The query is too expensive to run. ${reason}`);
+    error.statusCode = 422;
+    error.code = 'QUERY_TOO_EXPENSIVE';
+    error.dbMessage = reason;
+    error.isRepairable = true;
+    error.plan = plan;
+    throw error;
 }
 
 /**
- * Get database connection statistics
+ * Health check for the database connection of every data source. Healthy only if all are.
+ * @returns {Promise<{healthy: boolean, dataSources: Object<string, Object>}>}
  */
-function getConnectionStats() {
+async function healthCheck() {
+    const sources = [...getDataSources().values()];
+    const results = await Promise.all(sources.map(dataSource => getAdapter(dataSource).health()));
     return {
-        isConnected,
-        config: {
-            server: config.database.host,
-            database: config.database.database,
-            port: config.database.port
-        }
+        healthy: results.every(result => result.healthy),
+        dataSources: Object.fromEntries(sources.map((dataSource, index) => [dataSource.name, results[index]]))
     };
 }
 
+/**
+ * Get database connection statistics, by data source name
+ */
+function getConnectionStats() {
+    return Object.fromEntries([...getDataSources().values()].map(dataSource => [dataSource.name, getAdapter(dataSource).stats()]));
+}
+
+/**
+ * Reads the tables of a data source's schema from its database catalog, with their columns,
+ * primary and foreign keys and the descriptions stored in the catalog (where the engine has them)
+ * @param {Object} [dataSource] - See utils/dataSources; the default source if omitted.
+ * @returns {Promise<Array<{schema: string, name: string, description: ?string, columns: Array<Object>, primaryKey: string[], foreignKeys: Array<Object>}>>}
+ */
+async function introspectSchema(dataSource = getDataSource()) {
+    return getAdapter(dataSource).introspect();
+}
+
 module.exports = { 
     executeQuery, 
+    validateQuery,
+    streamQuery,
+    estimateQuery,
+    checkQueryCost,
+    introspectSchema,
     healthCheck, 
     getConnectionStats 
 };
\ No newline at end of file
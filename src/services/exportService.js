@@ -0,0 +1,159 @@
+// src/services/exportService.js
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const ExcelJS = require('exceljs');
+const dbService = require('./dbService');
+const privacyService = require('./privacyService');
+const { serialiseValue, typeOf, decimalScale, DECIMAL_TYPES, DATE_TYPES, DATETIME_TYPES } = require('../utils/resultSerialiser');
+const logger = require('../utils/logger');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+function escapeCsv(value) {
+    if (value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvTransform(columns, stats, prepareRow) {
+    let headerWritten = false;
+    const header = () => {
+        headerWritten = true;
+        // The BOM makes Excel open the file as UTF-8
+        return '\uFEFF' + columns.map(column => escapeCsv(column.name)).join(',') + '\r\n';
+    };
+
+    return new Transform({
+        writableObjectMode: true,
+        transform(sourceRow, encoding, callback) {
+            stats.rowCount++;
+            const row = prepareRow(sourceRow);
+            const line = columns.map(column => escapeCsv(serialiseValue(row[column.name], column))).join(',') + '\r\n';
+            callback(null, headerWritten ? line : header() + line);
+        },
+        flush(callback) {
+            callback(null, headerWritten ? '' : header());
+        }
+    });
+}
+
+function ndjsonTransform(columns, stats, prepareRow) {
+    return new Transform({
+        writableObjectMode: true,
+        transform(sourceRow, encoding, callback) {
+            stats.rowCount++;
+            const row = prepareRow(sourceRow);
+            // Keys follow the SELECT list order
+            const record = {};
+            columns.forEach(column => {
+                record[column.name] = serialiseValue(row[column.name], column);
+            });
+            callback(null, JSON.stringify(record) + '\n');
+        }
+    });
+}
+
+/**
+ * Writes rows to a streaming XLSX workbook. Dates and decimals are stored as real Excel
+ * values with a number format, so they sort and sum correctly in Excel.
+ */
+async function writeXlsx(columns, rows, output, stats, prepareRow) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+    const worksheet = workbook.addWorksheet('Results');
+
+    worksheet.columns = columns.map(column => {
+        const type = typeOf(column);
+        let numFmt;
+        if (DATE_TYPES.includes(type)) numFmt = 'yyyy-mm-dd';
+        else if (DATETIME_TYPES.includes(type)) numFmt = 'yyyy-mm-dd hh:mm:ss';
+        else if (DECIMAL_TYPES.includes(type)) numFmt = decimalScale(column) > 0 ? `0.${'0'.repeat(decimalScale(column))}` : '0';
+
+        return {
+            header: column.name,
+            key: column.name,
+            width: Math.min(Math.max(column.name.length + 2, 12), 50),
+            style: numFmt ? { numFmt } : undefined
+        };
+    });
+
+    for await (const sourceRow of rows) {
+        stats.rowCount++;
+        const row = prepareRow(sourceRow);
+        const values = {};
+        columns.forEach(column => {
+            const value = row[column.name];
+            values[column.name] = value instanceof Date || typeof value === 'number' || typeof value === 'boolean'
+                ? value
+                : serialiseValue(value, column);
+        });
+        worksheet.addRow(values).commit();
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+}
+
+/**
+ * Streams the results of a query to an HTTP response as CSV, NDJSON or XLSX. Rows are read
+ * from the database in streaming mode, so memory use does not grow with the result size.
+ * Text formats encode values like the API responses do (see utils/resultSerialiser).
+ * @param {string} sql - The SELECT to export.
+ * @param {string} format - One of the keys of EXPORT_FORMATS.
+ * @param {import('express').Response} res - The response to write to.
+ * @param {string} [baseName] - File name without extension.
+ * @param {Object} [policy] - Sensitive-column policy to apply (see privacyService.createResultPolicy).
+ * @param {Object} [identity] - The requester, whose row security policies apply.
+ * @param {Object} [dataSource] - The source to run the query on (default source when omitted).
+ * @returns {Promise<{rowCount: number, columns: string[]}>} What was exported.
+ */
+async function exportQuery(sql, format, res, baseName = 'query-results', policy = null, identity = null, dataSource = undefined) {
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+        const error = new Error(`Unsupported export format. Allowed values: ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const startTime = Date.now();
+    const { columns: sourceColumns, rows, cancel } = await dbService.streamQuery(sql, { identity, dataSource });
+    const columns = policy ? privacyService.visibleColumns(sourceColumns, policy) : sourceColumns;
+    const prepareRow = policy ? row => privacyService.applyToRow(row, policy) : row => row;
+
+    // Stop reading from the database if the client goes away
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            logger.warn('Export aborted by client, cancelling query');
+            cancel();
+        }
+    });
+
+    res.set({
+        'Content-Type': exportFormat.contentType,
+        'Content-Disposition': `attachment; filename="${baseName}.${exportFormat.extension}"`
+    });
+
+    const stats = { rowCount: 0 };
+    if (format === 'xlsx') {
+        await writeXlsx(columns, rows, res, stats, prepareRow);
+    } else {
+        const transform = format === 'csv' ? csvTransform(columns, stats, prepareRow) : ndjsonTransform(columns, stats, prepareRow);
+        await pipeline(rows, transform, res);
+    }
+
+    logger.info('Query results exported', {
+        format,
+        rowCount: stats.rowCount,
+        columnCount: columns.length,
+        durationMs: Date.now() - startTime
+    });
+    return { rowCount: stats.rowCount, columns: columns.map(column => column.name) };
+}
+
+module.exports = {
+    exportQuery,
+    EXPORT_FORMATS
+};
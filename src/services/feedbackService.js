@@ -0,0 +1,108 @@
+// src/services/feedbackService.js
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const config = require('../config');
+const dbService = require('./dbService');
+const ragService = require('./ragService');
+const cacheService = require('./cacheService');
+const accessService = require('./accessService');
+const { getDataSource } = require('../utils/dataSources');
+const logger = require('../utils/logger');
+
+// Answers that can still receive feedback, by response id
+const responseCache = new NodeCache({
+    stdTTL: config.feedback.responseTtlHours * 3600,
+    checkperiod: 600,
+    useClones: false
+});
+
+/**
+ * Remembers an answer so that feedback can be given on it, and returns its response id.
+ * @param {Object} response
+ * @param {string} response.userId - The user who asked.
+ * @param {string} response.sessionId - The session of the answer.
+ * @param {string} response.question - The question as typed.
+ * @param {string} response.standaloneQuestion - The rewritten question the SQL answers.
+ * @param {string} response.sql - The executed SQL.
+ * @param {string} response.dataSource - Name of the data source it ran on.
+ * @returns {string} The response id.
+ */
+function registerResponse(response) {
+    const responseId = crypto.randomUUID();
+    responseCache.set(responseId, { ...response, answeredAt: new Date().toISOString() });
+    return responseId;
+}
+
+/**
+ * Records a rating on an answer and updates the verified examples:
+ * - corrected SQL is stored as the verified SQL for the question;
+ * - a thumbs up stores the executed SQL as verified;
+ * - a thumbs down removes the executed SQL from the examples (if it was verified before)
+ *   and from the answer cache.
+ * @param {Object} feedback
+ * @param {string} feedback.responseId - The `responseId` of an /ask response.
+ * @param {'up'|'down'} feedback.rating - Thumbs up or down.
+ * @param {string} [feedback.correctedSql] - The SQL that should have been generated.
+ * @param {string} [feedback.comment] - Free-text remark, logged with the feedback.
+ * @param {string} userId - The caller; must be the user who asked.
+ * @param {string[]} [roles] - The caller's roles; corrected SQL may only use what they allow.
+ * @returns {Promise<{responseId: string, rating: string, example: ?('stored'|'removed')}>}
+ */
+async function submitFeedback({ responseId, rating, correctedSql, comment }, userId, roles) {
+    const response = responseCache.get(responseId);
+    if (!response || response.userId !== userId) {
+        const error = new Error('Response not found, or too old to receive feedback.');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    // Corrections are checked against, and examples kept with, the source the answer came from
+    const dataSource = getDataSource(response.dataSource);
+    if (correctedSql) {
+        try {
+            dbService.validateQuery(correctedSql, dataSource);
+        } catch (validationError) {
+            validationError.statusCode = 400;
+            throw validationError;
+        }
+        accessService.checkQuery(correctedSql, roles, dataSource);
+    }
+
+    let example = null;
+    if (correctedSql || rating === 'up') {
+        await ragService.addVerifiedExample({
+            question: response.standaloneQuestion,
+            sql: correctedSql || response.sql,
+            source: correctedSql ? 'corrected' : 'approved',
+            responseId,
+            dataSource
+        });
+        example = 'stored';
+    } else if (await ragService.removeVerifiedExample(response.standaloneQuestion, response.sql, dataSource)) {
+        example = 'removed';
+    }
+
+    if (rating === 'down') {
+        cacheService.evictSql(response.sql);
+    }
+
+    logger.info('Answer feedback received', {
+        responseId,
+        rating,
+        corrected: Boolean(correctedSql),
+        comment,
+        userId,
+        sessionId: response.sessionId,
+        dataSource: dataSource.name,
+        question: response.standaloneQuestion,
+        sql: response.sql,
+        correctedSql
+    });
+
+    return { responseId, rating, example };
+}
+
+module.exports = {
+    registerResponse,
+    submitFeedback
+};
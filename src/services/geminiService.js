@@ -1,7 +1,16 @@
 // src/services/geminiService.js
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const config = require('../config');
-const { createSqlGenerationPrompt, createAnalysisPrompt } = require('../utils/promptManager');
+const {
+    createSqlGenerationPrompt,
+    createSqlRepairPrompt,
+    createFollowUpClassificationPrompt,
+    createSqlRefinementPrompt,
+    createAnalysisPrompt,
+    createChartPrompt,
+    createSchemaDescriptionPrompt
+} = require('../utils/promptManager');
+const { throwIfCancelled, delay } = require('../utils/cancellation');
 const logger = require('../utils/logger');
 
 const genAI = new GoogleGenerativeAI(config.gemini.apiKey);
@@ -12,38 +21,82 @@ const LIMITS = {
     MAX_ANALYSIS_CHARS: 50000,    // Maximum characters in analysis data
     SQL_TIMEOUT_MS: 15000,        // 15 seconds timeout for SQL generation
     ANALYSIS_TIMEOUT_MS: 20000,   // 20 seconds timeout for analysis
+    CHART_TIMEOUT_MS: 8000,       // 8 seconds timeout for chart recommendation
+    DESCRIPTION_TIMEOUT_MS: 30000, // 30 seconds timeout for drafting schema descriptions
     MAX_SCHEMA_LENGTH: 10000      // Maximum schema context length
 };
 
 /**
- * Generates a T-SQL query from a user's question with timeout protection.
+ * Limit schema context size to prevent long processing
  */
-async function generateSql(question, schemaContext) {
-    const startTime = Date.now();
-    
-    // Limit schema context size to prevent long processing
+function limitSchemaContext(schemaContext) {
     if (schemaContext.length > LIMITS.MAX_SCHEMA_LENGTH) {
         logger.warn(`Schema context truncated from ${schemaContext.length} to ${LIMITS.MAX_SCHEMA_LENGTH} chars`);
-        schemaContext = schemaContext.substring(0, LIMITS.MAX_SCHEMA_LENGTH) + '\n... (truncated)';
+        return schemaContext.substring(0, LIMITS.MAX_SCHEMA_LENGTH) + '\n... (truncated)';
+    }
+    return schemaContext;
+}
+
+/**
+ * Parses the JSON object of a reply, ignoring code fences and text around it
+ */
+function parseJsonReply(text, label) {
+    const cleaned = text.replace(/```(json)?/gi, '').trim();
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new Error(`${label} is not valid JSON`);
+    }
+    return JSON.parse(cleaned.substring(start, end + 1));
+}
+
+/**
+ * Parses a `CLARIFY {...}` reply into { question, options, lookupSql }.
+ * Returns null if the reply is not a clarification.
+ */
+function parseClarification(text) {
+    const cleaned = text.replace(/```(json)?/gi, '').trim();
+    if (!/^CLARIFY\b/i.test(cleaned)) {
+        return null;
+    }
+
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new Error('Model asked for clarification without a valid JSON payload');
+    }
+
+    const parsed = JSON.parse(cleaned.substring(start, end + 1));
+    if (!parsed.question || typeof parsed.question !== 'string') {
+        throw new Error('Model clarification is missing a question');
     }
 
+    return {
+        question: parsed.question.trim(),
+        options: Array.isArray(parsed.options) ? parsed.options.map(String) : [],
+        lookupSql: typeof parsed.lookupSql === 'string' && parsed.lookupSql.trim() ? parsed.lookupSql.trim() : null
+    };
+}
+
+/**
+ * Sends a SQL prompt to the model with retries and timeout protection, and cleans the reply
+ * into a single SELECT statement (which may start with WITH). When `allowClarification` is set and the model asks a
+ * clarifying question, an error carrying a `clarification` property is thrown immediately.
+ * Aborting `signal` aborts the call in flight and stops the retries.
+ */
+async function requestSql(fullPrompt, label, { allowClarification = false, signal } = {}) {
+    const startTime = Date.now();
     let lastError = null;
 
     for (let attempt = 1; attempt <= config.gemini.maxRetries; attempt++) {
+        throwIfCancelled(signal, label);
         try {
             const model = genAI.getGenerativeModel({ model: config.gemini.sqlModel });
-            const systemPrompt = createSqlGenerationPrompt(schemaContext);
-            const fullPrompt = `${systemPrompt}\n\nUser question: "${question}"`;
 
-            logger.debug(`Generating SQL - Attempt ${attempt}`);
+            logger.debug(`${label} - Attempt ${attempt}`);
             
-            // Add timeout protection
-            const result = await Promise.race([
-                model.generateContent(fullPrompt),
-                new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error('SQL generation timeout')), LIMITS.SQL_TIMEOUT_MS)
-                )
-            ]);
+            // The call is aborted on timeout or cancellation
+            const result = await model.generateContent(fullPrompt, { timeout: LIMITS.SQL_TIMEOUT_MS, signal });
             
             const response = await result.response;
             let sqlQuery = response.text().trim();
@@ -52,23 +105,36 @@ async function generateSql(question, schemaContext) {
                 throw new Error("This question cannot be answered using the available database schema.");
             }
 
+            const clarification = allowClarification ? parseClarification(sqlQuery) : null;
+            if (clarification) {
+                const clarificationError = new Error(`Clarification needed: ${clarification.question}`);
+                clarificationError.clarification = clarification;
+                throw clarificationError;
+            }
+
             sqlQuery = sqlQuery.replace(/```sql/gi, '').replace(/```/g, '').replace(/^\s*sql\s*/i, '').trim();
 
-            if (!sqlQuery.toUpperCase().startsWith('SELECT')) {
+            // Statement types are checked by sqlValidationService.validateSql; CTEs start with WITH
+            if (!/^(SELECT|WITH)\b/i.test(sqlQuery)) {
                 throw new Error(`Generated query is not a SELECT statement: ${sqlQuery.substring(0, 100)}`);
             }
             if (!sqlQuery.endsWith(';')) {
                 sqlQuery += ';';
             }
 
-            logger.info(`SQL generated successfully in ${Date.now() - startTime}ms`);
+            logger.info(`${label} succeeded in ${Date.now() - startTime}ms`);
             return sqlQuery;
 
         } catch (error) {
+            if (error.clarification) {
+                logger.info(`${label} needs clarification`, { question: error.clarification.question });
+                throw error;
+            }
+            throwIfCancelled(signal, label);
             lastError = error;
-            logger.warn(`SQL generation attempt ${attempt} failed`, { error: error.message });
+            logger.warn(`${label} attempt ${attempt} failed`, { error: error.message });
             if (attempt < config.gemini.maxRetries) {
-                await new Promise(resolve => setTimeout(resolve, config.gemini.retryDelay * attempt));
+                await delay(config.gemini.retryDelay * attempt, signal, label);
             }
         }
     }
@@ -76,14 +142,86 @@ async function generateSql(question, schemaContext) {
 }
 
 /**
- * Intelligently truncate data for analysis
+ * Generates a query in a data source's SQL dialect from a user's question with timeout protection.
+ * If the model finds the question ambiguous, the thrown error carries a `clarification`
+ * property ({ question, options, lookupSql }) instead. `examples` are verified
+ * question/SQL pairs included as few-shot demonstrations. `dialect` is the source's dialect
+ * (the default source's when omitted). `signal` cancels the call.
+ */
+async function generateSql(question, schemaContext, { allowClarification = config.clarification.enabled, examples = [], dialect, signal } = {}) {
+    const systemPrompt = createSqlGenerationPrompt(limitSchemaContext(schemaContext), { allowClarification, examples, dialect });
+    const fullPrompt = `${systemPrompt}\n\nUser question: "${question}"`;
+    return requestSql(fullPrompt, 'SQL generation', { allowClarification, signal });
+}
+
+/**
+ * Asks the model to correct a query that the database rejected, given the error text.
+ * @param {string} question - The standalone user question.
+ * @param {string} schemaContext - The schemas retrieved for the question.
+ * @param {string} failedSql - The query that failed.
+ * @param {string} errorMessage - The error text returned by the database.
+ * @param {Object} [options]
+ * @param {Object} [options.dialect] - The dialect of the data source the query ran on.
+ * @param {AbortSignal} [options.signal] - Cancels the call.
+ * @returns {Promise<string>} The corrected query.
  */
-function truncateDataForAnalysis(queryResults) {
+async function repairSql(question, schemaContext, failedSql, errorMessage, { dialect, signal } = {}) {
+    const prompt = createSqlRepairPrompt(limitSchemaContext(schemaContext), question, failedSql, errorMessage, dialect);
+    return requestSql(prompt, 'SQL repair', { signal });
+}
+
+/**
+ * Edits the previous query of the session for a refinement follow-up
+ * (a new filter, grouping, sort order or row limit).
+ * @param {string} followUpQuestion - The user's message, as typed.
+ * @param {string} schemaContext - The schemas retrieved for the question.
+ * @param {{sql: string, question: string}} lastQuery - The last successful query and its question.
+ * @param {Object} [options]
+ * @param {Object} [options.dialect] - The dialect of the data source the previous query ran on.
+ * @param {AbortSignal} [options.signal] - Cancels the call.
+ * @returns {Promise<string>} The edited query.
+ */
+async function refineSql(followUpQuestion, schemaContext, lastQuery, { dialect, signal } = {}) {
+    const prompt = createSqlRefinementPrompt(limitSchemaContext(schemaContext), lastQuery.question, lastQuery.sql, followUpQuestion, dialect);
+    return requestSql(prompt, 'SQL refinement', { signal });
+}
+
+/**
+ * Decides whether a follow-up refines the previous query or asks a new question.
+ * Falls back to 'new' (regular SQL generation) if the model cannot be reached.
+ * @param {string} followUpQuestion - The user's message, as typed.
+ * @param {{sql: string, question: string}} lastQuery - The last successful query and its question.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the call (which then throws instead of falling back).
+ * @returns {Promise<'refinement'|'new'>}
+ */
+async function classifyFollowUp(followUpQuestion, lastQuery, { signal } = {}) {
+    try {
+        const model = genAI.getGenerativeModel({ model: config.gemini.analysisModel });
+        const result = await model.generateContent(
+            createFollowUpClassificationPrompt(lastQuery.question, lastQuery.sql, followUpQuestion),
+            { timeout: 10000, signal }
+        );
+
+        const response = await result.response;
+        return /\brefinement\b/i.test(response.text()) ? 'refinement' : 'new';
+    } catch (error) {
+        throwIfCancelled(signal, 'follow-up classification');
+        logger.warn(`Failed to classify follow-up, treating it as a new question`, { error: error.message });
+        return 'new';
+    }
+}
+
+/**
+ * Intelligently truncate data for analysis.
+ * `totalRows` is the true size of the result when `queryResults` is only its first page.
+ */
+function truncateDataForAnalysis(queryResults, totalRows) {
     if (!queryResults || queryResults.length === 0) {
         return { truncated: [], originalCount: 0, wasTruncated: false };
     }
 
-    const originalCount = queryResults.length;
+    const originalCount = Math.max(totalRows || 0, queryResults.length);
     let truncated = queryResults.slice(0, LIMITS.MAX_ANALYSIS_ROWS);
     
     // Calculate total characters in the truncated data
@@ -108,22 +246,16 @@ function truncateDataForAnalysis(queryResults) {
 }
 
 /**
- * Generates a natural language analysis with strict limits and optimization.
+ * Returns an answer that needs no model call (empty results or a single scalar value),
+ * or null when the results should go through the analysis model.
  */
-async function generateAnalysis(originalQuestion, queryResults) {
+function getDirectAnswer(queryResults, totalRows) {
     if (!queryResults || queryResults.length === 0) {
         return "No data was found matching your query criteria.";
     }
 
-    // Intelligent truncation
-    const { truncated, originalCount, wasTruncated, truncatedCount } = truncateDataForAnalysis(queryResults);
-    
-    if (wasTruncated) {
-        logger.info(`Analysis optimized: Processing ${truncatedCount} of ${originalCount} rows`);
-    }
-
-    // Skip analysis for very simple queries (single row or very small datasets)
-    if (originalCount === 1 && !wasTruncated) {
+    // Skip analysis for very simple queries (single row with a single column)
+    if (queryResults.length === 1 && !(totalRows > 1)) {
         const firstRow = queryResults[0];
         const keys = Object.keys(firstRow);
         if (keys.length === 1) {
@@ -131,27 +263,58 @@ async function generateAnalysis(originalQuestion, queryResults) {
         }
     }
 
+    return null;
+}
+
+/**
+ * Basic summary used when the analysis model is unavailable
+ */
+function getFallbackAnalysis(originalCount) {
+    if (originalCount <= 10) {
+        return `Found ${originalCount} result(s). Analysis unavailable, but you can view the raw data below.`;
+    }
+    return `Found ${originalCount} result(s). Analysis unavailable due to processing error. Please try refining your question or view the raw data.`;
+}
+
+/**
+ * Generates a natural language analysis with strict limits and optimization.
+ * @param {string} originalQuestion - The standalone question.
+ * @param {Array<Object>} queryResults - The rows returned by the database (possibly a first page).
+ * @param {number} [totalRows] - The true number of rows, if `queryResults` is a page.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the call and its retries.
+ */
+async function generateAnalysis(originalQuestion, queryResults, totalRows, { signal } = {}) {
+    const directAnswer = getDirectAnswer(queryResults, totalRows);
+    if (directAnswer) {
+        return directAnswer;
+    }
+
+    // Intelligent truncation
+    const { truncated, originalCount, wasTruncated, truncatedCount } = truncateDataForAnalysis(queryResults, totalRows);
+    
+    if (wasTruncated) {
+        logger.info(`Analysis optimized: Processing ${truncatedCount} of ${originalCount} rows`);
+    }
+
     let lastError = null;
     for (let attempt = 1; attempt <= Math.min(config.gemini.maxRetries, 2); attempt++) { // Limit retries to 2
+        throwIfCancelled(signal, 'analysis');
         try {
             const model = genAI.getGenerativeModel({ model: config.gemini.analysisModel });
             const prompt = createAnalysisPrompt(originalQuestion, truncated, originalCount);
             
-            // Add timeout protection
-            const result = await Promise.race([
-                model.generateContent(prompt),
-                new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error('Analysis timeout')), LIMITS.ANALYSIS_TIMEOUT_MS)
-                )
-            ]);
+            // The call is aborted on timeout or cancellation
+            const result = await model.generateContent(prompt, { timeout: LIMITS.ANALYSIS_TIMEOUT_MS, signal });
             
             const response = await result.response;
             return response.text().trim();
         } catch (error) {
+            throwIfCancelled(signal, 'analysis');
             lastError = error;
             logger.warn(`Analysis generation attempt ${attempt} failed`, { error: error.message });
             if (attempt < Math.min(config.gemini.maxRetries, 2)) {
-                await new Promise(resolve => setTimeout(resolve, config.gemini.retryDelay * attempt));
+                await delay(config.gemini.retryDelay * attempt, signal, 'analysis');
             }
         }
     }
@@ -159,16 +322,125 @@ async function generateAnalysis(originalQuestion, queryResults) {
     logger.error(`Analysis failed after all retries`, { lastError });
     
     // Return a basic summary if analysis fails
-    if (originalCount <= 10) {
-        return `Found ${originalCount} result(s). Analysis unavailable, but you can view the raw data below.`;
+    return getFallbackAnalysis(originalCount);
+}
+
+/**
+ * Streams the analysis token by token using Gemini's streaming API.
+ * @param {string} originalQuestion - The standalone question.
+ * @param {Array<Object>} queryResults - The rows returned by the database (possibly a first page).
+ * @param {number} [totalRows] - The true number of rows, if `queryResults` is a page.
+ * @param {Function} onToken - Called with each text chunk as it arrives.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the stream, also once it has started.
+ * @returns {Promise<string>} The complete analysis text.
+ */
+async function streamAnalysis(originalQuestion, queryResults, totalRows, onToken, { signal } = {}) {
+    const directAnswer = getDirectAnswer(queryResults, totalRows);
+    if (directAnswer) {
+        onToken(directAnswer);
+        return directAnswer;
     }
-    return `Found ${originalCount} result(s). Analysis unavailable due to processing error. Please try refining your question or view the raw data.`;
+
+    const { truncated, originalCount, wasTruncated, truncatedCount } = truncateDataForAnalysis(queryResults, totalRows);
+
+    if (wasTruncated) {
+        logger.info(`Analysis optimized: Processing ${truncatedCount} of ${originalCount} rows`);
+    }
+
+    let fullText = '';
+    // Only the wait for the stream to start is time-limited; a stream that has started is
+    // left to finish unless the request is cancelled
+    const controller = new AbortController();
+    const abortStream = () => controller.abort();
+    const timer = setTimeout(abortStream, LIMITS.ANALYSIS_TIMEOUT_MS);
+    if (signal) signal.addEventListener('abort', abortStream, { once: true });
+    try {
+        const model = genAI.getGenerativeModel({ model: config.gemini.analysisModel });
+        const prompt = createAnalysisPrompt(originalQuestion, truncated, originalCount);
+
+        const result = await model.generateContentStream(prompt, { signal: controller.signal });
+        clearTimeout(timer);
+
+        for await (const chunk of result.stream) {
+            const text = chunk.text();
+            if (text) {
+                fullText += text;
+                onToken(text);
+            }
+        }
+        return fullText.trim();
+    } catch (error) {
+        throwIfCancelled(signal, 'analysis');
+        logger.error(`Streaming analysis failed`, { error: error.message, streamedChars: fullText.length });
+
+        // Nothing reached the client yet, so a fallback summary can still be sent
+        if (!fullText) {
+            const fallback = getFallbackAnalysis(originalCount);
+            onToken(fallback);
+            return fallback;
+        }
+        return fullText.trim();
+    } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', abortStream);
+    }
+}
+
+/**
+ * Asks the model which chart fits a query result best.
+ * @param {string} question - The standalone question.
+ * @param {Array<Object>} columnProfiles - See chartService.profileColumns.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the call.
+ * @returns {Promise<{type: string, x: ?string, y: ?string, reason: string}>}
+ */
+async function recommendChartType(question, columnProfiles, { signal } = {}) {
+    const model = genAI.getGenerativeModel({ model: config.gemini.analysisModel });
+    let result;
+    try {
+        result = await model.generateContent(createChartPrompt(question, columnProfiles), { timeout: LIMITS.CHART_TIMEOUT_MS, signal });
+    } catch (error) {
+        throwIfCancelled(signal, 'chart recommendation');
+        throw error;
+    }
+
+    const response = await result.response;
+    return parseJsonReply(response.text(), 'Chart recommendation');
+}
+
+/**
+ * Asks the model to draft the descriptions a table's schema documentation is missing.
+ * @param {Object} table - The table as introspected (see dbService.introspectSchema).
+ * @param {{description: ?string, columns: Object<string, string>}} documented - Descriptions
+ *   already written, by column name.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the call.
+ * @returns {Promise<{description: ?string, columns: Object<string, string>}>} The drafted descriptions.
+ */
+async function draftSchemaDescriptions(table, documented, { signal } = {}) {
+    const model = genAI.getGenerativeModel({ model: config.gemini.analysisModel });
+    let result;
+    try {
+        result = await model.generateContent(createSchemaDescriptionPrompt(table, documented), { timeout: LIMITS.DESCRIPTION_TIMEOUT_MS, signal });
+    } catch (error) {
+        throwIfCancelled(signal, 'schema description');
+        throw error;
+    }
+
+    const response = await result.response;
+    const drafted = parseJsonReply(response.text(), 'Schema description draft');
+    return {
+        description: typeof drafted.description === 'string' && drafted.description.trim() ? drafted.description.trim() : null,
+        columns: drafted.columns && typeof drafted.columns === 'object' ? drafted.columns : {}
+    };
 }
 
 /**
- * Rewrites a follow-up question with timeout and caching
+ * Rewrites a follow-up question with timeout and caching. `signal` cancels the call (which
+ * then throws instead of falling back to the original question).
  */
-async function createStandaloneQuestion(followUpQuestion, chatHistory) {
+async function createStandaloneQuestion(followUpQuestion, chatHistory, { signal } = {}) {
     // If no history, return original question immediately
     if (!chatHistory || chatHistory.length === 0) {
         return followUpQuestion;
@@ -195,17 +467,13 @@ Follow-up Question: "${followUpQuestion}"
 
 Standalone Question:`;
 
-        // Add timeout
-        const result = await Promise.race([
-            model.generateContent(prompt),
-            new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Rewrite timeout')), 10000)
-            )
-        ]);
+        // The call is aborted on timeout or cancellation
+        const result = await model.generateContent(prompt, { timeout: 10000, signal });
         
         const response = await result.response;
         return response.text().trim();
     } catch (error) {
+        throwIfCancelled(signal, 'question rewrite');
         logger.warn(`Failed to rewrite question, using original`, { error: error.message });
         return followUpQuestion; // Fallback to original question
     }
@@ -217,12 +485,7 @@ Standalone Question:`;
 async function healthCheck() {
     try {
         const model = genAI.getGenerativeModel({ model: config.gemini.sqlModel });
-        const result = await Promise.race([
-            model.generateContent("Say 'API connection successful'"),
-            new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Health check timeout')), 5000)
-            )
-        ]);
+        const result = await model.generateContent("Say 'API connection successful'", { timeout: 5000 });
         const response = await result.response;
         return { 
             healthy: true, 
@@ -240,7 +503,13 @@ async function healthCheck() {
 
 module.exports = { 
     generateSql, 
+    repairSql,
+    refineSql,
+    classifyFollowUp,
     generateAnalysis, 
+    streamAnalysis,
+    recommendChartType,
+    draftSchemaDescriptions,
     healthCheck,
     createStandaloneQuestion,
     LIMITS // Export limits for reference
@@ -0,0 +1,285 @@
+// src/services/paginationService.js
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const config = require('../config');
+const dbService = require('./dbService');
+const { maskNested } = require('../utils/sqlText');
+const { getDataSource } = require('../utils/dataSources');
+const logger = require('../utils/logger');
+
+// Executed queries are kept server-side under a result id with the data source they ran on and
+// the user (and session) they ran for; cursors only carry that id and the row offset. The stored
+// SQL is also what result exports re-run.
+const resultCache = new NodeCache({
+    stdTTL: config.pagination.cursorTtlMinutes * 60,
+    checkperiod: 120,
+    useClones: false
+});
+
+/**
+ * Splits a SELECT (optionally preceded by CTEs) into the parts needed to page it.
+ * @param {string} sql - The query as generated/approved.
+ * @param {Object} dialect - Its SQL dialect (see utils/sqlDialects).
+ * @returns {{prefix: string, body: string, orderByIndex: number, hasRowLimit: boolean}}
+ */
+function analyseQuery(sql, dialect) {
+    const query = sql.trim().replace(/;+\s*$/, '');
+    const masked = maskNested(query).toUpperCase();
+
+    // CTEs must stay in front of the outer query, so split them off
+    let prefix = '';
+    let body = query;
+    let maskedBody = masked;
+    if (/^WITH\b/.test(masked)) {
+        const mainSelect = masked.search(/\bSELECT\b/);
+        prefix = query.substring(0, mainSelect);
+        body = query.substring(mainSelect);
+        maskedBody = masked.substring(mainSelect);
+    }
+
+    const orderByMatches = [...maskedBody.matchAll(/\bORDER\s+BY\b/g)];
+    const orderByIndex = orderByMatches.length > 0 ? orderByMatches[orderByMatches.length - 1].index : -1;
+
+    // A row limit on the outer query (TOP, OFFSET/FETCH, LIMIT) cannot be combined with our own
+    const hasRowLimit = dialect.rowLimitPattern.test(maskedBody);
+
+    return { prefix, body, orderByIndex, hasRowLimit };
+}
+
+/**
+ * Builds the COUNT(*) wrapper and a page builder for a query.
+ * - A query ordered at the top level (without a row limit) gets the dialect's paging clause
+ *   (OFFSET/FETCH or LIMIT/OFFSET) appended, which keeps the user's ordering.
+ * - A query ordered at the top level with a row limit (TOP 10 ... ORDER BY) is not paged: a
+ *   derived table does not keep the order of its rows, and the ORDER BY may use columns the
+ *   query does not return.
+ * - Any other query is wrapped as a derived table and ordered by every output column, so
+ *   that pages are stable between requests.
+ * @param {string} sql - The query to page.
+ * @param {number} columnCount - Number of columns the query returns.
+ * @param {Object} [dialect] - Its SQL dialect; the default data source's if omitted.
+ * @returns {?{countSql: string, pageSql: Function}} Null if the query cannot be paged.
+ */
+function buildPagedQueries(sql, columnCount, dialect = getDataSource().dialect) {
+    const { prefix, body, orderByIndex, hasRowLimit } = analyseQuery(sql, dialect);
+    if (orderByIndex !== -1 && hasRowLimit) return null;
+    const appendToOrderBy = orderByIndex !== -1;
+
+    // ORDER BY without TOP is not allowed in a derived table, and does not affect the count
+    const countSource = appendToOrderBy ? body.substring(0, orderByIndex).trim() : body;
+    const countSql = `${prefix}SELECT COUNT(*) AS total_rows FROM (${countSource}) AS count_source;`;
+
+    const ordinals = Array.from({ length: columnCount }, (_, index) => index + 1).join(', ');
+    const { pageClause } = dialect;
+    const pageSql = (offset, pageSize) => {
+        const fetchClause = pageClause(offset, pageSize);
+        return appendToOrderBy
+            ? `${prefix}${body} ${fetchClause};`
+            : `${prefix}SELECT * FROM (${body}) AS paged_result ORDER BY ${ordinals} ${fetchClause};`;
+    };
+
+    return { countSql, pageSql };
+}
+
+/**
+ * Plans the paged queries, probing the column count with a zero-row query when the stable
+ * ORDER BY over all output columns is needed. `executeOptions` go to dbService.executeQuery.
+ * Null if the query cannot be paged (see buildPagedQueries).
+ */
+async function planPagedQueries(sql, executeOptions) {
+    const { dialect } = executeOptions.dataSource;
+    const { prefix, body, orderByIndex } = analyseQuery(sql, dialect);
+    if (orderByIndex !== -1) {
+        return buildPagedQueries(sql, 0, dialect);
+    }
+
+    const shape = await dbService.executeQuery(`${prefix}${dialect.zeroRows(body)};`, executeOptions);
+    return buildPagedQueries(sql, Object.keys(shape.columns || {}).length || 1, dialect);
+}
+
+function encodeCursor(id, offset) {
+    return Buffer.from(JSON.stringify({ id, offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const { id, offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (typeof id === 'string' && Number.isInteger(offset) && offset >= 0) {
+            return { id, offset };
+        }
+    } catch (error) {
+        // Fall through to the invalid cursor error below
+    }
+    const error = new Error('Invalid results cursor.');
+    error.statusCode = 400;
+    throw error;
+}
+
+/**
+ * Resolves the page size for a request, capped by config.security.maxResultRows
+ */
+function resolvePageSize(requested) {
+    const pageSize = parseInt(requested) || config.pagination.pageSize;
+    return Math.max(1, Math.min(pageSize, config.security.maxResultRows));
+}
+
+/**
+ * Executes a query and returns its first page together with the true total row count and
+ * a cursor for the next page. If the query cannot be paged (a row limit with ORDER BY) or
+ * wrapped for paging (e.g. an unnamed computed column), it is run as-is and the rows are
+ * capped at the page size.
+ * @param {string} sql - The SELECT to run.
+ * @param {Object} [options]
+ * @param {number} [options.pageSize] - Requested page size.
+ * @param {Object} [options.identity] - The requester, whose row security policies apply. Only
+ *   they can fetch further pages or export the results.
+ * @param {string} [options.sessionId] - The session the query ran in.
+ * @param {Object} [options.dataSource] - The source to run it on (see utils/dataSources); the default if omitted.
+ * @param {AbortSignal} [options.signal] - Cancels the queries in flight.
+ * @returns {Promise<{rows: Array<Object>, totalRows: number, pageSize: number, nextCursor: ?string, paginated: boolean}>}
+ */
+async function executeFirstPage(sql, { pageSize, identity, sessionId, dataSource = getDataSource(), signal } = {}) {
+    pageSize = resolvePageSize(pageSize);
+    const executeOptions = { identity, dataSource, signal };
+    const owner = { userId: ownerOf(identity), sessionId: sessionId || null };
+
+    let plan = null;
+    try {
+        plan = await planPagedQueries(sql, executeOptions);
+    } catch (error) {
+        if (error.isCancellation) throw error;
+        logger.debug('Query cannot be wrapped for paging', { error: error.message });
+    }
+
+    if (plan) {
+        try {
+            const [countRows, rows] = await Promise.all([
+                dbService.executeQuery(plan.countSql, executeOptions),
+                dbService.executeQuery(plan.pageSql(0, pageSize), executeOptions)
+            ]);
+            const totalRows = Number(countRows[0].total_rows);
+
+            const resultId = crypto.randomUUID();
+            resultCache.set(resultId, { sql, dataSource: dataSource.name, pageSql: plan.pageSql, totalRows, pageSize, ...owner });
+            const nextCursor = totalRows > rows.length ? encodeCursor(resultId, rows.length) : null;
+
+            return { rows, totalRows, pageSize, nextCursor, resultId, paginated: true };
+        } catch (error) {
+            if (error.isCancellation) throw error;
+            logger.warn('Paged execution failed, running the query without pagination', { error: error.message });
+        }
+    }
+
+    // Fallback: run the original query; its errors (e.g. invalid column) reach the caller as usual
+    const allRows = await dbService.executeQuery(sql, executeOptions);
+    const rows = allRows.slice(0, pageSize);
+    rows.columns = allRows.columns;
+    if (allRows.length > rows.length) {
+        logger.warn(`Result truncated to ${rows.length} of ${allRows.length} rows`);
+    }
+
+    const resultId = crypto.randomUUID();
+    resultCache.set(resultId, { sql, dataSource: dataSource.name, pageSql: null, totalRows: allRows.length, pageSize, ...owner });
+    return { rows, totalRows: allRows.length, pageSize, nextCursor: null, resultId, paginated: false };
+}
+
+function ownerOf(identity) {
+    return (identity && identity.id) || null;
+}
+
+/**
+ * Returns the stored entry for a result id, or throws a 404 error if it has expired or belongs
+ * to someone else (whose results are not revealed to exist)
+ */
+function getResultEntry(resultId, identity) {
+    const entry = resultCache.get(resultId);
+    if (!entry || entry.userId !== ownerOf(identity)) {
+        const error = new Error('Results have expired or are unknown. Please ask the question again.');
+        error.statusCode = 404;
+        throw error;
+    }
+    return entry;
+}
+
+/**
+ * Returns the SQL behind a previous answer and the data source it ran on, e.g. to export
+ * its full results.
+ * @param {string} resultId - The `pagination.resultId` of an /ask response.
+ * @param {Object} identity - The requester; only whoever the answer was given to may read it.
+ * @returns {{sql: string, dataSource: Object, sessionId: ?string}} The SQL that produced the answer,
+ *   its source and the session it was asked in.
+ */
+function getResultQuery(resultId, identity) {
+    const entry = getResultEntry(resultId, identity);
+    return { sql: entry.sql, dataSource: getDataSource(entry.dataSource), sessionId: entry.sessionId };
+}
+
+/**
+ * Returns the SQL a cursor pages through and its data source, e.g. to check the requester may
+ * still run it before fetchPage does.
+ * @param {string} cursor - A cursor returned by executeFirstPage or fetchPage.
+ * @param {Object} identity - The requester; only whoever the answer was given to may read it.
+ * @returns {{sql: string, dataSource: Object, sessionId: ?string}} As getResultQuery.
+ */
+function getCursorQuery(cursor, identity) {
+    return getResultQuery(decodeCursor(cursor).id, identity);
+}
+
+/**
+ * Gives another requester their own result id and cursor for a stored result, e.g. when an
+ * answer is replayed from the semantic cache. Once the stored result has expired, the answer
+ * can no longer be paged or exported.
+ * @param {Object} pagination - The `pagination` of the original answer.
+ * @param {Object} [options]
+ * @param {Object} [options.identity] - The new requester.
+ * @param {string} [options.sessionId] - Their session.
+ * @returns {Object} The pagination with the new `resultId` and `nextCursor`.
+ */
+function reissuePagination(pagination, { identity, sessionId } = {}) {
+    const entry = pagination.resultId && resultCache.get(pagination.resultId);
+    if (!entry) {
+        return { ...pagination, nextCursor: null, resultId: null };
+    }
+
+    const resultId = crypto.randomUUID();
+    resultCache.set(resultId, { ...entry, userId: ownerOf(identity), sessionId: sessionId || null });
+    const nextCursor = pagination.nextCursor ? encodeCursor(resultId, pagination.returnedRows) : null;
+    return { ...pagination, nextCursor, resultId };
+}
+
+/**
+ * Fetches the page a cursor points to by re-running the stored SQL with its paging clause.
+ * Only whoever the answer was given to may fetch its pages; their row security applies.
+ * @param {string} cursor - A cursor returned by executeFirstPage or a previous fetchPage.
+ * @param {Object} [options]
+ * @param {Object} [options.identity] - The requester, whose row security policies apply.
+ * @returns {Promise<{rows: Array<Object>, totalRows: number, offset: number, pageSize: number, nextCursor: ?string, sql: string, dataSource: Object, sessionId: ?string}>}
+ *   `sql` is the answer's query (not the paged wrapper), `dataSource` the source it runs on and
+ *   `sessionId` the session it was asked in.
+ */
+async function fetchPage(cursor, { identity } = {}) {
+    const { id, offset } = decodeCursor(cursor);
+    const entry = getResultEntry(id, identity);
+    if (!entry.pageSql) {
+        const error = new Error('These results cannot be paged.');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const dataSource = getDataSource(entry.dataSource);
+    const rows = await dbService.executeQuery(entry.pageSql(offset, entry.pageSize), { identity, dataSource });
+    const nextOffset = offset + rows.length;
+    const nextCursor = rows.length > 0 && nextOffset < entry.totalRows ? encodeCursor(id, nextOffset) : null;
+
+    return { rows, totalRows: entry.totalRows, offset, pageSize: entry.pageSize, nextCursor, sql: entry.sql, dataSource, sessionId: entry.sessionId };
+}
+
+module.exports = {
+    executeFirstPage,
+    fetchPage,
+    getResultQuery,
+    getCursorQuery,
+    reissuePagination,
+    buildPagedQueries,
+    resolvePageSize
+};
@@ -0,0 +1,387 @@
+// src/services/privacyService.js
+const crypto = require('crypto');
+const config = require('../config');
+const { parseSql, walk, createValidationError } = require('./sqlValidationService');
+const { getTableCatalog, SENSITIVITY_LEVELS } = require('../utils/schemaDocs');
+const { getDataSource } = require('../utils/dataSources');
+const logger = require('../utils/logger');
+
+// From most to least revealing
+const ACTIONS = ['allow', 'mask', 'hash', 'block'];
+const REDACTED = '[REDACTED]';
+
+// Secret for hashed values. If unset, a random one is generated per process, so hashes
+// only stay comparable until a restart.
+const hashSecret = config.privacy.hashSecret || crypto.randomBytes(32).toString('hex');
+
+function moreSensitive(a, b) {
+    return SENSITIVITY_LEVELS.indexOf(a) >= SENSITIVITY_LEVELS.indexOf(b) ? a : b;
+}
+
+function columnName(node) {
+    return typeof node.column === 'string' ? node.column : node.column && node.column.expr && node.column.expr.value;
+}
+
+/**
+ * What an identity's roles do with each sensitivity level. With several roles, the most
+ * revealing action wins; without any role that has a policy, the default role's applies.
+ * Levels missing from a policy (or with an unknown action) are blocked.
+ * @param {string[]} roles
+ * @returns {{roles: string[], actions: Object<string, string>}}
+ */
+function policyFor(roles) {
+    const policies = config.privacy.policies;
+    let resolvedRoles = (roles || []).filter(role => policies[role]);
+    if (resolvedRoles.length === 0) {
+        resolvedRoles = [config.privacy.defaultRole];
+    }
+
+    const actions = { public: 'allow' };
+    SENSITIVITY_LEVELS.filter(level => level !== 'public').forEach(level => {
+        const allowed = resolvedRoles
+            .map(role => (policies[role] || {})[level])
+            .filter(action => ACTIONS.includes(action))
+            .sort((a, b) => ACTIONS.indexOf(a) - ACTIONS.indexOf(b));
+        actions[level] = allowed[0] || 'block';
+    });
+    return { roles: resolvedRoles, actions };
+}
+
+/**
+ * The sensitive columns of the documented tables a query reads (all documented tables if
+ * the query cannot be parsed), keyed by lowercase column name.
+ */
+function sensitiveSourceColumns(tableList, dataSource) {
+    const catalog = getTableCatalog(dataSource);
+    const tableKeys = tableList
+        ? tableList.map(entry => entry.split('::')[2].toLowerCase()).filter(key => catalog.has(key))
+        : [...catalog.keys()];
+
+    const sensitive = new Map();
+    tableKeys.forEach(key => {
+        const table = catalog.get(key);
+        table.columns.forEach((column, columnKey) => {
+            if (column.sensitivity === 'public') return;
+            const current = sensitive.get(columnKey);
+            sensitive.set(columnKey, {
+                sensitivity: current ? moreSensitive(current.sensitivity, column.sensitivity) : column.sensitivity,
+                source: current ? current.source : `${table.name}.${column.name}`
+            });
+        });
+    });
+    return sensitive;
+}
+
+/**
+ * Column names referenced by an expression, except inside COUNT(), which reveals no values
+ */
+function referencedNames(expr) {
+    const names = [];
+    const visit = node => {
+        if (Array.isArray(node)) return node.forEach(visit);
+        if (!node || typeof node !== 'object') return;
+        if (node.type === 'aggr_func' && String(node.name).toUpperCase() === 'COUNT') return;
+        if (node.type === 'column_ref' && columnName(node)) names.push(columnName(node).toLowerCase());
+        Object.values(node).forEach(visit);
+    };
+    visit(expr);
+    return names;
+}
+
+/**
+ * The name a select item gives its result column: its alias, or the column it reads. Other
+ * expressions have none (the driver makes one up, e.g. '' for SQL Server).
+ */
+function outputName(item) {
+    if (typeof item.as === 'string') return item.as;
+    return item.expr.type === 'column_ref' ? columnName(item.expr) || null : null;
+}
+
+/**
+ * The result columns of a SELECT by position: the name the first branch gives each one and
+ * the expressions filling it in every UNION branch. `names` (a CTE column list) overrides them.
+ */
+function selectOutputs(select, names) {
+    const outputs = select.columns.filter(item => item && item.expr)
+        .map((item, index) => ({ name: names ? names[index] || null : outputName(item), exprs: [item.expr] }));
+    for (let branch = select._next; branch; branch = branch._next) {
+        (branch.columns || []).filter(item => item && item.expr).forEach((item, index) => {
+            if (outputs[index]) outputs[index].exprs.push(item.expr);
+        });
+    }
+    return outputs;
+}
+
+/**
+ * The most sensitive of the classified columns an output's expressions read, or null
+ */
+function outputSensitivity(output, results) {
+    let classified = null;
+    output.exprs.forEach(expr => referencedNames(expr).forEach(name => {
+        const found = results.get(name);
+        if (found && (!classified || moreSensitive(classified.sensitivity, found.sensitivity) !== classified.sensitivity)) {
+            classified = found;
+        }
+    }));
+    return classified;
+}
+
+/**
+ * Works out which result columns carry sensitive data. Result columns are matched by name:
+ * a column named like a sensitive source column is sensitive (covers SELECT *), and so is
+ * any alias whose expression reads a sensitive column, through CTEs (and their column lists),
+ * derived tables and UNION branches. Tables are those documented for the data source the
+ * query runs on.
+ * @returns {{sources: Map<string, Object>, results: Map<string, {sensitivity: string, source: string}>,
+ *   unnamed: Array<{sensitivity: string, source: string}>, known: ?Set<string>, complete: boolean, ast: ?Object}}
+ *   `unnamed` holds the sensitive result columns with no name of their own; `known` every name
+ *   the query gives a result column (null if it cannot be parsed); `complete` whether the select
+ *   list has no *, so any other result column is an unnamed one.
+ */
+function classifyQuery(sql, dataSource) {
+    let parsed = null;
+    try {
+        parsed = parseSql(sql, dataSource);
+    } catch (error) {
+        logger.warn('Could not parse query for sensitivity classification, matching all documented columns', {
+            error: error.message.substring(0, 200)
+        });
+    }
+
+    const sources = sensitiveSourceColumns(parsed && parsed.tableList, dataSource);
+    const results = new Map(sources);
+    if (!parsed) return { sources, results, unnamed: [], known: null, complete: false, ast: null };
+
+    const outputs = [];
+    walk(parsed.ast, node => {
+        if (node.type === 'select' && Array.isArray(node.columns)) {
+            outputs.push(...selectOutputs(node));
+        }
+        if (Array.isArray(node.with)) {
+            node.with.filter(cte => Array.isArray(cte.columns)).forEach(cte => {
+                const statement = cte.stmt && (cte.stmt.ast || cte.stmt);
+                if (statement && Array.isArray(statement.columns)) {
+                    outputs.push(...selectOutputs(statement, cte.columns.map(columnName)));
+                }
+            });
+        }
+    });
+
+    // Propagate through aliases until nothing changes (aliases of aliases, nested CTEs)
+    let changed = true;
+    while (changed) {
+        changed = false;
+        outputs.forEach(output => {
+            if (!output.name || output.name === '*') return;
+            const key = output.name.toLowerCase();
+            const found = outputSensitivity(output, results);
+            const current = results.get(key);
+            if (found && (!current || moreSensitive(current.sensitivity, found.sensitivity) !== current.sensitivity)) {
+                results.set(key, { sensitivity: found.sensitivity, source: found.source });
+                changed = true;
+            }
+        });
+    }
+
+    const statement = Array.isArray(parsed.ast) ? parsed.ast[0] : parsed.ast;
+    const statementOutputs = statement && Array.isArray(statement.columns) ? selectOutputs(statement) : [];
+    const unnamed = statementOutputs.filter(output => !output.name).map(output => outputSensitivity(output, results)).filter(Boolean);
+    const complete = statementOutputs.length > 0 && statementOutputs.every(output => output.name !== '*');
+
+    // Documented columns of the tables read (SELECT *) and every name the query gives a column
+    const catalog = getTableCatalog(dataSource);
+    const known = new Set(outputs.filter(output => output.name).map(output => output.name.toLowerCase()));
+    (parsed.tableList || []).forEach(entry => {
+        const table = catalog.get(entry.split('::')[2].toLowerCase());
+        if (table) table.columns.forEach((column, key) => known.add(key));
+    });
+
+    return { sources, results, unnamed, known, complete, ast: parsed.ast };
+}
+
+/**
+ * Rejects a query that references a column the roles may not see at all ('block'), anywhere
+ * in the query (select list, filters, joins, sorting). Blocked columns that only come in
+ * through SELECT * are dropped from the results instead. A result column that reads a column
+ * the roles may only see masked or hashed must have a name, so the policy can find it.
+ * `dataSource` is the source the query runs on (see utils/dataSources), the default one if omitted.
+ * @throws {Error} A SQL_VALIDATION_FAILED error with BLOCKED_COLUMN violations (status 403) or
+ *   UNNAMED_SENSITIVE_COLUMN ones (status 422).
+ */
+function checkQuery(sql, roles, dataSource = getDataSource()) {
+    const { actions, roles: resolvedRoles } = policyFor(roles);
+    const { sources, unnamed, ast } = classifyQuery(sql, dataSource);
+    if (!ast) return;
+
+    const violations = [];
+    const reported = new Set();
+    walk(ast, node => {
+        if (node.type !== 'column_ref' || !columnName(node)) return;
+        const key = columnName(node).toLowerCase();
+        const source = sources.get(key);
+        if (source && actions[source.sensitivity] === 'block' && !reported.has(key)) {
+            reported.add(key);
+            violations.push({
+                rule: 'BLOCKED_COLUMN',
+                message: `Column '${source.source}' is ${source.sensitivity} data and is not available to your role.`,
+                object: source.source
+            });
+        }
+    });
+
+    if (violations.length > 0) {
+        logger.warn('Query references blocked sensitive columns', { roles: resolvedRoles, columns: [...reported] });
+        const error = createValidationError(violations);
+        error.statusCode = 403;
+        throw error;
+    }
+
+    const unnamedViolations = unnamed.filter(column => actions[column.sensitivity] !== 'allow').map(column => ({
+        rule: 'UNNAMED_SENSITIVE_COLUMN',
+        message: `An expression reading '${column.source}' (${column.sensitivity} data) has no column name; give it one with AS.`,
+        object: column.source
+    }));
+    if (unnamedViolations.length > 0) {
+        logger.warn('Query returns sensitive expressions without a column name', { roles: resolvedRoles });
+        throw createValidationError(unnamedViolations);
+    }
+}
+
+/**
+ * Masks all but the last 4 characters, keeping separators (e.g. 'XXXX XXXX 1234').
+ * Dates keep only their year.
+ */
+function maskValue(value) {
+    if (value === null || value === undefined) return value;
+    if (value instanceof Date) {
+        return `${value.getUTCFullYear()}-XX-XX`;
+    }
+
+    const text = String(value);
+    const visibleFrom = Math.max(text.length - 4, Math.ceil(text.length / 2));
+    return text.split('').map((char, index) => (index < visibleFrom && /[A-Za-z0-9]/.test(char) ? 'X' : char)).join('');
+}
+
+/**
+ * Keyed hash of a value: equal values get equal hashes, so results can still be grouped or
+ * compared without revealing the values
+ */
+function hashValue(value) {
+    if (value === null || value === undefined) return value;
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return `hash:${crypto.createHmac('sha256', hashSecret).update(text).digest('hex').substring(0, 16)}`;
+}
+
+/**
+ * Builds the policy for the results of a query seen by an identity.
+ * @param {string} sql - The query that produced the results.
+ * @param {string[]} roles - The requester's roles.
+ * @param {Object} [dataSource] - The source the query ran on (see utils/dataSources); the default if omitted.
+ * @returns {{roles: string[], columns: Map<string, {sensitivity: string, source: string, action: string}>,
+ *   unnamed: ?{sensitivity: string, source: string, action: string}, known: ?Set<string>, complete: boolean}}
+ *   The sensitive result columns, keyed by lowercase name; `unnamed` applies to result columns
+ *   with a name the query does not give (the most sensitive unnamed one); `known` and `complete`
+ *   as in classifyQuery.
+ */
+function createResultPolicy(sql, roles, dataSource = getDataSource()) {
+    const { actions, roles: resolvedRoles } = policyFor(roles);
+    const { results, unnamed, known, complete } = classifyQuery(sql, dataSource);
+
+    const columns = new Map();
+    results.forEach((column, key) => columns.set(key, { ...column, action: actions[column.sensitivity] }));
+    const mostSensitive = unnamed.reduce((current, column) =>
+        (!current || moreSensitive(current.sensitivity, column.sensitivity) !== current.sensitivity ? column : current), null);
+    return {
+        roles: resolvedRoles,
+        columns,
+        unnamed: mostSensitive && { ...mostSensitive, action: actions[mostSensitive.sensitivity] },
+        known,
+        complete
+    };
+}
+
+/**
+ * The policy entry for a result column: its own, or the unnamed one for a name the query
+ * does not give
+ */
+function columnPolicy(name, policy) {
+    const key = String(name).toLowerCase();
+    const column = policy.columns.get(key);
+    if (column) return column;
+    return policy.known && !policy.known.has(key) ? policy.unnamed : null;
+}
+
+/**
+ * Applies a result policy to one row: blocked columns are removed, masked and hashed
+ * columns are transformed
+ */
+function applyToRow(row, policy) {
+    const output = {};
+    Object.keys(row).forEach(name => {
+        const column = columnPolicy(name, policy);
+        const action = column ? column.action : 'allow';
+        if (action === 'block') return;
+        if (action === 'mask') output[name] = maskValue(row[name]);
+        else if (action === 'hash') output[name] = hashValue(row[name]);
+        else output[name] = row[name];
+    });
+    return output;
+}
+
+/**
+ * Applies a result policy to the rows returned to the user. Keeps the recordset `columns`
+ * metadata of the visible columns.
+ */
+function applyPolicy(rows, policy) {
+    const output = rows.map(row => applyToRow(row, policy));
+    if (rows.columns) {
+        output.columns = visibleColumns(rows.columns, policy);
+    }
+    return output;
+}
+
+/**
+ * Filters column metadata (an array or a recordset `columns` object) down to the columns
+ * a policy does not block
+ */
+function visibleColumns(columns, policy) {
+    const isVisible = name => {
+        const column = columnPolicy(name, policy);
+        return !column || column.action !== 'block';
+    };
+    if (Array.isArray(columns)) {
+        return columns.filter(column => isVisible(column.name));
+    }
+    return Object.fromEntries(Object.entries(columns).filter(([name]) => isVisible(name)));
+}
+
+/**
+ * Replaces every sensitive value with '[REDACTED]', whatever the role may see. Used for all
+ * row data sent to a model. Fails closed: a column the policy cannot classify (an unnamed one
+ * when any unnamed one is sensitive, an undocumented one from SELECT *, or any if the query
+ * could not be parsed) is redacted too.
+ */
+function redactForModel(rows, policy) {
+    const isClassified = key => Boolean(policy.known) && (policy.known.has(key) || (policy.complete && !policy.unnamed));
+    return rows.map(row => {
+        const output = {};
+        Object.keys(row).forEach(name => {
+            const key = name.toLowerCase();
+            output[name] = (policy.columns.has(key) || !isClassified(key)) && row[name] !== null && row[name] !== undefined
+                ? REDACTED
+                : row[name];
+        });
+        return output;
+    });
+}
+
+module.exports = {
+    checkQuery,
+    createResultPolicy,
+    applyPolicy,
+    applyToRow,
+    visibleColumns,
+    redactForModel,
+    maskValue,
+    REDACTED
+};
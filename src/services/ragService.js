@@ -1,6 +1,9 @@
+const crypto = require('crypto');
 const { ChromaClient } = require('chromadb');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const config = require('../config');
+const { getDataSources, getDataSource } = require('../utils/dataSources');
+const { describeProfile } = require('./valueProfileService');
 const logger = require('../utils/logger');
 
 const genAI = new GoogleGenerativeAI(config.gemini.apiKey);
@@ -8,25 +11,30 @@ const chroma = new ChromaClient({ path: config.rag.chromaDbUrl });
 const model = genAI.getGenerativeModel({ model: config.gemini.embeddingModel });
 
 let isConnected = false;
-let collection = null;
+// Schema and example collections by data source name
+const collections = new Map();
+const examplesCollections = new Map();
 
 /**
- * Initialize connection to ChromaDB
+ * Initialize connection to ChromaDB and open a data source's schema collection
+ * @param {Object} [dataSource] - The source whose collection to open (default source when omitted).
  */
-async function initializeConnection() {
+async function initializeConnection(dataSource = getDataSource()) {
     try {
         // Use getOrCreateCollection instead of getCollection
-        collection = await chroma.getOrCreateCollection({
-            name: config.rag.collectionName || 'sql_schemas',
+        const collection = await chroma.getOrCreateCollection({
+            name: dataSource.collectionName || 'sql_schemas',
             metadata: { 
                 description: 'Database table schemas for text-to-SQL generation',
                 created_at: new Date().toISOString()
             }
         });
+        collections.set(dataSource.name, collection);
         isConnected = true;
         
         logger.info('✅ Connected to ChromaDB successfully', {
-            collectionName: config.rag.collectionName || 'sql_schemas'
+            dataSource: dataSource.name,
+            collectionName: dataSource.collectionName || 'sql_schemas'
         });
         
         return collection;
@@ -41,21 +49,156 @@ async function initializeConnection() {
 }
 
 /**
- * Get or initialize the collection
+ * Get or initialize a data source's schema collection
  */
-async function getCollection() {
-    if (!collection || !isConnected) {
-        await initializeConnection();
+async function getCollection(dataSource = getDataSource()) {
+    if (!collections.has(dataSource.name) || !isConnected) {
+        await initializeConnection(dataSource);
     }
-    return collection;
+    return collections.get(dataSource.name);
 }
 
 /**
- * Retrieves the most relevant table schemas for a given user question.
+ * Generates the embedding of a text with the configured embedding model
+ * @param {string} text - The text to embed.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the call.
+ * @returns {Promise<number[]>} The embedding vector.
+ */
+async function embedText(text, { signal } = {}) {
+    const result = await model.embedContent({
+        content: {
+            role: "user",
+            parts: [{ text }]
+        }
+    }, { signal });
+
+    if (!result.embedding || !result.embedding.values) {
+        throw new Error('Failed to generate embedding for question');
+    }
+    return result.embedding.values;
+}
+
+/**
+ * Get or create a data source's collection of verified question -> SQL examples
+ */
+async function getExamplesCollection(dataSource = getDataSource()) {
+    if (!examplesCollections.has(dataSource.name)) {
+        examplesCollections.set(dataSource.name, await chroma.getOrCreateCollection({
+            name: dataSource.examplesCollectionName,
+            metadata: {
+                description: 'Verified question to SQL pairs used as few-shot examples',
+                'hnsw:space': 'cosine'
+            }
+        }));
+    }
+    return examplesCollections.get(dataSource.name);
+}
+
+// One example per question: a later correction replaces the earlier SQL
+function exampleId(question) {
+    return crypto.createHash('sha256').update(question.trim().toLowerCase()).digest('hex');
+}
+
+/**
+ * Stores (or replaces) a verified question -> SQL pair in the examples collection.
+ * @param {Object} example
+ * @param {string} example.question - The standalone question.
+ * @param {string} example.sql - The SQL verified to answer it.
+ * @param {string} example.source - 'approved' (thumbs up) or 'corrected' (corrected SQL).
+ * @param {string} [example.responseId] - The answer the feedback was given on.
+ * @param {Object} [example.dataSource] - The data source the SQL runs on (default source when omitted).
+ */
+async function addVerifiedExample({ question, sql, source, responseId, dataSource }) {
+    const examples = await getExamplesCollection(dataSource);
+    await examples.upsert({
+        ids: [exampleId(question)],
+        embeddings: [await embedText(question)],
+        documents: [question],
+        metadatas: [{ sql, source, responseId: responseId || '', verifiedAt: new Date().toISOString() }]
+    });
+    logger.info('Verified example stored', { question: question.substring(0, 100), source, dataSource: dataSource && dataSource.name });
+}
+
+/**
+ * Removes the example for a question if it holds the given SQL, e.g. when an answer
+ * built from an approved query is later rated down.
+ * @param {string} question
+ * @param {string} sql
+ * @param {Object} [dataSource] - The data source the SQL runs on (default source when omitted).
+ * @returns {Promise<boolean>} Whether an example was removed.
+ */
+async function removeVerifiedExample(question, sql, dataSource = getDataSource()) {
+    const examples = await getExamplesCollection(dataSource);
+    const id = exampleId(question);
+    const existing = await examples.get({ ids: [id], include: ['metadatas'] });
+    if (!existing.ids.length || existing.metadatas[0].sql !== sql) {
+        return false;
+    }
+    await examples.delete({ ids: [id] });
+    logger.info('Verified example removed', { question: question.substring(0, 100) });
+    return true;
+}
+
+/**
+ * Retrieves the verified examples closest to a question, for use as few-shot
+ * demonstrations. Failures are logged and return no examples.
+ * @param {string} question - The standalone question.
+ * @param {Object} [options]
+ * @param {number[]} [options.embedding] - The question's embedding, if already computed.
+ * @param {Object} [options.dataSource] - The source whose examples to search (default source when omitted).
+ * @returns {Promise<Array<{question: string, sql: string}>>}
+ */
+async function retrieveExamples(question, { embedding, dataSource } = {}) {
+    try {
+        const examples = await getExamplesCollection(dataSource);
+        if (await examples.count() === 0) {
+            return [];
+        }
+
+        const results = await examples.query({
+            queryEmbeddings: [embedding || await embedText(question)],
+            nResults: config.rag.exampleTopK,
+            include: ['documents', 'metadatas', 'distances']
+        });
+
+        return results.documents[0]
+            .map((document, i) => ({ question: document, sql: results.metadatas[0][i].sql, distance: results.distances[0][i] }))
+            .filter(example => example.distance <= config.rag.exampleMaxDistance)
+            .map(({ question: exampleQuestion, sql }) => ({ question: exampleQuestion, sql }));
+    } catch (error) {
+        logger.warn('Could not retrieve verified examples', { error: error.message });
+        return [];
+    }
+}
+
+/**
+ * Appends the column values profiled when the table was indexed (see valueProfileService)
+ * to its schema document, unless config.rag.profileValues is off
+ */
+function withValueProfile(document, metadata, dataSource) {
+    if (!config.rag.profileValues || !metadata || !metadata.valueProfile) return document;
+    try {
+        const values = describeProfile(JSON.parse(metadata.valueProfile), dataSource);
+        return values ? `${document}\n\n${values}` : document;
+    } catch (error) {
+        logger.warn('Ignoring an unreadable value profile', { table: metadata.tableName, error: error.message });
+        return document;
+    }
+}
+
+/**
+ * Retrieves the most relevant table schemas for a given user question, along with
+ * the names of the tables they describe.
  * @param {string} question - The user's natural language question.
- * @returns {Promise<string>} A string containing the context of the most relevant schemas.
+ * @param {Object} [options]
+ * @param {number[]} [options.embedding] - The question's embedding, if already computed.
+ * @param {?string[]} [options.tables] - Only consider these tables (e.g. those the caller may
+ *   query); all indexed tables when null.
+ * @param {Object} [options.dataSource] - The source whose collection to search (default source when omitted).
+ * @returns {Promise<{schemaContext: string, tables: string[], distances: number[]}>}
  */
-async function retrieveRelevantSchemas(question) {
+async function retrieveSchemas(question, { embedding, tables = null, dataSource = getDataSource() } = {}) {
     try {
         // Validate input
         if (!question || typeof question !== 'string' || question.trim().length === 0) {
@@ -67,29 +210,23 @@ async function retrieveRelevantSchemas(question) {
             questionLength: question.length
         });
 
+        if (tables && tables.length === 0) {
+            throw new Error("No tables are available to you for this question.");
+        }
+
         // Get the collection (will initialize if needed)
-        const currentCollection = await getCollection();
+        const currentCollection = await getCollection(dataSource);
 
         // Generate embedding for the user's question
         logger.debug('Generating embedding for question');
-        const result = await model.embedContent({
-            content: {
-                role: "user",
-                parts: [{ text: question }]
-            }
-        });
-
-        if (!result.embedding || !result.embedding.values) {
-            throw new Error('Failed to generate embedding for question');
-        }
-
-        const queryEmbedding = result.embedding.values;
+        const queryEmbedding = embedding || await embedText(question);
 
         // Query ChromaDB to find the most similar documents
         logger.debug('Querying ChromaDB for similar schemas');
         const searchResults = await currentCollection.query({
             queryEmbeddings: [queryEmbedding],
             nResults: config.rag.topK || 3,
+            where: tables ? { tableName: { $in: tables } } : undefined,
             include: ['documents', 'metadatas', 'distances']
         });
 
@@ -110,27 +247,35 @@ async function retrieveRelevantSchemas(question) {
 
         logger.info('Retrieved relevant schemas', {
             question: question.substring(0, 50),
+            dataSource: dataSource.name,
             retrievedTables: retrievedTableNames,
             tableCount: retrievedTableNames.length,
             similarities: searchResults.distances ? searchResults.distances[0] : 'N/A'
         });
 
-        // Combine the retrieved schema documents into a single context string
-        const schemaContext = searchResults.documents[0].join('\n\n---\n\n');
+        // Combine the retrieved schema documents, each followed by its column values, into a single context string
+        const schemaContext = searchResults.documents[0]
+            .map((document, i) => withValueProfile(document, searchResults.metadatas[0][i], dataSource))
+            .join('\n\n---\n\n');
         
         logger.debug('Schema context created', {
             contextLength: schemaContext.length,
             tableCount: retrievedTableNames.length
         });
 
-        return schemaContext;
+        return {
+            schemaContext,
+            tables: retrievedTableNames,
+            distances: searchResults.distances ? searchResults.distances[0] : []
+        };
 
     } catch (error) {
         logger.error('Error in RAG schema retrieval', {
             error: error.message,
             question: question ? question.substring(0, 100) : 'undefined',
+            dataSource: dataSource.name,
             isConnected,
-            collectionExists: !!collection
+            collectionExists: collections.has(dataSource.name)
         });
 
         // Provide more specific error messages
@@ -146,6 +291,31 @@ async function retrieveRelevantSchemas(question) {
     }
 }
 
+/**
+ * Lists the tables indexed in a data source's schema collection and when each was indexed
+ * @param {Object} [dataSource] - The source whose collection to list (default source when omitted).
+ * @returns {Promise<Array<{tableName: string, indexedAt: ?string, schemaHash: ?string}>>}
+ *   `schemaHash` is the schemaDocHash of the docs entry the table was indexed from.
+ */
+async function listIndexedTables(dataSource = getDataSource()) {
+    const currentCollection = await getCollection(dataSource);
+    const results = await currentCollection.get({ include: ['metadatas'] });
+    return results.ids.map((id, i) => {
+        const metadata = results.metadatas[i] || {};
+        return { tableName: metadata.tableName || id, indexedAt: metadata.indexed_at || null, schemaHash: metadata.schemaHash || null };
+    });
+}
+
+/**
+ * Retrieves the most relevant table schemas for a given user question.
+ * @param {string} question - The user's natural language question.
+ * @returns {Promise<string>} A string containing the context of the most relevant schemas.
+ */
+async function retrieveRelevantSchemas(question) {
+    const { schemaContext } = await retrieveSchemas(question);
+    return schemaContext;
+}
+
 /**
  * Log the complete input being sent to Gemini (schemas + rules + question)
  * @param {string} fullInput - The complete input sent to Gemini AI
@@ -161,6 +331,17 @@ function logGeminiInput(fullInput, userQuestion = '') {
     });
 }
 
+/**
+ * Counts the documents in each data source's schema collection, by source name
+ */
+async function countDocuments() {
+    const counts = {};
+    for (const dataSource of getDataSources().values()) {
+        counts[dataSource.name] = await (await getCollection(dataSource)).count();
+    }
+    return counts;
+}
+
 /**
  * Health check for the RAG service
  */
@@ -170,8 +351,7 @@ async function healthCheck() {
         await chroma.heartbeat();
         
         // Test collection access
-        const currentCollection = await getCollection();
-        const count = await currentCollection.count();
+        const documentsBySource = await countDocuments();
         
         // Test embedding generation
         const testResult = await model.embedContent({
@@ -185,7 +365,8 @@ async function healthCheck() {
             healthy: true,
             chromaConnected: true,
             collectionExists: true,
-            documentsCount: count,
+            documentsCount: Object.values(documentsBySource).reduce((sum, count) => sum + count, 0),
+            documentsBySource,
             embeddingWorking: !!testResult.embedding
         };
     } catch (error) {
@@ -193,7 +374,7 @@ async function healthCheck() {
             healthy: false,
             error: error.message,
             chromaConnected: false,
-            collectionExists: !!collection,
+            collectionExists: collections.size > 0,
             documentsCount: 0,
             embeddingWorking: false
         };
@@ -201,19 +382,21 @@ async function healthCheck() {
 }
 
 /**
- * Get collection statistics
+ * Get collection statistics, per data source
  */
 async function getStats() {
     try {
-        if (!collection) {
-            await initializeConnection();
+        const counts = await countDocuments();
+        const dataSources = {};
+        for (const dataSource of getDataSources().values()) {
+            dataSources[dataSource.name] = {
+                collectionName: dataSource.collectionName || 'sql_schemas',
+                documentsCount: counts[dataSource.name]
+            };
         }
-        
-        const count = await collection.count();
         return {
             isConnected,
-            collectionName: config.rag.collectionName || 'sql_schemas',
-            documentsCount: count,
+            dataSources,
             topK: config.rag.topK || 3
         };
     } catch (error) {
@@ -226,7 +409,13 @@ async function getStats() {
 }
 
 module.exports = { 
+    embedText,
+    retrieveSchemas,
     retrieveRelevantSchemas, 
+    retrieveExamples,
+    listIndexedTables,
+    addVerifiedExample,
+    removeVerifiedExample,
     logGeminiInput,
     healthCheck, 
     getStats,
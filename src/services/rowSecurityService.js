@@ -0,0 +1,222 @@
+// src/services/rowSecurityService.js
+const { Parser } = require('node-sql-parser');
+const config = require('../config');
+const { parseSql, walk, DATE_PARTS } = require('./sqlValidationService');
+const { getDataSource } = require('../utils/dataSources');
+const logger = require('../utils/logger');
+
+const parser = new Parser();
+
+// Functions whose first argument is a date part (DATEADD(month, ...)); the parser reads it as a
+// column, which would be printed as [month]
+const DATE_PART_FUNCTIONS = new Set(['dateadd', 'datediff', 'datediff_big', 'datepart', 'datename', 'datetrunc', 'date_bucket']);
+
+const PLACEHOLDER_PATTERN = /:user\.(\w+)/g;
+
+/**
+ * The row filters that apply to an identity, keyed by lowercase table name. A table is only
+ * filtered if one of the identity's roles has a policy for it; the policies of several roles
+ * are combined with OR. Roles without a policy for a table do not lift the others' filter.
+ * @param {{roles: string[]}} identity
+ * @returns {Map<string, string[]>} The predicates of each filtered table.
+ */
+function predicatesFor(identity) {
+    const predicates = new Map();
+    (identity && identity.roles || []).forEach(role => {
+        Object.entries(config.rowSecurity.policies[role] || {}).forEach(([table, predicate]) => {
+            const key = table.toLowerCase();
+            predicates.set(key, [...(predicates.get(key) || []), predicate]);
+        });
+    });
+    return predicates;
+}
+
+/**
+ * Substitutes `:user.<attribute>` placeholders with the identity's values as SQL literals:
+ * `:user.id` is the user id, anything else comes from `identity.attributes` (JWT claims or
+ * the API key entry's `attributes`). Lists become comma-separated literals, so they belong
+ * in `IN (...)`. A missing or empty attribute becomes NULL, which matches no rows.
+ */
+function bindPredicate(predicate, identity, { literal }) {
+    const attributes = identity.attributes || {};
+    return predicate.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+        const value = name === 'id' ? identity.id : attributes[name];
+        const values = (Array.isArray(value) ? value : [value]).filter(item => item !== null && item !== undefined);
+        if (values.length === 0) {
+            logger.warn('Row security attribute missing, the filter matches no rows', { attribute: name });
+            return 'NULL';
+        }
+        return values.map(literal).join(', ');
+    });
+}
+
+/**
+ * Parses `SELECT * FROM [dbo].[table] WHERE (<predicates>)`, the derived table that replaces
+ * a filtered table. Without a schema, the dialect's is used where queries name it.
+ */
+function filteredSource(schema, table, predicates, identity, dialect) {
+    const condition = predicates.map(predicate => `(${bindPredicate(predicate, identity, dialect)})`).join(' OR ');
+    const owner = schema || (dialect.qualifyTables ? dialect.schema : null);
+    const source = owner ? `${dialect.quoteIdentifier(owner)}.${dialect.quoteIdentifier(table)}` : dialect.quoteIdentifier(table);
+    try {
+        return parser.astify(`SELECT * FROM ${source} WHERE ${condition}`, { database: dialect.parserDatabase });
+    } catch (error) {
+        logger.error('Invalid row security policy', { table, error: error.message.substring(0, 200) });
+        const policyError = new Error(`The row security policy for table '${table}' is invalid.`);
+        policyError.statusCode = 500;
+        throw policyError;
+    }
+}
+
+/**
+ * Keeps T-SQL date parts (DATEADD(month, ...)) unquoted when the query is printed again
+ */
+function preserveDateParts(ast) {
+    walk(ast, node => {
+        if (node.type !== 'function' || !node.args || !Array.isArray(node.args.value)) return;
+        const name = node.name && node.name.name && node.name.name.map(part => part.value).join('.');
+        const first = node.args.value[0];
+        if (DATE_PART_FUNCTIONS.has(String(name).toLowerCase()) && first && first.type === 'column_ref'
+            && !first.table && DATE_PARTS.has(String(first.column).toLowerCase())) {
+            node.args.value[0] = { type: 'origin', value: first.column };
+        }
+    });
+}
+
+// Binds values for scopeKey: the key is compared, never run, so it needs no dialect
+const KEY_LITERALS = { literal: value => JSON.stringify(value) };
+
+/**
+ * Identifies the row filters an identity gets, e.g. to tell whether a result produced for one
+ * user may be shown to another: equal keys mean the same rows are visible.
+ * @returns {string} '' when no filter applies.
+ */
+function scopeKey(identity) {
+    const predicates = predicatesFor(identity);
+    if (predicates.size === 0) return '';
+    return JSON.stringify([...predicates.entries()].sort(([a], [b]) => a.localeCompare(b))
+        .map(([table, tablePredicates]) => [table, tablePredicates.map(predicate => bindPredicate(predicate, identity, KEY_LITERALS))]));
+}
+
+/**
+ * The columns each table's row filters read, whichever the role: their values tell which rows
+ * exist outside a user's scope, so they are not profiled (see valueProfileService). A table
+ * whose predicate cannot be parsed gets '*', for all of its columns.
+ * @param {Object} [dataSource] - See utils/dataSources; the default source if omitted.
+ * @returns {Map<string, Set<string>>} Lowercase column names by lowercase table name.
+ */
+function filteredColumns(dataSource = getDataSource()) {
+    const columns = new Map();
+    Object.values(config.rowSecurity.policies).forEach(tables => {
+        Object.entries(tables || {}).forEach(([table, predicate]) => {
+            const key = table.toLowerCase();
+            const names = columns.get(key) || new Set();
+            columns.set(key, names);
+            try {
+                const ast = parser.astify(`SELECT 1 FROM t WHERE ${String(predicate).replace(PLACEHOLDER_PATTERN, 'NULL')}`,
+                    { database: dataSource.dialect.parserDatabase });
+                walk(ast, node => {
+                    if (node.type !== 'column_ref') return;
+                    const name = typeof node.column === 'string' ? node.column : node.column && node.column.expr && node.column.expr.value;
+                    if (name) names.add(String(name).toLowerCase());
+                });
+            } catch (error) {
+                names.add('*');
+            }
+        });
+    });
+    return columns;
+}
+
+/**
+ * The CTE names a CTE's body can read: those of its outer scopes, the CTEs defined before it,
+ * and with RECURSIVE all of the list. SQL Server has no RECURSIVE; a CTE reading its own name
+ * reads itself there, while elsewhere (without RECURSIVE) the name is the table it shadows.
+ */
+function cteScope(ctes, index, outer, dialect) {
+    const scope = new Set(outer);
+    const names = ctes.map(cte => String(cte.name.value).toLowerCase());
+    const recursive = ctes.some(cte => cte.recursive);
+    names.forEach((name, position) => {
+        if (position < index || recursive || (position === index && dialect.name === 'mssql')) scope.add(name);
+    });
+    return scope;
+}
+
+/**
+ * Finds the FROM items that read a filtered table. Unqualified references to a CTE named like
+ * a table read the CTE (whose own body is filtered) where that CTE is in scope.
+ */
+function collectReferences(node, ctes, context) {
+    if (Array.isArray(node)) {
+        node.forEach(child => collectReferences(child, ctes, context));
+        return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    let scope = ctes;
+    if (Array.isArray(node.with)) {
+        node.with.forEach((cte, index) => collectReferences(cte.stmt, cteScope(node.with, index, ctes, context.dialect), context));
+        scope = cteScope(node.with, node.with.length, ctes, context.dialect);
+    }
+
+    if (Array.isArray(node.from)) {
+        node.from.forEach((item, index) => {
+            if (!item || !item.table || item.expr) return;
+            const key = String(item.table).toLowerCase();
+            if (context.predicates.has(key) && !(item.db === null && scope.has(key))) {
+                context.references.push({ from: node.from, index, item, key });
+            }
+        });
+    }
+
+    Object.entries(node).forEach(([field, child]) => {
+        if (field !== 'with') collectReferences(child, scope, context);
+    });
+}
+
+/**
+ * Enforces the row security policies (config.rowSecurity.policies) of an identity on a query:
+ * every reference to a filtered table, wherever it appears (joins, subqueries, CTEs, UNION
+ * branches, under any alias), is replaced by a derived table that only returns the rows the
+ * identity may see, keeping the alias the query uses. Queries without a filtered table are
+ * returned unchanged; others are re-printed from the parse tree.
+ * @param {string} sql - A query that passed validation.
+ * @param {?{id: string, roles: string[], attributes?: Object}} identity - The requester (req.identity).
+ * @param {Object} [dataSource] - The source the query runs on (see utils/dataSources); the default if omitted.
+ *   Policies name tables without a source, so they apply on every source that has the table.
+ * @returns {string} The query to execute.
+ */
+function applyRowSecurity(sql, identity, dataSource = getDataSource()) {
+    const predicates = predicatesFor(identity);
+    if (predicates.size === 0) return sql;
+
+    const { dialect } = dataSource;
+    const { ast } = parseSql(sql, dataSource);
+
+    // Collect first, so the inserted derived tables are not visited again
+    const references = [];
+    collectReferences(ast, new Set(), { predicates, dialect, references });
+    if (references.length === 0) return sql;
+
+    references.forEach(({ from, index, item, key }) => {
+        const { db, table, as, table_hint: tableHint, temporal_table: temporalTable, ...placement } = item;
+        const source = filteredSource(db, table, predicates.get(key), identity, dialect);
+        if (tableHint) source.from[0].table_hint = tableHint;
+        from[index] = { ...placement, expr: { ast: source, parentheses: true }, as: as || table };
+    });
+
+    if (dialect.name === 'mssql') preserveDateParts(ast);
+    const rewritten = parser.sqlify(ast, { database: dialect.parserDatabase });
+    logger.debug('Applied row security policies', {
+        roles: identity.roles,
+        tables: [...new Set(references.map(reference => reference.item.table))]
+    });
+    return rewritten;
+}
+
+module.exports = {
+    applyRowSecurity,
+    scopeKey,
+    filteredColumns
+};
@@ -0,0 +1,310 @@
+// src/services/schemaDocsService.js
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+const dbService = require('./dbService');
+const geminiService = require('./geminiService');
+const { getDataSource } = require('../utils/dataSources');
+const logger = require('../utils/logger');
+
+// Sensitivity given to columns added from the catalog: they stay hidden from most roles
+// until someone has reviewed them (see config.privacy.policies)
+const NEW_COLUMN_SENSITIVITY = 'restricted';
+
+// Keys of a documented table in the order they are written; any others follow
+const TABLE_KEY_ORDER = ['table_name', 'description', 'columns', 'relationships'];
+
+/**
+ * Reads the schema file of a data source as a YAML document, which keeps its comments and
+ * formatting; an empty list when the file does not exist yet
+ */
+function readSchemaDocument(dataSource) {
+    const schemaFile = path.resolve(dataSource.schemaFile);
+    const document = fs.existsSync(schemaFile) ? yaml.parseDocument(fs.readFileSync(schemaFile, 'utf8')) : new yaml.Document();
+    if (document.errors.length > 0) throw document.errors[0];
+    if (!yaml.isSeq(document.contents)) document.contents = document.createNode([]);
+    return document;
+}
+
+/**
+ * Reads the schema docs of a data source; an empty list when the file does not exist yet
+ */
+function readSchemaDocs(dataSource) {
+    return readSchemaDocument(dataSource).toJS().filter(schema => schema && schema.table_name);
+}
+
+/**
+ * The key an entry of a list is matched on when the list is updated: the name of a table or
+ * column, or the value itself
+ */
+function itemKey(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const name = value.table_name || value.name;
+        return name ? String(name).toLowerCase() : JSON.stringify(value);
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Updates a node of a YAML document to hold `value`, editing the nodes already there rather
+ * than replacing them so the comments on them are kept. Map keys missing from `value` are
+ * removed; list entries are matched by itemKey and put in the order of `value`.
+ * @returns {Object} The node to keep in the parent: `node` itself, or a new node when the
+ *   kind of value changed.
+ */
+function updateNode(document, node, value) {
+    if (yaml.isMap(node) && value && typeof value === 'object' && !Array.isArray(value)) {
+        const keyOf = pair => String(yaml.isScalar(pair.key) ? pair.key.value : pair.key);
+        node.items = node.items.filter(pair => Object.prototype.hasOwnProperty.call(value, keyOf(pair)));
+        Object.entries(value).forEach(([key, child]) => {
+            const pair = node.items.find(item => keyOf(item) === key);
+            if (pair) pair.value = updateNode(document, pair.value, child);
+            else node.items.push(document.createPair(key, child));
+        });
+        return node;
+    }
+    if (yaml.isSeq(node) && Array.isArray(value)) {
+        const existing = new Map();
+        node.items.forEach(item => {
+            const key = itemKey(yaml.isNode(item) ? item.toJSON() : item);
+            if (!existing.has(key)) existing.set(key, item);
+        });
+        node.items = value.map(child => {
+            const item = existing.get(itemKey(child));
+            existing.delete(itemKey(child));
+            return item ? updateNode(document, item, child) : document.createNode(child);
+        });
+        return node;
+    }
+    if (yaml.isScalar(node) && (value === null || typeof value !== 'object')) {
+        node.value = value;
+        return node;
+    }
+    return document.createNode(value);
+}
+
+/**
+ * Compares relationships written by hand with those from the catalog, whatever their case
+ * and spacing
+ */
+function normaliseRelationship(relationship) {
+    return String(relationship).replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * Describes a foreign key as `table.column -> referenced.column`. SQLite leaves the
+ * referenced columns out when they are the referenced table's primary key.
+ */
+function describeForeignKey(table, foreignKey, tablesByName) {
+    const referenced = tablesByName.get(foreignKey.referencedTable.toLowerCase());
+    const referencedColumns = foreignKey.referencedColumns.map((column, index) =>
+        column || (referenced && referenced.primaryKey[index]) || '?');
+    return `${table.name}.${foreignKey.columns.join(', ')} -> ${foreignKey.referencedTable}.${referencedColumns.join(', ')}`;
+}
+
+/**
+ * The foreign keys from and to a table, described for the `relationships` list
+ */
+function relationshipsOf(table, tables, tablesByName) {
+    const outgoing = table.foreignKeys.map(foreignKey => describeForeignKey(table, foreignKey, tablesByName));
+    const incoming = tables
+        .filter(other => other !== table)
+        .flatMap(other => other.foreignKeys
+            .filter(foreignKey => foreignKey.referencedTable.toLowerCase() === table.name.toLowerCase())
+            .map(foreignKey => describeForeignKey(other, foreignKey, tablesByName)));
+    return [...outgoing, ...incoming];
+}
+
+/**
+ * Copies a documented table with its keys in TABLE_KEY_ORDER, leaving out unset ones
+ */
+function orderKeys(schema) {
+    const keys = [...TABLE_KEY_ORDER, ...Object.keys(schema).filter(key => !TABLE_KEY_ORDER.includes(key))];
+    return Object.fromEntries(keys.filter(key => schema[key] !== undefined).map(key => [key, schema[key]]));
+}
+
+/**
+ * Merges a table from the catalog into its documentation. Written descriptions, sensitivities
+ * and other keys are kept; types, primary keys and foreign keys come from the catalog.
+ * Documented columns missing from the catalog are kept and reported.
+ */
+function mergeTable(documented, table, tables, tablesByName, report) {
+    const existingColumns = new Map((documented.columns || []).map(column => [String(column.name).toLowerCase(), column]));
+    const catalogColumns = new Set(table.columns.map(column => column.name.toLowerCase()));
+
+    const columns = table.columns.map(column => {
+        const existing = existingColumns.get(column.name.toLowerCase());
+        const merged = existing
+            ? { ...existing, type: column.dataType }
+            : { name: column.name, description: column.description || '', type: column.dataType, sensitivity: NEW_COLUMN_SENSITIVITY };
+        if (column.primaryKey) merged.primary_key = true;
+        else delete merged.primary_key;
+
+        if (!existing) report.newColumns.push(`${table.name}.${column.name}`);
+        return merged;
+    });
+    (documented.columns || [])
+        .filter(column => !catalogColumns.has(String(column.name).toLowerCase()))
+        .forEach(column => {
+            report.missingColumns.push(`${table.name}.${column.name}`);
+            columns.push(column);
+        });
+
+    // Hand-written relationships are kept, as some joins have no foreign key, but those no
+    // foreign key confirms are reported for review; those from the catalog are added once
+    const relationships = [...(documented.relationships || [])];
+    const catalogRelationships = relationshipsOf(table, tables, tablesByName);
+    const confirmed = new Set(catalogRelationships.map(normaliseRelationship));
+    relationships
+        .filter(relationship => !confirmed.has(normaliseRelationship(relationship)))
+        .forEach(relationship => report.unconfirmedRelationships.push(`${table.name}: ${relationship}`));
+    catalogRelationships.forEach(relationship => {
+        const key = normaliseRelationship(relationship);
+        if (!relationships.some(existing => normaliseRelationship(existing) === key)) relationships.push(relationship);
+    });
+
+    return orderKeys({
+        ...documented,
+        table_name: documented.table_name || table.name,
+        description: documented.description || table.description || '',
+        columns,
+        relationships: relationships.length > 0 ? relationships : undefined
+    });
+}
+
+/**
+ * Fills in empty descriptions with drafts from the model. A table whose draft fails keeps
+ * its empty descriptions.
+ */
+async function draftDescriptions(schema, table, report, signal) {
+    const emptyColumns = schema.columns.filter(column => !column.description);
+    if (schema.description && emptyColumns.length === 0) return;
+
+    const documented = {
+        description: schema.description || null,
+        columns: Object.fromEntries(schema.columns.filter(column => column.description).map(column => [column.name, column.description]))
+    };
+    try {
+        const drafted = await geminiService.draftSchemaDescriptions(table, documented, { signal });
+        if (!schema.description && drafted.description) {
+            schema.description = drafted.description;
+            report.drafted.push(schema.table_name);
+        }
+        emptyColumns.forEach(column => {
+            const description = drafted.columns[column.name];
+            if (typeof description === 'string' && description.trim()) {
+                column.description = description.trim();
+                report.drafted.push(`${schema.table_name}.${column.name}`);
+            }
+        });
+    } catch (error) {
+        if (signal && signal.aborted) throw error;
+        logger.warn('Could not draft schema descriptions', { table: schema.table_name, error: error.message });
+    }
+}
+
+/**
+ * Builds the schema docs of a data source from its database catalog, merged with the docs
+ * already written. Only documented tables are updated, unless the docs are empty (a first
+ * draft) or `addTables` is set; added columns are marked restricted until reviewed.
+ * @param {Object} [dataSource] - See utils/dataSources; the default source if omitted.
+ * @param {Object} [options]
+ * @param {boolean} [options.addTables] - Also add the tables that are not documented yet.
+ * @param {boolean} [options.describe] - Ask the model to draft the missing descriptions.
+ * @param {AbortSignal} [options.signal] - Cancels the model calls.
+ * @returns {Promise<{docs: Array<Object>, document: Object, report: Object}>} The docs; the schema
+ *   file's YAML document updated to hold them, comments kept (see stringifySchemaDocs); and what
+ *   changed: `addedTables`, `newColumns`, the documented `missingTables` and `missingColumns` the
+ *   catalog does not have, the `undocumentedTables` left out, the hand-written
+ *   `unconfirmedRelationships` no foreign key backs, what was `drafted` and what still needs a
+ *   description (`undescribed`).
+ */
+async function generateSchemaDocs(dataSource = getDataSource(), { addTables = false, describe = false, signal } = {}) {
+    const document = readSchemaDocument(dataSource);
+    const documented = document.toJS().filter(schema => schema && schema.table_name);
+    const tables = await dbService.introspectSchema(dataSource);
+    const tablesByName = new Map(tables.map(table => [table.name.toLowerCase(), table]));
+    const includeNewTables = addTables || documented.length === 0;
+    const report = {
+        addedTables: [],
+        newColumns: [],
+        missingTables: [],
+        missingColumns: [],
+        undocumentedTables: [],
+        unconfirmedRelationships: [],
+        drafted: [],
+        undescribed: []
+    };
+
+    const docs = documented.map(schema => {
+        const table = tablesByName.get(schema.table_name.toLowerCase());
+        if (!table) {
+            report.missingTables.push(schema.table_name);
+            return schema;
+        }
+        return mergeTable(schema, table, tables, tablesByName, report);
+    });
+
+    const documentedNames = new Set(documented.map(schema => schema.table_name.toLowerCase()));
+    tables
+        .filter(table => !documentedNames.has(table.name.toLowerCase()))
+        .forEach(table => {
+            if (!includeNewTables) {
+                report.undocumentedTables.push(table.name);
+                return;
+            }
+            report.addedTables.push(table.name);
+            const before = report.newColumns.length;
+            docs.push(mergeTable({ table_name: table.name }, table, tables, tablesByName, report));
+            // Columns of a new table are reported with the table, not one by one
+            report.newColumns.length = before;
+        });
+
+    if (describe) {
+        for (const schema of docs) {
+            const table = tablesByName.get(schema.table_name.toLowerCase());
+            if (table) await draftDescriptions(schema, table, report, signal);
+        }
+    }
+
+    docs.forEach(schema => {
+        if (!schema.description) report.undescribed.push(schema.table_name);
+        (schema.columns || [])
+            .filter(column => !column.description)
+            .forEach(column => report.undescribed.push(`${schema.table_name}.${column.name}`));
+    });
+
+    // Entries of the file that are not tables are left as they are
+    const docsByName = new Map(docs.map(schema => [schema.table_name.toLowerCase(), schema]));
+    document.contents.items.forEach((item, index) => {
+        const name = yaml.isMap(item) && item.get('table_name');
+        const schema = name && docsByName.get(String(name).toLowerCase());
+        if (!schema) return;
+        document.contents.items[index] = updateNode(document, item, schema);
+        docsByName.delete(String(name).toLowerCase());
+    });
+    docsByName.forEach(schema => document.contents.items.push(document.createNode(schema)));
+
+    logger.info('Generated schema docs from the database catalog', {
+        dataSource: dataSource.name,
+        tables: docs.length,
+        addedTables: report.addedTables.length,
+        newColumns: report.newColumns.length,
+        undescribed: report.undescribed.length
+    });
+    return { docs, document, report };
+}
+
+/**
+ * Renders schema docs as YAML, one line per value. Pass the `document` from
+ * generateSchemaDocs to keep the comments of the schema file.
+ */
+function stringifySchemaDocs(docs) {
+    return yaml.isDocument(docs) ? docs.toString({ lineWidth: 0 }) : yaml.stringify(docs, { lineWidth: 0 });
+}
+
+module.exports = {
+    readSchemaDocs,
+    generateSchemaDocs,
+    stringifySchemaDocs
+};
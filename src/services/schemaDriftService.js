@@ -0,0 +1,172 @@
+// src/services/schemaDriftService.js
+const path = require('path');
+const dbService = require('./dbService');
+const ragService = require('./ragService');
+const schemaDocsService = require('./schemaDocsService');
+const { schemaDocHash } = require('../utils/schemaDocs');
+const { getDataSources, getDataSource } = require('../utils/dataSources');
+const logger = require('../utils/logger');
+
+// A removed and an added column of the same table are reported as a rename when their
+// names are at least this similar (1 is identical, 0 nothing in common)
+const RENAME_SIMILARITY = 0.5;
+
+/**
+ * Similarity of two names from their edit distance, ignoring case
+ */
+function nameSimilarity(a, b) {
+    const left = a.toLowerCase();
+    const right = b.toLowerCase();
+    let previous = Array.from({ length: right.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= left.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= right.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (left[i - 1] === right[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return 1 - previous[right.length] / Math.max(left.length, right.length, 1);
+}
+
+/**
+ * Pairs the documented columns missing from a table with the table's undocumented columns
+ * that look like their new names: similar enough, and of the same type when the docs give one.
+ * @returns {{renamed: Array<{from: string, to: string}>, removed: string[], added: string[]}}
+ */
+function pairRenames(removedColumns, addedColumns) {
+    const candidates = removedColumns.flatMap(removed => addedColumns
+        .filter(added => !removed.type || removed.type.toLowerCase() === added.dataType.toLowerCase())
+        .map(added => ({ removed, added, similarity: nameSimilarity(removed.name, added.name) })))
+        .filter(candidate => candidate.similarity >= RENAME_SIMILARITY)
+        .sort((a, b) => b.similarity - a.similarity);
+
+    const renamed = [];
+    const paired = new Set();
+    candidates.forEach(({ removed, added }) => {
+        if (paired.has(removed) || paired.has(added)) return;
+        paired.add(removed);
+        paired.add(added);
+        renamed.push({ from: removed.name, to: added.name });
+    });
+    return {
+        renamed,
+        removed: removedColumns.filter(column => !paired.has(column)).map(column => column.name),
+        added: addedColumns.filter(column => !paired.has(column)).map(column => column.name)
+    };
+}
+
+/**
+ * Compares the documented tables and columns with the database catalog
+ */
+function compareWithDatabase(docs, tables) {
+    const tablesByName = new Map(tables.map(table => [table.name.toLowerCase(), table]));
+    const documentedNames = new Set(docs.map(schema => schema.table_name.toLowerCase()));
+    const result = { missingTables: [], removedColumns: [], renamedColumns: [], newColumns: [], undocumentedTables: [] };
+
+    docs.forEach(schema => {
+        const table = tablesByName.get(schema.table_name.toLowerCase());
+        if (!table) {
+            result.missingTables.push(schema.table_name);
+            return;
+        }
+
+        const documented = new Set((schema.columns || []).map(column => String(column.name).toLowerCase()));
+        const live = new Set(table.columns.map(column => column.name.toLowerCase()));
+        const { renamed, removed, added } = pairRenames(
+            (schema.columns || []).filter(column => !live.has(String(column.name).toLowerCase()))
+                .map(column => ({ name: String(column.name), type: column.type })),
+            table.columns.filter(column => !documented.has(column.name.toLowerCase()))
+        );
+        result.renamedColumns.push(...renamed.map(({ from, to }) => ({ table: schema.table_name, from, to })));
+        result.removedColumns.push(...removed.map(column => `${schema.table_name}.${column}`));
+        result.newColumns.push(...added.map(column => `${schema.table_name}.${column}`));
+    });
+
+    result.undocumentedTables = tables.filter(table => !documentedNames.has(table.name.toLowerCase())).map(table => table.name);
+    return result;
+}
+
+/**
+ * Compares the documented tables with the entries of the schema collection. An entry whose
+ * stored hash is not that of the table's current docs entry (or that has none, from before
+ * hashes were stored) was indexed from other docs and may describe the table as it was.
+ */
+function compareWithIndex(docs, indexed) {
+    const docsByName = new Map(docs.map(schema => [schema.table_name.toLowerCase(), schema]));
+    const indexedByName = new Map(indexed.map(entry => [entry.tableName.toLowerCase(), entry]));
+
+    return {
+        notIndexed: docs.filter(schema => !indexedByName.has(schema.table_name.toLowerCase())).map(schema => schema.table_name),
+        orphanedEntries: indexed.filter(entry => !docsByName.has(entry.tableName.toLowerCase())).map(entry => entry.tableName),
+        staleEntries: indexed
+            .filter(entry => docsByName.has(entry.tableName.toLowerCase()))
+            .filter(entry => entry.schemaHash !== schemaDocHash(docsByName.get(entry.tableName.toLowerCase())))
+            .map(entry => ({ table: entry.tableName, indexedAt: entry.indexedAt }))
+    };
+}
+
+/**
+ * Checks one data source. A comparison that cannot run (database or ChromaDB unreachable)
+ * carries an `error` instead of its findings.
+ */
+async function checkDataSource(dataSource) {
+    const schemaFile = path.resolve(dataSource.schemaFile);
+    const docs = schemaDocsService.readSchemaDocs(dataSource);
+
+    const [database, index] = await Promise.all([
+        dbService.introspectSchema(dataSource)
+            .then(tables => compareWithDatabase(docs, tables))
+            .catch(error => ({ error: error.message })),
+        ragService.listIndexedTables(dataSource)
+            .then(indexed => compareWithIndex(docs, indexed))
+            .catch(error => ({ error: error.message }))
+    ]);
+
+    const findings = [
+        database.missingTables, database.removedColumns, database.renamedColumns, database.newColumns,
+        index.notIndexed, index.orphanedEntries, index.staleEntries
+    ];
+    return {
+        dataSource: dataSource.name,
+        schemaFile,
+        documentedTables: docs.length,
+        driftCount: findings.reduce((count, items) => count + (items ? items.length : 0), 0),
+        failed: Boolean(database.error || index.error),
+        database,
+        index
+    };
+}
+
+/**
+ * Compares the schema docs of each data source with its database catalog and its schema
+ * collection in ChromaDB. Drift is: documented tables missing from the database, documented
+ * columns removed or renamed there, columns added there but not documented, documented
+ * tables not indexed, index entries for tables no longer documented, and entries indexed
+ * from a different version of their table's docs. Undocumented tables are listed but are not drift.
+ * @param {string} [dataSourceName] - Check only this source; all of them when omitted.
+ * @returns {Promise<{checkedAt: string, hasDrift: boolean, failed: boolean, dataSources: Array<Object>}>}
+ *   `failed` is set when a comparison could not run.
+ */
+async function checkDrift(dataSourceName) {
+    const dataSources = dataSourceName ? [getDataSource(dataSourceName)] : [...getDataSources().values()];
+    const results = [];
+    for (const dataSource of dataSources) {
+        results.push(await checkDataSource(dataSource));
+    }
+
+    const report = {
+        checkedAt: new Date().toISOString(),
+        hasDrift: results.some(result => result.driftCount > 0),
+        failed: results.some(result => result.failed),
+        dataSources: results
+    };
+    const log = report.hasDrift || report.failed ? logger.warn : logger.info;
+    log.call(logger, 'Schema drift check finished', {
+        hasDrift: report.hasDrift,
+        failed: report.failed,
+        driftCounts: Object.fromEntries(results.map(result => [result.dataSource, result.driftCount]))
+    });
+    return report;
+}
+
+module.exports = { checkDrift };
@@ -0,0 +1,178 @@
+// src/services/sessionService.js
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { createMemoryStore } = require('./sessionStores/memoryStore');
+const { createSqliteStore } = require('./sessionStores/sqliteStore');
+const { createRedisStore } = require('./sessionStores/redisStore');
+const logger = require('../utils/logger');
+
+const TITLE_MAX_LENGTH = 80;
+
+let store = null;
+
+/**
+ * Returns the configured session store, creating it on first use
+ */
+function getStore() {
+    if (store) return store;
+
+    const { store: backend, sqlitePath, redisUrl, sessionTtlHours } = config.conversation;
+    const ttlSeconds = sessionTtlHours * 3600;
+
+    switch (backend) {
+        case 'memory':
+            store = createMemoryStore({ ttlSeconds });
+            break;
+        case 'sqlite':
+            store = createSqliteStore({ filePath: sqlitePath, ttlSeconds });
+            break;
+        case 'redis':
+            store = createRedisStore({ url: redisUrl, ttlSeconds });
+            break;
+        default:
+            throw new Error(`Unknown session store "${backend}". Use memory, sqlite or redis.`);
+    }
+
+    logger.info(`Session store initialized: ${backend}`);
+    return store;
+}
+
+function notFound() {
+    const error = new Error('Session not found or expired.');
+    error.statusCode = 404;
+    return error;
+}
+
+function newSession(id, userId) {
+    const now = new Date().toISOString();
+    return { id, userId, title: null, createdAt: now, updatedAt: now, forkedFrom: null, history: [] };
+}
+
+/**
+ * Loads a session of the given user. Sessions of other users are reported as not found.
+ */
+async function getSession(sessionId, userId) {
+    const session = await getStore().get(sessionId);
+    if (!session || session.userId !== userId) {
+        throw notFound();
+    }
+    return session;
+}
+
+/**
+ * Returns the session to use for a question: the stored one, or a new (not yet saved)
+ * session if no id was given or it is unknown/expired.
+ * @param {?string} sessionId - The id sent by the client, if any.
+ * @param {string} userId - The caller.
+ */
+async function loadSession(sessionId, userId) {
+    if (sessionId) {
+        const session = await getStore().get(sessionId);
+        if (session) {
+            if (session.userId !== userId) throw notFound();
+            return session;
+        }
+    }
+
+    const session = newSession(sessionId || uuidv4(), userId);
+    logger.info(`New session started: ${session.id}`);
+    return session;
+}
+
+/**
+ * The recent turns sent to the model for question rewriting
+ */
+function getChatHistory(session) {
+    return session.history.slice(-config.conversation.maxHistoryLength * 2);
+}
+
+/**
+ * The last successful query of the session, the standalone question it answered and the
+ * name of the data source it ran on, or null. Follow-ups that refine the result edit this query.
+ * @returns {?{sql: string, question: string, dataSource: string}}
+ */
+function getLastQuery(session) {
+    for (let i = session.history.length - 1; i >= 0; i--) {
+        const entry = session.history[i];
+        if (entry.role === 'bot' && entry.sql) {
+            const userEntry = session.history[i - 1];
+            return { sql: entry.sql, question: entry.standaloneQuestion || (userEntry && userEntry.content), dataSource: entry.dataSource };
+        }
+    }
+    return null;
+}
+
+/**
+ * Appends a user/bot exchange to the session and saves it. `details` is stored on the
+ * bot entry, e.g. `{ sql, rowCount }` or `{ clarification }`.
+ */
+async function recordExchange(session, question, answer, details = {}) {
+    const timestamp = new Date().toISOString();
+    session.history.push({ role: 'user', content: question, timestamp });
+    session.history.push({ role: 'bot', content: answer, timestamp, ...details });
+
+    // Only the oldest exchanges are dropped once the stored history is full
+    const maxEntries = config.conversation.maxStoredExchanges * 2;
+    if (session.history.length > maxEntries) {
+        session.history.splice(0, session.history.length - maxEntries);
+    }
+
+    if (!session.title) {
+        session.title = question.length > TITLE_MAX_LENGTH ? `${question.substring(0, TITLE_MAX_LENGTH - 1)}…` : question;
+    }
+    session.updatedAt = timestamp;
+
+    await getStore().save(session);
+    logger.debug(`History for session ${session.id} updated.`);
+}
+
+/**
+ * Lists a user's sessions, most recently used first, without their history
+ * @returns {Promise<Array<{id: string, title: string, createdAt: string, updatedAt: string, exchangeCount: number, forkedFrom: ?Object}>>}
+ */
+async function listSessions(userId) {
+    const sessions = await getStore().listByUser(userId);
+    return sessions
+        .map(({ history, userId: owner, ...summary }) => ({ ...summary, exchangeCount: Math.floor(history.length / 2) }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+async function deleteSession(sessionId, userId) {
+    await getSession(sessionId, userId);
+    await getStore().delete(sessionId);
+    logger.info(`Session deleted: ${sessionId}`);
+}
+
+/**
+ * Copies a session into a new one, e.g. to explore a different direction from an earlier
+ * point of an analysis.
+ * @param {string} sessionId - The session to fork.
+ * @param {string} userId - The caller; must own the session.
+ * @param {Object} [options]
+ * @param {number} [options.exchanges] - Keep only the first N exchanges (default: all).
+ * @returns {Promise<Object>} The new session.
+ */
+async function forkSession(sessionId, userId, { exchanges } = {}) {
+    const source = await getSession(sessionId, userId);
+    const keep = exchanges === undefined ? source.history.length : exchanges * 2;
+
+    const fork = newSession(uuidv4(), userId);
+    fork.title = source.title;
+    fork.history = source.history.slice(0, keep).map(entry => ({ ...entry }));
+    fork.forkedFrom = { sessionId, exchanges: Math.floor(fork.history.length / 2) };
+
+    await getStore().save(fork);
+    logger.info(`Session ${sessionId} forked into ${fork.id}`);
+    return fork;
+}
+
+module.exports = {
+    loadSession,
+    getSession,
+    getChatHistory,
+    getLastQuery,
+    recordExchange,
+    listSessions,
+    deleteSession,
+    forkSession
+};
@@ -0,0 +1,38 @@
+// src/services/sessionStores/memoryStore.js
+const NodeCache = require('node-cache');
+
+/**
+ * In-process session store. Sessions are lost on restart and not shared between
+ * instances; use the sqlite or redis store for that.
+ * @param {Object} options
+ * @param {number} options.ttlSeconds - Idle time after which a session expires.
+ */
+function createMemoryStore({ ttlSeconds }) {
+    const cache = new NodeCache({ stdTTL: ttlSeconds, checkperiod: 120 });
+
+    return {
+        async get(id) {
+            return cache.get(id) || null;
+        },
+
+        async save(session) {
+            cache.set(session.id, session); // Also restarts the TTL
+        },
+
+        async delete(id) {
+            return cache.del(id) > 0;
+        },
+
+        async listByUser(userId) {
+            return cache.keys()
+                .map(key => cache.get(key))
+                .filter(session => session && session.userId === userId);
+        },
+
+        async close() {
+            cache.close();
+        }
+    };
+}
+
+module.exports = { createMemoryStore };
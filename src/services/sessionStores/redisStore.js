@@ -0,0 +1,64 @@
+// src/services/sessionStores/redisStore.js
+const logger = require('../../utils/logger');
+
+/**
+ * Session store backed by Redis (or a Redis-compatible server such as Valkey or
+ * KeyDB), shared by all instances. Each session is a JSON string with a TTL; a sorted
+ * set per user, scored by last update, indexes the user's sessions.
+ * @param {Object} options
+ * @param {string} options.url - Connection URL, e.g. redis://localhost:6379.
+ * @param {number} options.ttlSeconds - Idle time after which a session expires.
+ */
+function createRedisStore({ url, ttlSeconds }) {
+    // Loaded here so the client is only needed when this store is selected
+    const Redis = require('ioredis');
+    const redis = new Redis(url, { maxRetriesPerRequest: 2 });
+    redis.on('error', error => logger.error('Session store Redis error', { error: error.message }));
+
+    const sessionKey = id => `session:${id}`;
+    const userKey = userId => `session_user:${userId}`;
+
+    return {
+        async get(id) {
+            const data = await redis.get(sessionKey(id));
+            return data ? JSON.parse(data) : null;
+        },
+
+        async save(session) {
+            await redis.multi()
+                .set(sessionKey(session.id), JSON.stringify(session), 'EX', ttlSeconds)
+                .zadd(userKey(session.userId), Date.now(), session.id)
+                .expire(userKey(session.userId), ttlSeconds)
+                .exec();
+        },
+
+        async delete(id) {
+            const session = await this.get(id);
+            if (!session) return false;
+            await redis.multi()
+                .del(sessionKey(id))
+                .zrem(userKey(session.userId), id)
+                .exec();
+            return true;
+        },
+
+        async listByUser(userId) {
+            const ids = await redis.zrevrange(userKey(userId), 0, -1);
+            if (ids.length === 0) return [];
+
+            const values = await redis.mget(ids.map(sessionKey));
+            // Sessions that expired on their own are dropped from the index here
+            const expired = ids.filter((id, index) => !values[index]);
+            if (expired.length > 0) {
+                await redis.zrem(userKey(userId), ...expired);
+            }
+            return values.filter(Boolean).map(value => JSON.parse(value));
+        },
+
+        async close() {
+            await redis.quit();
+        }
+    };
+}
+
+module.exports = { createRedisStore };
@@ -0,0 +1,77 @@
+// src/services/sessionStores/sqliteStore.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Session store backed by a local SQLite file. Survives restarts and can be shared by
+ * processes on the same host. Each session is stored as a JSON document.
+ * @param {Object} options
+ * @param {string} options.filePath - Database file; its directory is created if missing.
+ * @param {number} options.ttlSeconds - Idle time after which a session expires.
+ */
+function createSqliteStore({ filePath, ttlSeconds }) {
+    // Loaded here so the native module is only needed when this store is selected
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS sessions (
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            data TEXT NOT NULL,
+            updated_at INTEGER NOT NULL,
+            expires_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id, updated_at);
+    `);
+
+    const statements = {
+        get: db.prepare('SELECT data FROM sessions WHERE id = ? AND expires_at > ?'),
+        upsert: db.prepare(`
+            INSERT INTO sessions (id, user_id, data, updated_at, expires_at) VALUES (@id, @userId, @data, @now, @expiresAt)
+            ON CONFLICT (id) DO UPDATE SET user_id = @userId, data = @data, updated_at = @now, expires_at = @expiresAt
+        `),
+        delete: db.prepare('DELETE FROM sessions WHERE id = ?'),
+        listByUser: db.prepare('SELECT data FROM sessions WHERE user_id = ? AND expires_at > ? ORDER BY updated_at DESC'),
+        purgeExpired: db.prepare('DELETE FROM sessions WHERE expires_at <= ?')
+    };
+
+    // Expired rows are ignored by reads and removed periodically
+    const purgeTimer = setInterval(() => statements.purgeExpired.run(Date.now()), 10 * 60 * 1000);
+    purgeTimer.unref();
+
+    return {
+        async get(id) {
+            const row = statements.get.get(id, Date.now());
+            return row ? JSON.parse(row.data) : null;
+        },
+
+        async save(session) {
+            const now = Date.now();
+            statements.upsert.run({
+                id: session.id,
+                userId: session.userId,
+                data: JSON.stringify(session),
+                now,
+                expiresAt: now + ttlSeconds * 1000
+            });
+        },
+
+        async delete(id) {
+            return statements.delete.run(id).changes > 0;
+        },
+
+        async listByUser(userId) {
+            return statements.listByUser.all(userId, Date.now()).map(row => JSON.parse(row.data));
+        },
+
+        async close() {
+            clearInterval(purgeTimer);
+            db.close();
+        }
+    };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,249 @@
+// src/services/sqlValidationService.js
+const { Parser } = require('node-sql-parser');
+const config = require('../config');
+const { getTableCatalog } = require('../utils/schemaDocs');
+const { getDataSource } = require('../utils/dataSources');
+const logger = require('../utils/logger');
+
+const parser = new Parser();
+
+// DATEADD/DATEDIFF/DATEPART arguments, which the parser reports as column references
+const DATE_PARTS = new Set([
+    'year', 'yy', 'yyyy', 'quarter', 'qq', 'q', 'month', 'mm', 'm', 'dayofyear', 'dy', 'y',
+    'day', 'dd', 'd', 'week', 'wk', 'ww', 'weekday', 'dw', 'w', 'hour', 'hh', 'minute', 'mi', 'n',
+    'second', 'ss', 's', 'millisecond', 'ms', 'microsecond', 'mcs', 'nanosecond', 'ns', 'iso_week', 'isowk', 'isoww'
+]);
+
+// Violations the model can usually fix when shown them (see askService.executeWithRepair);
+// BLOCKED_COLUMN, UNNAMED_SENSITIVE_COLUMN and TABLE_NOT_PERMITTED come from accessService.checkQuery
+const REPAIRABLE_RULES = new Set(['PARSE_ERROR', 'UNKNOWN_TABLE', 'UNKNOWN_COLUMN', 'BLOCKED_COLUMN', 'UNNAMED_SENSITIVE_COLUMN',
+    'TABLE_NOT_PERMITTED']);
+
+/**
+ * Parses SQL in the dialect of a data source (the default one if omitted) into
+ * `{ast, tableList, columnList}` (see node-sql-parser). Throws on syntax errors.
+ */
+function parseSql(sql, dataSource = getDataSource()) {
+    return parser.parse(sql, { database: dataSource.dialect.parserDatabase });
+}
+
+/**
+ * Calls `visit` for every object node of the syntax tree
+ */
+function walk(node, visit) {
+    if (Array.isArray(node)) {
+        node.forEach(child => walk(child, visit));
+    } else if (node && typeof node === 'object') {
+        visit(node);
+        Object.values(node).forEach(child => walk(child, visit));
+    }
+}
+
+function functionName(node) {
+    const parts = (node.name && node.name.name) || [];
+    return parts.map(part => part.value).join('.');
+}
+
+/**
+ * Statement-level rules: single SELECT, no INTO, no forbidden (see utils/sqlDialects) or
+ * user-defined functions. Also collects the names the query defines itself (CTEs, their
+ * columns and all aliases).
+ */
+function checkStatements(statements, violations, dialect) {
+    const defined = { ctes: new Set(), names: new Set() };
+    const { forbiddenFunctions, forbiddenFunctionPattern } = dialect;
+
+    if (statements.length > 1) {
+        violations.push({ rule: 'MULTIPLE_STATEMENTS', message: 'Only a single statement is allowed.' });
+    }
+
+    statements.forEach(statement => {
+        if (statement.type !== 'select') {
+            violations.push({
+                rule: 'NOT_SELECT',
+                message: `Only SELECT queries are allowed, found ${String(statement.type).toUpperCase()}.`,
+                object: statement.type
+            });
+        }
+    });
+
+    walk(statements, node => {
+        if (node.type === 'select' && node.into && node.into.expr) {
+            violations.push({ rule: 'SELECT_INTO', message: 'SELECT ... INTO is not allowed.', object: String(node.into.expr) });
+        }
+
+        if (node.type === 'function') {
+            const name = functionName(node);
+            const schema = node.name.schema && node.name.schema.value;
+            if (forbiddenFunctions.has(name.toLowerCase()) || (forbiddenFunctionPattern && forbiddenFunctionPattern.test(name))) {
+                violations.push({ rule: 'FUNCTION_NOT_ALLOWED', message: `Function '${name}' is not allowed.`, object: name });
+            } else if (schema) {
+                // Schema-qualified calls are user-defined or system functions, not built-ins
+                violations.push({ rule: 'FUNCTION_NOT_ALLOWED', message: `Function '${schema}.${name}' is not allowed.`, object: `${schema}.${name}` });
+            }
+        }
+
+        if (Array.isArray(node.with)) {
+            node.with.forEach(cte => {
+                defined.ctes.add(String(cte.name.value).toLowerCase());
+                (cte.columns || []).forEach(column => defined.names.add(String(column.column).toLowerCase()));
+            });
+        }
+
+        if (typeof node.as === 'string') {
+            defined.names.add(node.as.toLowerCase());
+        }
+    });
+
+    return defined;
+}
+
+/**
+ * Checks `type::schema::table` entries from the parser against the allowlist. Only the
+ * schema of the documented tables may be named, which keeps system catalogs out.
+ * @returns {Set<string>} The allowlisted tables the query reads.
+ */
+function checkTables(tableList, defined, violations, dataSource) {
+    const tables = getTableCatalog(dataSource);
+    const allowedSchema = String(dataSource.dialect.schema).toLowerCase();
+    const referenced = new Set();
+
+    tableList.forEach(entry => {
+        const [, schema, table] = entry.split('::');
+        const key = table.toLowerCase();
+
+        if (schema === 'null' && defined.ctes.has(key)) return;
+
+        if (schema !== 'null' && schema.includes('.')) {
+            violations.push({
+                rule: 'CROSS_DATABASE',
+                message: `Table '${schema}.${table}' is in another database or server.`,
+                object: `${schema}.${table}`
+            });
+        } else if (schema !== 'null' && schema.toLowerCase() !== allowedSchema) {
+            violations.push({
+                rule: 'SCHEMA_NOT_ALLOWED',
+                message: `Schema '${schema}' is not allowed.`,
+                object: `${schema}.${table}`
+            });
+        } else if (!tables.has(key)) {
+            violations.push({ rule: 'UNKNOWN_TABLE', message: `Table '${table}' is not an allowed table.`, object: table });
+        } else {
+            referenced.add(key);
+        }
+    });
+
+    return referenced;
+}
+
+/**
+ * Checks `type::table::column` entries from the parser. Columns qualified with an
+ * allowlisted table must belong to it; unqualified ones (or ones qualified with a CTE or
+ * derived table) must belong to a referenced table or be defined by the query itself.
+ */
+function checkColumns(columnList, referenced, defined, violations, tables) {
+    const known = new Set(defined.names);
+    referenced.forEach(key => tables.get(key).columns.forEach((column, columnKey) => known.add(columnKey)));
+
+    const reported = new Set();
+    columnList.forEach(entry => {
+        const [, table, column] = entry.split('::');
+        if (column === '(.*)' || column === '*') return;
+
+        const key = column.toLowerCase();
+        const tableKey = table.toLowerCase();
+        const qualifiedTable = table !== 'null' && !defined.ctes.has(tableKey) ? tables.get(tableKey) : null;
+
+        let valid;
+        if (qualifiedTable) {
+            valid = qualifiedTable.columns.has(key);
+        } else {
+            valid = known.has(key) || (table === 'null' && DATE_PARTS.has(key));
+        }
+
+        if (!valid && !reported.has(entry)) {
+            reported.add(entry);
+            violations.push({
+                rule: 'UNKNOWN_COLUMN',
+                message: qualifiedTable
+                    ? `Column '${column}' does not exist in table '${qualifiedTable.name}'.`
+                    : `Column '${column}' does not exist in the referenced tables.`,
+                object: qualifiedTable ? `${qualifiedTable.name}.${column}` : column
+            });
+        }
+    });
+}
+
+/**
+ * Builds the error thrown for rejected SQL. It carries the `violations` so routes can show
+ * them, and the fields the SQL repair loop reads (`isRepairable`, `dbMessage`).
+ */
+function createValidationError(violations) {
+    const details = violations.map(violation => violation.message).join(' ');
+    const error = new Error(`Query rejected by the SQL safety rules. ${details}`);
+    error.statusCode = 422;
+    error.code = 'SQL_VALIDATION_FAILED';
+    error.violations = violations;
+    error.dbMessage = details;
+    error.isRepairable = violations.every(violation => REPAIRABLE_RULES.has(violation.rule));
+    return error;
+}
+
+/**
+ * Parses a query in a data source's dialect and checks it against the read-only rules and
+ * the schema allowlist: a single SELECT (CTEs allowed), no SELECT ... INTO, no forbidden or
+ * user-defined functions, and only tables and columns documented in the source's schema docs.
+ * @param {string} sql - The SQL to check.
+ * @param {Object} [dataSource] - See utils/dataSources; the default source if omitted.
+ * @returns {{tables: string[]}} The allowlisted tables the query reads.
+ * @throws {Error} With `code` SQL_VALIDATION_FAILED and a `violations` array of {rule, message, object}.
+ */
+function validateSql(sql, dataSource = getDataSource()) {
+    if (!sql || sql.trim() === '') {
+        throw createValidationError([{ rule: 'EMPTY_QUERY', message: 'SQL query cannot be empty.' }]);
+    }
+
+    let parsed;
+    try {
+        parsed = parseSql(sql, dataSource);
+    } catch (parseError) {
+        const location = parseError.location && parseError.location.start;
+        const found = parseError.found ? ` near '${parseError.found}'` : '';
+        const position = location ? ` (line ${location.line}, column ${location.column})` : '';
+        logger.warn('SQL rejected by validation: parse error', {
+            query: sql.substring(0, 200) + (sql.length > 200 ? '...' : ''),
+            error: parseError.message.substring(0, 200)
+        });
+        throw createValidationError([{
+            rule: 'PARSE_ERROR',
+            message: `The query could not be parsed as a supported ${dataSource.dialect.language} SELECT${found}${position}.`
+        }]);
+    }
+
+    const statements = (Array.isArray(parsed.ast) ? parsed.ast : [parsed.ast]).filter(Boolean);
+    const violations = [];
+    const tables = getTableCatalog(dataSource);
+    const defined = checkStatements(statements, violations, dataSource.dialect);
+    const referenced = checkTables(parsed.tableList, defined, violations, dataSource);
+    if (config.sqlValidation.checkColumns && violations.length === 0) {
+        checkColumns(parsed.columnList, referenced, defined, violations, tables);
+    }
+
+    if (violations.length > 0) {
+        logger.warn('SQL rejected by validation', {
+            query: sql.substring(0, 200) + (sql.length > 200 ? '...' : ''),
+            violations: violations.map(violation => violation.rule)
+        });
+        throw createValidationError(violations);
+    }
+
+    return { tables: [...referenced].map(key => tables.get(key).name) };
+}
+
+module.exports = {
+    validateSql,
+    parseSql,
+    walk,
+    createValidationError,
+    DATE_PARTS
+};
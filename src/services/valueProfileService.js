@@ -0,0 +1,161 @@
+// src/services/valueProfileService.js
+const config = require('../config');
+const dbService = require('./dbService');
+const rowSecurityService = require('./rowSecurityService');
+const { getTableCatalog } = require('../utils/schemaDocs');
+const { getDataSource } = require('../utils/dataSources');
+const logger = require('../utils/logger');
+
+// Column kinds by catalog type name: numbers and dates get a range, the rest a value list.
+// Binary, document and identifier types are not profiled.
+const SKIPPED_TYPE = /binary|blob|image|bytea|xml|json|geometry|geography|hierarchyid|uniqueidentifier|uuid|sql_variant/;
+const DATE_TYPE = /date|time/;
+const NUMERIC_TYPE = /int|dec|numeric|real|float|double|money|number/;
+
+/**
+ * Whether a column is profiled as a value list, a range, or not at all
+ */
+function columnKind(dataType) {
+    const type = String(dataType || '').toLowerCase();
+    if (!type || SKIPPED_TYPE.test(type)) return null;
+    if (DATE_TYPE.test(type)) return 'range';
+    // bit is SQL Server's boolean
+    if (NUMERIC_TYPE.test(type) && type !== 'bit') return 'range';
+    return 'values';
+}
+
+/**
+ * A profiled value as it is stored: dates as ISO text (without a midnight time), numbers as
+ * numbers even where the driver returns them as text (PostgreSQL numeric, MySQL decimal)
+ */
+function profileValue(value, isNumeric) {
+    if (value instanceof Date) return value.toISOString().replace(/T00:00:00\.000Z$/, '');
+    if (typeof value === 'bigint') return Number(value);
+    if (isNumeric && typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+    return value;
+}
+
+/**
+ * The table as queries name it, with the schema where the dialect qualifies tables
+ */
+function tableReference(table, dialect) {
+    const name = dialect.quoteIdentifier(table.name);
+    return dialect.qualifyTables ? `${dialect.quoteIdentifier(table.schema || dialect.schema)}.${name}` : name;
+}
+
+/**
+ * The most frequent values of a column, or null when it has more than maxDistinctValues
+ * of them or a value longer than maxValueLength (free text rather than a category)
+ */
+async function profileValues(table, column, dataSource, signal) {
+    const { dialect } = dataSource;
+    const { profileMaxDistinctValues, profileMaxValueLength } = config.rag;
+    const name = dialect.quoteIdentifier(column.name);
+    const sql = `SELECT ${name} AS column_value, COUNT(*) AS frequency FROM ${tableReference(table, dialect)} ` +
+        `WHERE ${name} IS NOT NULL GROUP BY ${name} ORDER BY COUNT(*) DESC ${dialect.pageClause(0, profileMaxDistinctValues + 1)}`;
+
+    const rows = await dbService.executeQuery(sql, { dataSource, signal });
+    if (rows.length === 0 || rows.length > profileMaxDistinctValues) return null;
+    if (rows.some(row => String(profileValue(row.column_value)).length > profileMaxValueLength)) return null;
+    return { values: rows.map(row => ({ value: profileValue(row.column_value), count: Number(row.frequency) })) };
+}
+
+/**
+ * The smallest and largest value of a column, or null when it holds no values
+ */
+async function profileRange(table, column, dataSource, signal) {
+    const { dialect } = dataSource;
+    const name = dialect.quoteIdentifier(column.name);
+    // Lowercase aliases: PostgreSQL folds unquoted ones
+    const [range] = await dbService.executeQuery(
+        `SELECT MIN(${name}) AS min_value, MAX(${name}) AS max_value FROM ${tableReference(table, dialect)}`,
+        { dataSource, signal });
+    if (!range || range.min_value === null || range.min_value === undefined) return null;
+    const isNumeric = !DATE_TYPE.test(String(column.dataType).toLowerCase());
+    return { min: profileValue(range.min_value, isNumeric), max: profileValue(range.max_value, isNumeric) };
+}
+
+/**
+ * Profiles the documented, public columns of one table, except those its row security
+ * policies filter on (`filtered`). A column whose query fails is left out.
+ */
+async function profileTable(documented, table, dataSource, signal, filtered = new Set()) {
+    const keyColumns = new Set(table.foreignKeys.flatMap(foreignKey => foreignKey.columns));
+    const columns = {};
+    for (const column of table.columns) {
+        const entry = documented.columns.get(column.name.toLowerCase());
+        // Sensitive values must not reach the prompt; key values are identifiers, not something to filter on by name
+        if (!entry || entry.sensitivity !== 'public' || column.primaryKey || keyColumns.has(column.name)) continue;
+        // Profiles cover every row, so they would reveal the values outside a user's row filter
+        if (filtered.has('*') || filtered.has(column.name.toLowerCase())) continue;
+
+        const kind = columnKind(column.dataType);
+        if (!kind) continue;
+        try {
+            const profile = kind === 'range'
+                ? await profileRange(table, column, dataSource, signal)
+                : await profileValues(table, column, dataSource, signal);
+            if (profile) columns[entry.name] = profile;
+        } catch (error) {
+            if (signal && signal.aborted) throw error;
+            logger.warn('Could not profile column values', { table: documented.name, column: column.name, error: error.message });
+        }
+    }
+    return columns;
+}
+
+/**
+ * Profiles the values of the documented tables of a data source from the live database:
+ * the distinct values and their frequencies of low-cardinality columns (at most
+ * config.rag.profileMaxDistinctValues), and the minimum and maximum of numeric and date
+ * columns. Columns marked pii or restricted in the schema docs are skipped, and so are columns
+ * a row security policy filters on. Other profiles cover every row, whatever the policies.
+ * @param {Object} [dataSource] - See utils/dataSources; the default source if omitted.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the queries.
+ * @returns {Promise<Object<string, {profiledAt: string, columns: Object<string, {values?: Array<{value: *, count: number}>, min?: *, max?: *}>}>>}
+ *   Profiles by documented table name; tables missing from the database are left out.
+ */
+async function profileDataSource(dataSource = getDataSource(), { signal } = {}) {
+    const catalog = getTableCatalog(dataSource);
+    const tables = await dbService.introspectSchema(dataSource);
+    const filteredColumns = rowSecurityService.filteredColumns(dataSource);
+    const profiles = {};
+
+    for (const table of tables) {
+        const documented = catalog.get(table.name.toLowerCase());
+        if (!documented) continue;
+        profiles[documented.name] = {
+            profiledAt: new Date().toISOString(),
+            columns: await profileTable(documented, table, dataSource, signal, filteredColumns.get(documented.name.toLowerCase()))
+        };
+    }
+
+    logger.info('Profiled column values', {
+        dataSource: dataSource.name,
+        tables: Object.keys(profiles).length,
+        columns: Object.values(profiles).reduce((count, profile) => count + Object.keys(profile.columns).length, 0)
+    });
+    return profiles;
+}
+
+/**
+ * Renders a table's profile for the prompt, after its schema document; '' when it has none.
+ * Values are written as SQL literals of the source's dialect, so the model copies them exactly.
+ * @param {{columns: Object}} [profile] - As returned by profileDataSource.
+ * @param {Object} [dataSource] - See utils/dataSources; the default source if omitted.
+ * @returns {string}
+ */
+function describeProfile(profile, dataSource = getDataSource()) {
+    const { literal } = dataSource.dialect;
+    const lines = Object.entries((profile && profile.columns) || {}).map(([column, { values, min, max }]) => (values
+        ? `- ${column}: ${values.map(({ value, count }) => `${literal(value)} (${count})`).join(', ')}`
+        : `- ${column}: from ${literal(min)} to ${literal(max)}`));
+    if (lines.length === 0) return '';
+    return `Column Values (use these exact literals in filters; counts in brackets):\n${lines.join('\n')}`;
+}
+
+module.exports = {
+    profileDataSource,
+    describeProfile
+};
@@ -0,0 +1,85 @@
+// src/utils/cancellation.js
+const timers = require('timers/promises');
+
+function abortReason(code, message, statusCode) {
+    const reason = new Error(message);
+    reason.code = code;
+    reason.statusCode = statusCode;
+    return reason;
+}
+
+/**
+ * Creates the cancellation context of a request. Its signal is aborted when the client
+ * disconnects before the response is complete (CLIENT_DISCONNECTED) or when the deadline
+ * passes (DEADLINE_EXCEEDED); the abort reason is an error saying which.
+ * Call `dispose` once the request is handled.
+ * @param {import('express').Response} res - The response; its 'close' event tells a disconnect.
+ * @param {number} deadlineMs - Total time the request may take.
+ * @returns {{signal: AbortSignal, dispose: Function}}
+ */
+function createCancellation(res, deadlineMs) {
+    const controller = new AbortController();
+    const abort = reason => {
+        if (!controller.signal.aborted) controller.abort(reason);
+    };
+
+    const timer = setTimeout(() => abort(abortReason(
+        'DEADLINE_EXCEEDED', `The request did not finish within ${deadlineMs / 1000} seconds.`, 504
+    )), deadlineMs);
+    // 'close' on the request fires once its body is read, so the response is watched instead
+    const onClose = () => {
+        if (!res.writableFinished) abort(abortReason('CLIENT_DISCONNECTED', 'The client disconnected.', 499));
+    };
+    res.on('close', onClose);
+
+    return {
+        signal: controller.signal,
+        dispose: () => {
+            clearTimeout(timer);
+            res.off('close', onClose);
+        }
+    };
+}
+
+/**
+ * The error to throw when work stops because a signal was aborted
+ * @param {AbortSignal} signal - The aborted signal.
+ * @param {string} stage - What was interrupted, e.g. 'SQL generation'; shows in the logs.
+ * @returns {Error} With `isCancellation`, `stage`, and the `code`/`statusCode` of the abort reason.
+ */
+function cancellationError(signal, stage) {
+    const reason = signal.reason instanceof Error ? signal.reason : new Error('The request was cancelled.');
+    const error = new Error(reason.message);
+    error.code = reason.code || 'REQUEST_CANCELLED';
+    error.statusCode = reason.statusCode || 499;
+    error.isCancellation = true;
+    error.stage = stage;
+    return error;
+}
+
+/**
+ * Throws a cancellation error if the signal (optional) has been aborted
+ */
+function throwIfCancelled(signal, stage) {
+    if (signal && signal.aborted) {
+        throw cancellationError(signal, stage);
+    }
+}
+
+/**
+ * Waits between retries; stops waiting (and throws) if the signal is aborted
+ */
+async function delay(ms, signal, stage) {
+    try {
+        await timers.setTimeout(ms, undefined, signal ? { signal } : undefined);
+    } catch (error) {
+        throw cancellationError(signal, stage);
+    }
+}
+
+module.exports = {
+    createCancellation,
+    cancellationError,
+    throwIfCancelled,
+    delay
+};
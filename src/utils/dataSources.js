@@ -0,0 +1,104 @@
+// src/utils/dataSources.js
+const config = require('../config');
+const { getDialect } = require('./sqlDialects');
+
+// Name of the single source formed by config.database when config.dataSources.sources is empty
+const DEFAULT_SOURCE_NAME = 'default';
+
+let dataSources = null;
+
+/**
+ * Fills in a configured source: its `database` overrides config.database field by field,
+ * and its collections default to names derived from the source name.
+ */
+function resolveDataSource(definition) {
+    const overrides = definition.database || {};
+    const database = {
+        ...config.database,
+        ...overrides,
+        pool: { ...config.database.pool, ...overrides.pool }
+    };
+    return {
+        name: definition.name,
+        description: definition.description || '',
+        database,
+        dialect: getDialect(database),
+        schemaFile: definition.schemaFile || config.sqlValidation.schemaFile,
+        collectionName: definition.collectionName || `${definition.name}_schemas`,
+        examplesCollectionName: definition.examplesCollectionName || `${definition.name}_verified_examples`
+    };
+}
+
+/**
+ * The single source used when no sources are configured, so existing setups keep their
+ * database, schema file and collections
+ */
+function legacyDataSource() {
+    return {
+        name: DEFAULT_SOURCE_NAME,
+        description: '',
+        database: config.database,
+        dialect: getDialect(config.database),
+        schemaFile: config.sqlValidation.schemaFile,
+        collectionName: config.rag.collectionName,
+        examplesCollectionName: config.rag.examplesCollectionName
+    };
+}
+
+/**
+ * The configured data sources by name, in configuration order. Checked and resolved once.
+ * @returns {Map<string, {name: string, description: string, database: Object, dialect: Object, schemaFile: string, collectionName: string, examplesCollectionName: string}>}
+ */
+function getDataSources() {
+    if (dataSources) return dataSources;
+
+    const definitions = config.dataSources.sources;
+    const resolved = new Map();
+    if (definitions.length === 0) {
+        resolved.set(DEFAULT_SOURCE_NAME, legacyDataSource());
+    }
+    definitions.forEach((definition, index) => {
+        if (!definition || typeof definition.name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(definition.name)) {
+            throw new Error(`Data source at index ${index} needs a name made of letters, digits, '_' or '-'`);
+        }
+        if (resolved.has(definition.name)) {
+            throw new Error(`Data source "${definition.name}" is configured more than once`);
+        }
+        resolved.set(definition.name, resolveDataSource(definition));
+    });
+
+    const defaultName = config.dataSources.defaultSource;
+    if (defaultName && !resolved.has(defaultName)) {
+        throw new Error(`Default data source "${defaultName}" is not configured`);
+    }
+
+    dataSources = resolved;
+    return dataSources;
+}
+
+/**
+ * Returns a data source by name; without a name, the default one (config.dataSources.defaultSource,
+ * else the first configured).
+ * @param {string} [name]
+ * @throws {Error} An UNKNOWN_DATA_SOURCE error (400) for a name that is not configured.
+ */
+function getDataSource(name) {
+    const sources = getDataSources();
+    if (name === undefined || name === null) {
+        return sources.get(config.dataSources.defaultSource) || sources.values().next().value;
+    }
+
+    const source = sources.get(name);
+    if (!source) {
+        const error = new Error(`Unknown data source "${name}". Available: ${[...sources.keys()].join(', ')}.`);
+        error.statusCode = 400;
+        error.code = 'UNKNOWN_DATA_SOURCE';
+        throw error;
+    }
+    return source;
+}
+
+module.exports = {
+    getDataSources,
+    getDataSource
+};
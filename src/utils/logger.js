@@ -1,7 +1,19 @@
 const winston = require('winston');
 const config = require('../config');
+const { getContext } = require('./requestContext');
+
+// Adds the caller of the current request (see middleware/auth) to every entry
+const requestIdentity = winston.format(info => {
+    const context = getContext();
+    if (context) {
+        info.userId = info.userId || context.userId;
+        info.authType = context.authType;
+    }
+    return info;
+});
 
 const logFormat = winston.format.combine(
+    requestIdentity(),
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
     winston.format.json(),
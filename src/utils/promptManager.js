@@ -1,31 +1,119 @@
 // Manages and builds prompts dynamically
 // src/utils/promptManager.js
+const { getDataSource } = require('./dataSources');
 
 /**
  * Creates the system prompt for SQL generation.
  * @param {string} schemaContext - The dynamically retrieved schemas from RAG.
+ * @param {Object} [options]
+ * @param {boolean} [options.allowClarification=true] - Let the model ask a clarifying question instead of guessing.
+ * @param {Array<{question: string, sql: string}>} [options.examples] - Verified question/SQL pairs similar to the question.
+ * @param {Object} [options.dialect] - The SQL dialect to write (see utils/sqlDialects); the default data source's by default.
  * @returns {string} The complete system prompt.
  */
-function createSqlGenerationPrompt(schemaContext) {
-    return `You are an expert T-SQL data analyst for a corporate ERP system. Your task is to translate business questions from non-technical users into a single, valid, and efficient T-SQL query based on the provided database schema context.
+function createSqlGenerationPrompt(schemaContext, { allowClarification = true, examples = [], dialect = getDataSource().dialect } = {}) {
+    const rules = dialect.prompt;
+    const clarificationRule = allowClarification
+        ? `
+10. **AMBIGUITY CLAUSE:** If the question is ambiguous and guessing could give a wrong answer (e.g. a person's name that may match several employees, or a question that could be read against more than one table with a different meaning), do NOT guess. Respond with the keyword CLARIFY followed by a single-line JSON object: {"question": "<short question to ask the user>", "options": ["<option>", ...], "lookupSql": "<optional ${rules.lookup} query listing the matching values, e.g. names with their EmployeeId>"}. Use "options" for fixed choices such as candidate tables, and "lookupSql" when the choices must be read from the data.`
+        : '';
+
+    const examplesSection = examples.length > 0
+        ? `**Verified Examples:**
+The following questions were answered correctly by these queries. Follow their table choices, joins and filters for similar questions.
+
+${examples.map(example => `Question: "${example.question}"\nSQL: ${example.sql}`).join('\n\n')}
+
+`
+        : '';
+
+    return `You are an expert ${dialect.language} data analyst for a corporate ERP system. Your task is to translate business questions from non-technical users into a single, valid, and efficient ${dialect.language} query based on the provided database schema context.
 
 You MUST follow these rules strictly:
-1.  **CRITICAL:** You MUST prefix all table names with the 'dbo.' schema (e.g., 'dbo.mas_employees'). This is mandatory.
-2.  **AGGREGATION & SUMMARIZATION:** When a question asks for a total, count, average, or summary (e.g., "how many", "what is the total value"), you MUST use aggregate functions like COUNT(), SUM(), AVG() with a GROUP BY clause.
-3.  **PRECISE DATE FILTERING:** For questions involving dates (e.g., 'last month', 'this quarter', 'in 2024'), generate specific date range filters in the WHERE clause.
+1.  ${rules.tables(dialect.schema)}
+2.  **AGGREGATION & SUMMARIZATION:** When a question asks for a total, count, average, or summary (e.g., "how many", "what is the total value"), you MUST use aggregate functions like COUNT(), SUM(), AVG() with a GROUP BY clause. Give every computed column an alias (e.g. 'COUNT(*) AS EmployeeCount').
+3.  **PRECISE DATE FILTERING:** For questions involving dates (e.g., 'last month', 'this quarter', 'in 2024'), generate specific date range filters in the WHERE clause.${rules.functions ? ` ${rules.functions}` : ''}
 4.  **SELF-JOIN ALIASES:** For self-joins, you MUST use clear table aliases (e.g., 'emp' for employee, 'mgr' for manager).
 5.  **CASE SENSITIVITY:** Table and column names in the query must exactly match the case provided in the schema context.
-6.  To limit results, you MUST use the 'TOP (N)' syntax (e.g., TOP (20)). Do NOT use 'LIMIT'.
+6.  ${rules.limit}
 7.  For safety, only generate SELECT queries.
 8.  **IMPOSSIBILITY CLAUSE:** If the user's question cannot be answered using the provided schema context, you MUST respond with the single keyword: CANNOT_ANSWER.
-9.  **Output Format (CRITICAL):** Your response MUST contain ONLY the T-SQL query and NOTHING else. No explanations, no comments, and no markdown formatting (\`\`\`sql).
+9.  **Output Format (CRITICAL):** Your response MUST contain ONLY the ${dialect.language} query and NOTHING else. No explanations, no comments, and no markdown formatting (\`\`\`sql).${clarificationRule}
 
-**Database Schema Context:**
+${examplesSection}**Database Schema Context:**
 ${schemaContext}
 
 User question:`;
 }
 
+/**
+ * Creates the prompt asking the model to fix a query that the database rejected.
+ * @param {string} schemaContext - The schemas retrieved for the question.
+ * @param {string} question - The standalone user question.
+ * @param {string} failedSql - The query that failed.
+ * @param {string} errorMessage - The error text returned by the database.
+ * @param {Object} [dialect] - The SQL dialect of the failed query; the default data source's by default.
+ * @returns {string} The complete repair prompt.
+ */
+function createSqlRepairPrompt(schemaContext, question, failedSql, errorMessage, dialect = getDataSource().dialect) {
+    return `${createSqlGenerationPrompt(schemaContext, { allowClarification: false, dialect })} "${question}"
+
+A previous attempt produced the following ${dialect.language} query, but ${dialect.engine} rejected it.
+
+Failed Query:
+${failedSql}
+
+${dialect.engine} Error:
+${errorMessage}
+
+Correct the query so that it runs successfully and still answers the user question. Use only the table and column names that appear in the schema context above. Follow all of the rules above, including the output format: respond with ONLY the corrected ${dialect.language} query.`;
+}
+
+/**
+ * Creates the prompt asking the model whether a follow-up refines the previous query.
+ * @param {string} previousQuestion - The standalone question behind the previous query.
+ * @param {string} previousSql - The last successful query of the session.
+ * @param {string} followUpQuestion - The user's new message, as typed.
+ * @returns {string} The complete classification prompt.
+ */
+function createFollowUpClassificationPrompt(previousQuestion, previousSql, followUpQuestion) {
+    return `You are classifying a user's follow-up message in a conversation with a database assistant.
+
+Previous Question: "${previousQuestion}"
+
+Previous Query:
+${previousSql}
+
+Follow-up Message: "${followUpQuestion}"
+
+Answer "refinement" if the follow-up changes the previous query's result (e.g. "now only the active ones", "group that by department", "sort by salary", "top 5 instead"): adding or changing a filter, grouping, sort order, row limit or output column.
+Answer "new" if it asks a different question that needs a query written from scratch.
+
+Respond with ONLY the single word refinement or new.`;
+}
+
+/**
+ * Creates the prompt asking the model to edit the previous query for a refinement follow-up.
+ * @param {string} schemaContext - The schemas retrieved for the question.
+ * @param {string} previousQuestion - The standalone question behind the previous query.
+ * @param {string} previousSql - The last successful query of the session.
+ * @param {string} followUpQuestion - The user's new message, as typed.
+ * @param {Object} [dialect] - The SQL dialect of the previous query; the default data source's by default.
+ * @returns {string} The complete refinement prompt.
+ */
+function createSqlRefinementPrompt(schemaContext, previousQuestion, previousSql, followUpQuestion, dialect = getDataSource().dialect) {
+    return `${createSqlGenerationPrompt(schemaContext, { allowClarification: false, dialect })} "${previousQuestion}"
+
+The following ${dialect.language} query answers that question and ran successfully:
+
+Previous Query:
+${previousSql}
+
+The user now asks to change the result: "${followUpQuestion}"
+
+Edit the previous query to apply this change, e.g. by adding or changing a filter, the grouping, the sort order or the row limit. Keep everything the user did not ask to change (tables, joins, aliases, column names and the rest of the conditions) exactly as it is. Return the complete edited query.`;
+}
+
 /**
  * Creates the prompt for analyzing query results.
  * @param {string} originalQuestion - The user's original question.
@@ -50,7 +138,63 @@ ${JSON.stringify(queryResults, null, 2)}
 Please provide a concise and easy-to-understand summary of these results. If the results are empty, state that no data was found for the question.`;
 }
 
+/**
+ * Creates the prompt asking the model to pick a chart for a query result.
+ * @param {string} question - The standalone user question.
+ * @param {Array<Object>} columnProfiles - Name, Vega-Lite type and cardinality of each result column.
+ * @returns {string} The complete chart prompt.
+ */
+function createChartPrompt(question, columnProfiles) {
+    return `You are a data visualization expert. Choose the single best chart to present the result of a database query to a business user.
+
+Original Question: "${question}"
+
+Result Columns (name, Vega-Lite type, number of distinct values):
+${columnProfiles.map(column => `- ${column.name} (${column.type}, ${column.cardinality} distinct)`).join('\n')}
+
+Rules:
+1. "line" needs a temporal x column and a quantitative y column.
+2. "bar" and "pie" need a nominal x column and a quantitative y column. Use "pie" only for a few categories that make up a whole.
+3. Use "table" when no chart presents the data well.
+
+Respond with ONLY a single-line JSON object and nothing else: {"type": "bar|line|pie|table", "x": "<column name or null>", "y": "<column name or null>", "reason": "<one short sentence>"}`;
+}
+
+/**
+ * Creates the prompt asking the model to draft the schema documentation a table is missing.
+ * @param {Object} table - The table as introspected (see dbService.introspectSchema).
+ * @param {{description: ?string, columns: Object<string, string>}} documented - Descriptions
+ *   already written for the table and its columns (by column name), which the model should build on.
+ * @returns {string} The complete description prompt.
+ */
+function createSchemaDescriptionPrompt(table, documented) {
+    const columns = table.columns.map(column => {
+        const notes = [column.dataType, column.primaryKey ? 'primary key' : null].filter(Boolean).join(', ');
+        const description = documented.columns[column.name];
+        return `- ${column.name} (${notes})${description ? `: ${description}` : ''}`;
+    });
+    const relationships = table.foreignKeys.map(foreignKey =>
+        `- ${foreignKey.columns.join(', ')} references ${foreignKey.referencedTable} (${foreignKey.referencedColumns.filter(Boolean).join(', ') || 'primary key'})`);
+
+    return `You are documenting a corporate ERP database for business users and for an assistant that writes SQL from their questions.
+
+Table: ${table.name}
+Description: ${documented.description || '(none yet)'}
+
+Columns (name, type, existing description if any):
+${columns.join('\n')}
+${relationships.length > 0 ? `\nForeign keys:\n${relationships.join('\n')}\n` : ''}
+Write a one-sentence description for the table if it has none, and for each column without a description. Describe what the data means to the business; do not invent facts the names and types do not support.
+
+Respond with ONLY a single JSON object and nothing else: {"description": "<table description, or null if it already has one>", "columns": {"<column name>": "<description>"}}`;
+}
+
 module.exports = {
-    createSqlGenerationPrompt,
+    createSqlGenerationPrompt,
+    createSqlRepairPrompt,
+    createFollowUpClassificationPrompt,
+    createSqlRefinementPrompt,
     createAnalysisPrompt,
+    createChartPrompt,
+    createSchemaDescriptionPrompt,
 };
\ No newline at end of file
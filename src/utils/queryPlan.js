@@ -0,0 +1,56 @@
+// src/utils/queryPlan.js
+
+function attribute(tag, name) {
+    const match = tag.match(new RegExp(`\\b${name}="([^"]*)"`));
+    return match ? match[1] : null;
+}
+
+function numberAttribute(tag, name) {
+    const value = Number(attribute(tag, name));
+    return Number.isFinite(value) ? value : 0;
+}
+
+function unbracket(identifier) {
+    return identifier ? identifier.replace(/^\[|\]$/g, '') : null;
+}
+
+/**
+ * Summarises a SHOWPLAN_XML estimated plan: the statement's estimated subtree cost and rows,
+ * and the operators producing the most rows (with the table they read, for scans and seeks).
+ * @param {string} xml - The plan XML returned by SQL Server.
+ * @returns {{cost: number, rows: number, maxOperatorRows: number, operators: Array<{operation: string, table: ?string, rows: number, cost: number}>}}
+ */
+function summarisePlan(xml) {
+    const statements = String(xml).match(/<StmtSimple\b[^>]*>/g) || [];
+    const cost = statements.reduce((total, tag) => total + numberAttribute(tag, 'StatementSubTreeCost'), 0);
+    const rows = statements.reduce((max, tag) => Math.max(max, numberAttribute(tag, 'StatementEstRows')), 0);
+
+    // An operator's own <Object> comes before its first child operator
+    const segments = String(xml).split(/(?=<RelOp\b)/).filter(segment => segment.startsWith('<RelOp'));
+    const operators = segments.map(segment => {
+        const tag = segment.match(/^<RelOp\b[^>]*>/)[0];
+        const object = segment.match(/<Object\b[^>]*>/);
+        const physicalOp = attribute(tag, 'PhysicalOp');
+        const logicalOp = attribute(tag, 'LogicalOp');
+        const table = object && attribute(object[0], 'Table')
+            ? [unbracket(attribute(object[0], 'Schema')), unbracket(attribute(object[0], 'Table'))].filter(Boolean).join('.')
+            : null;
+        return {
+            operation: logicalOp && logicalOp !== physicalOp ? `${physicalOp} (${logicalOp})` : physicalOp,
+            table,
+            rows: numberAttribute(tag, 'EstimateRows'),
+            cost: numberAttribute(tag, 'EstimatedTotalSubtreeCost')
+        };
+    }).sort((a, b) => b.rows - a.rows);
+
+    return {
+        cost,
+        rows,
+        maxOperatorRows: operators.length > 0 ? operators[0].rows : rows,
+        operators
+    };
+}
+
+module.exports = {
+    summarisePlan
+};
@@ -0,0 +1,71 @@
+// src/utils/queryToken.js
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('./logger');
+
+let secret = config.security.queryTokenSecret;
+if (!secret) {
+    logger.warn('QUERY_TOKEN_SECRET not set. Using a random secret; preview tokens will not survive a restart.');
+    secret = crypto.randomBytes(32).toString('hex');
+}
+
+function sign(encodedPayload) {
+    return crypto.createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Creates a signed, expiring token for a previewed query.
+ * @param {Object} payload - Data needed to execute the query later (sql, question, sessionId, ...).
+ * @returns {string} The token in the form `<base64url payload>.<base64url HMAC-SHA256>`.
+ */
+function signQueryToken(payload) {
+    const body = {
+        ...payload,
+        exp: Date.now() + config.security.queryTokenTtlMinutes * 60 * 1000
+    };
+    const encodedPayload = Buffer.from(JSON.stringify(body)).toString('base64url');
+    return `${encodedPayload}.${sign(encodedPayload)}`;
+}
+
+/**
+ * Verifies a token created by signQueryToken and returns its payload.
+ * Throws an error with statusCode 400 if the token is malformed, tampered with or expired.
+ * @param {string} token - The query token.
+ * @returns {Object} The payload.
+ */
+function verifyQueryToken(token) {
+    const invalid = (message) => {
+        const error = new Error(message);
+        error.statusCode = 400;
+        return error;
+    };
+
+    const [encodedPayload, signature] = String(token).split('.');
+    if (!encodedPayload || !signature) {
+        throw invalid('Query token is malformed.');
+    }
+
+    const expected = Buffer.from(sign(encodedPayload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        throw invalid('Query token signature is invalid.');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw invalid('Query token is malformed.');
+    }
+
+    if (!payload.exp || payload.exp < Date.now()) {
+        throw invalid('Query token has expired. Please preview the question again.');
+    }
+
+    return payload;
+}
+
+module.exports = {
+    signQueryToken,
+    verifyQueryToken
+};
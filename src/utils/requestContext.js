@@ -0,0 +1,25 @@
+// src/utils/requestContext.js
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request values (the caller's identity) that every log entry of the request carries
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs `callback` (e.g. an Express `next`) with `context` available to everything it
+ * calls, synchronously or asynchronously
+ */
+function runWithContext(context, callback) {
+    return storage.run(context, callback);
+}
+
+/**
+ * The context of the current request, or undefined outside of one
+ */
+function getContext() {
+    return storage.getStore();
+}
+
+module.exports = {
+    runWithContext,
+    getContext
+};
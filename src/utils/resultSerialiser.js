@@ -0,0 +1,179 @@
+// src/utils/resultSerialiser.js
+const config = require('../config');
+
+// Type names as reported by the database adapters (SQL Server, PostgreSQL, MySQL, SQLite)
+const DECIMAL_TYPES = ['decimal', 'numeric', 'money', 'smallmoney', 'newdecimal'];
+const BIGINT_TYPES = ['bigint', 'int8', 'longlong'];
+const NUMERIC_TYPES = [...DECIMAL_TYPES, 'int', 'integer', 'smallint', 'tinyint', 'int2', 'int4', 'short', 'long', 'int24',
+    'float', 'real', 'double', 'float4', 'float8'];
+const DATE_TYPES = ['date'];
+const DATETIME_TYPES = ['datetime', 'datetime2', 'smalldatetime', 'timestamp'];
+const OFFSET_DATETIME_TYPES = ['datetimeoffset', 'timestamptz'];
+const TIME_TYPES = ['time'];
+
+// Digits a double holds exactly: wider SQL Server decimals may come back rounded (see markInexactDecimals)
+const EXACT_DECIMAL_DIGITS = 15;
+
+// How date/time values are written (see config.results.dateFormat); anything else is 'text'
+const DATE_FORMATS = ['text', 'iso', 'epoch'];
+
+function typeOf(column) {
+    return (column && column.type && column.type.declaration) || null;
+}
+
+function decimalScale(column) {
+    if (column.scale !== undefined && column.scale !== null) return column.scale;
+    return ['money', 'smallmoney'].includes(typeOf(column)) ? 4 : 2;
+}
+
+/**
+ * Marks the decimal columns whose values the driver may have rounded with `exact: false`, for
+ * adapters whose driver reads decimals into doubles: tedious does, with no option to read them
+ * as strings. A double holds every digit only below 2^53 / 10^scale, so DECIMAL and NUMERIC
+ * wider than 15 digits, and MONEY, may lose their last digits; SMALLMONEY fits.
+ * @param {Object|Array<Object>} columns - A recordset `columns` object or an array of column metadata.
+ * @returns {Object|Array<Object>} `columns`, marked in place.
+ */
+function markInexactDecimals(columns) {
+    Object.values(columns || {}).forEach(column => {
+        const type = typeOf(column);
+        if (type === 'money' || (['decimal', 'numeric'].includes(type) && column.precision > EXACT_DECIMAL_DIGITS)) {
+            column.exact = false;
+        }
+    });
+    return columns;
+}
+
+/**
+ * Whether a type name (as in describeColumns) holds numbers, which may be serialised as strings
+ */
+function isNumericType(type) {
+    return NUMERIC_TYPES.includes(type) || BIGINT_TYPES.includes(type);
+}
+
+/**
+ * Whether a type name (as in describeColumns) holds dates, which may be serialised as numbers
+ */
+function isTemporalType(type) {
+    return [...DATE_TYPES, ...DATETIME_TYPES, ...OFFSET_DATETIME_TYPES].includes(type);
+}
+
+function pad(number, length = 2) {
+    return String(number).padStart(length, '0');
+}
+
+/**
+ * Writes a date/time value. The adapters read values without a time zone as UTC (mssql
+ * `useUTC`), so the UTC fields hold the wall-clock time stored in the database: 'text' and
+ * 'iso' print it without a time zone, 'epoch' gives its milliseconds as if it were UTC.
+ * Values with an offset are always full ISO 8601 (in UTC) unless 'epoch' is asked for.
+ */
+function serialiseDate(value, type, dateFormat) {
+    if (dateFormat === 'epoch') return value.getTime();
+    if (OFFSET_DATETIME_TYPES.includes(type)) return value.toISOString();
+
+    const date = `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())}`;
+    if (DATE_TYPES.includes(type)) return date;
+    const millis = value.getUTCMilliseconds();
+    const time = `${pad(value.getUTCHours())}:${pad(value.getUTCMinutes())}:${pad(value.getUTCSeconds())}${millis ? `.${pad(millis, 3)}` : ''}`;
+    if (TIME_TYPES.includes(type)) return time;
+    return `${date}${dateFormat === 'iso' ? 'T' : ' '}${time}`;
+}
+
+/**
+ * Encodes one value for JSON and text exports, from its column's metadata: decimals as
+ * strings with their declared scale (no float noise; see markInexactDecimals), 64-bit integers as strings (beyond Number's safe range), dates per
+ * `dateFormat`, binary as base64. Other values are kept.
+ * @param {*} value
+ * @param {Object} [column] - The column's metadata from the adapter (`type.declaration`, `scale`).
+ * @param {Object} [options]
+ * @param {string} [options.dateFormat] - One of DATE_FORMATS; config.results.dateFormat by default.
+ * @returns {*} null for SQL NULL.
+ */
+function serialiseValue(value, column, { dateFormat = config.results.dateFormat } = {}) {
+    if (value === null || value === undefined) return null;
+    const type = typeOf(column);
+
+    if (value instanceof Date) {
+        return serialiseDate(value, type, dateFormat);
+    }
+    if (Buffer.isBuffer(value)) {
+        return value.toString('base64');
+    }
+    // Only SQL Server (tedious) returns decimals as numbers; PostgreSQL and MySQL give exact strings,
+    // which are kept. toFixed restores the stored digits only below 2^53 / 10^scale: columns that
+    // can hold larger values are marked `exact: false` by the adapter.
+    if (DECIMAL_TYPES.includes(type) && typeof value === 'number') {
+        return value.toFixed(decimalScale(column));
+    }
+    if (typeof value === 'bigint' || (BIGINT_TYPES.includes(type) && typeof value === 'number')) {
+        return value.toString();
+    }
+    return value;
+}
+
+/**
+ * Column metadata (a recordset `columns` object or an array) in SELECT-list order
+ */
+function orderedColumns(columns) {
+    const list = Array.isArray(columns) ? columns : Object.values(columns || {});
+    return [...list].sort((a, b) => (a.index || 0) - (b.index || 0));
+}
+
+/**
+ * Describes the result columns for API responses
+ * @param {Object|Array<Object>} columns - A recordset `columns` object or an array of column metadata.
+ * @returns {Array<{name: string, type: ?string, nullable: ?boolean, exact: (boolean|undefined)}>} In
+ *   SELECT-list order; `nullable` is null where the engine does not report it, and `exact` is
+ *   false, and only set, for decimals that may have been rounded (see markInexactDecimals).
+ */
+function describeColumns(columns) {
+    return orderedColumns(columns).map(column => ({
+        name: column.name,
+        type: typeOf(column),
+        nullable: typeof column.nullable === 'boolean' ? column.nullable : null,
+        ...(column.exact === false ? { exact: false } : {})
+    }));
+}
+
+/**
+ * Serialises query results with the metadata in their recordset `columns`. Keys not described
+ * by the metadata (e.g. rows without it) keep their values as they are.
+ * @param {Array<Object>} rows - Rows as returned by dbService, with `rows.columns`.
+ * @param {Object} [options] - See serialiseValue.
+ * @returns {{columns: Array<{name: string, type: ?string, nullable: ?boolean}>, rows: Array<Object>}}
+ */
+function serialiseRows(rows, options = {}) {
+    const metadata = (rows && rows.columns) || {};
+    const columns = orderedColumns(metadata);
+    const byName = new Map(columns.map(column => [column.name, column]));
+
+    const serialised = (rows || []).map(row => {
+        const output = {};
+        Object.keys(row).forEach(name => {
+            output[name] = serialiseValue(row[name], byName.get(name), options);
+        });
+        return output;
+    });
+
+    // Without metadata the columns are those of the first row
+    const described = columns.length > 0 || serialised.length === 0
+        ? describeColumns(columns)
+        : Object.keys(serialised[0]).map(name => ({ name, type: null, nullable: null }));
+    return { columns: described, rows: serialised };
+}
+
+module.exports = {
+    serialiseRows,
+    serialiseValue,
+    describeColumns,
+    markInexactDecimals,
+    typeOf,
+    decimalScale,
+    isNumericType,
+    isTemporalType,
+    DECIMAL_TYPES,
+    DATE_TYPES,
+    DATETIME_TYPES,
+    DATE_FORMATS
+};
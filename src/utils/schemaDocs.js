@@ -0,0 +1,71 @@
+// src/utils/schemaDocs.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+const { getDataSource } = require('./dataSources');
+const logger = require('./logger');
+
+// Column sensitivity annotations, from least to most sensitive. Columns without one are public.
+const SENSITIVITY_LEVELS = ['public', 'pii', 'restricted'];
+
+// Catalogs by data source name
+const catalogs = new Map();
+
+/**
+ * A misspelt sensitivity is treated as the most sensitive level rather than as public
+ */
+function sensitivityOf(column) {
+    if (column.sensitivity === undefined || column.sensitivity === null) return 'public';
+    return SENSITIVITY_LEVELS.includes(column.sensitivity) ? column.sensitivity : 'restricted';
+}
+
+/**
+ * Returns the tables and columns documented in a data source's schema docs file (schema_docs.yaml
+ * for the default source), keyed by lowercase name since identifiers are matched
+ * case-insensitively. Loaded once per source.
+ * @param {Object} [dataSource] - See utils/dataSources; the default source if omitted.
+ * @returns {Map<string, {name: string, columns: Map<string, {name: string, sensitivity: string}>}>}
+ */
+function getTableCatalog(dataSource = getDataSource()) {
+    if (catalogs.has(dataSource.name)) return catalogs.get(dataSource.name);
+
+    const schemaFile = path.resolve(dataSource.schemaFile);
+    if (!fs.existsSync(schemaFile)) {
+        const error = new Error(`Schema documentation not found at ${schemaFile}`);
+        error.statusCode = 500;
+        throw error;
+    }
+
+    const schemas = yaml.parse(fs.readFileSync(schemaFile, 'utf8')) || [];
+    const catalog = new Map(schemas
+        .filter(schema => schema && schema.table_name)
+        .map(schema => [schema.table_name.toLowerCase(), {
+            name: schema.table_name,
+            columns: new Map((schema.columns || []).map(column => [String(column.name).toLowerCase(), {
+                name: String(column.name),
+                sensitivity: sensitivityOf(column)
+            }]))
+        }]));
+
+    catalogs.set(dataSource.name, catalog);
+    logger.info(`Loaded ${catalog.size} documented tables from ${schemaFile}`, { dataSource: dataSource.name });
+    return catalog;
+}
+
+/**
+ * Fingerprints one table's entry of the schema docs, as parsed: stored with the table's index
+ * entry, it tells whether the entry was indexed from the current docs (see schemaDriftService).
+ * Comments and formatting do not count.
+ * @param {Object} schema - A table entry (`table_name`, `columns`, ...).
+ * @returns {string} A SHA-256 hex digest.
+ */
+function schemaDocHash(schema) {
+    return crypto.createHash('sha256').update(JSON.stringify(schema)).digest('hex');
+}
+
+module.exports = {
+    getTableCatalog,
+    schemaDocHash,
+    SENSITIVITY_LEVELS
+};
@@ -0,0 +1,151 @@
+// src/utils/sqlDialects.js
+const config = require('../config');
+
+function quoteWith(open, close) {
+    return name => `${open}${String(name).split(close).join(close + close)}${close}`;
+}
+
+function standardString(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * What differs between the supported engines for generating, checking and rewriting SQL.
+ * - `parserDatabase`: node-sql-parser dialect used to parse and print queries.
+ * - `defaultSchema`: schema the documented tables live in unless config.database.schema says
+ *   otherwise (null: the connected database); `qualifyTables` whether queries name it.
+ * - `literal`: a JS value as a SQL literal, for values bound into row security filters.
+ * - `forbiddenFunctions`/`forbiddenFunctionPattern`: functions that read files, reach other
+ *   servers, sleep or run dynamic SQL.
+ * - `rowLimitPattern`: a row limit on the outer query (upper-cased, nesting masked), which
+ *   paging cannot add its own to; `pageClause`/`zeroRows`: paging and shape probing.
+ * - `prompt`: the generation rules that depend on the engine.
+ */
+const DIALECTS = {
+    mssql: {
+        name: 'mssql',
+        language: 'T-SQL',
+        engine: 'SQL Server',
+        parserDatabase: 'transactsql',
+        defaultSchema: 'dbo',
+        qualifyTables: true,
+        quoteIdentifier: quoteWith('[', ']'),
+        literal: value => {
+            if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+            if (typeof value === 'boolean') return value ? '1' : '0';
+            return `N${standardString(value)}`;
+        },
+        forbiddenFunctions: new Set(['openrowset', 'openquery', 'opendatasource', 'openxml']),
+        // Extended/system stored procedures and system functions (xp_cmdshell, sp_executesql, fn_get_audit_file, ...)
+        forbiddenFunctionPattern: /^(xp_|sp_|fn_)/i,
+        rowLimitPattern: /^SELECT\s+(ALL\s+|DISTINCT\s+)?TOP\b|\bOFFSET\b/,
+        pageClause: (offset, pageSize) => `OFFSET ${offset} ROWS FETCH NEXT ${pageSize} ROWS ONLY`,
+        zeroRows: source => `SELECT TOP (0) * FROM (${source}) AS shape_source`,
+        prompt: {
+            tables: schema => `**CRITICAL:** You MUST prefix all table names with the '${schema}.' schema (e.g., '${schema}.mas_employees'). This is mandatory.`,
+            limit: "To limit results, you MUST use the 'TOP (N)' syntax (e.g., TOP (20)). Do NOT use 'LIMIT'.",
+            functions: null,
+            lookup: 'SELECT DISTINCT TOP (10)'
+        }
+    },
+    postgres: {
+        name: 'postgres',
+        language: 'PostgreSQL',
+        engine: 'PostgreSQL',
+        parserDatabase: 'postgresql',
+        defaultSchema: 'public',
+        qualifyTables: true,
+        quoteIdentifier: quoteWith('"', '"'),
+        literal: value => {
+            if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+            if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+            return standardString(value);
+        },
+        // query_to_xml and friends run the SQL text they are given
+        forbiddenFunctions: new Set(['dblink', 'dblink_exec', 'set_config', 'query_to_xml', 'query_to_xml_and_xmlschema',
+            'query_to_xmlschema', 'cursor_to_xml', 'table_to_xml', 'schema_to_xml', 'database_to_xml']),
+        // Server administration and file access (pg_read_file, pg_sleep, pg_terminate_backend, lo_import, ...)
+        forbiddenFunctionPattern: /^(pg_|lo_|dblink)/i,
+        rowLimitPattern: /\bLIMIT\b|\bOFFSET\b|\bFETCH\b/,
+        pageClause: (offset, pageSize) => `LIMIT ${pageSize} OFFSET ${offset}`,
+        zeroRows: source => `SELECT * FROM (${source}) AS shape_source LIMIT 0`,
+        prompt: {
+            tables: schema => `**CRITICAL:** You MUST prefix all table names with the '${schema}.' schema (e.g., '${schema}.mas_employees'). Identifiers that are not all lowercase MUST be wrapped in double quotes (e.g., "EmployeeName").`,
+            limit: "To limit results, you MUST use 'LIMIT N' at the end of the query. Do NOT use 'TOP'.",
+            functions: "Use PostgreSQL functions and syntax, e.g. CURRENT_DATE, date_trunc('month', ...), INTERVAL '1 month' and EXTRACT(YEAR FROM ...). Do NOT use GETDATE(), DATEADD() or ISNULL().",
+            lookup: 'SELECT DISTINCT ... LIMIT 10'
+        }
+    },
+    mysql: {
+        name: 'mysql',
+        language: 'MySQL',
+        engine: 'MySQL',
+        parserDatabase: 'mysql',
+        defaultSchema: null,
+        qualifyTables: false,
+        quoteIdentifier: quoteWith('`', '`'),
+        literal: value => {
+            if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+            if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+            // Backslashes are escape characters in MySQL string literals
+            return standardString(String(value).replace(/\\/g, '\\\\'));
+        },
+        forbiddenFunctions: new Set(['load_file', 'sleep', 'benchmark', 'get_lock', 'release_lock', 'release_all_locks',
+            'is_free_lock', 'is_used_lock', 'master_pos_wait', 'source_pos_wait', 'sys_exec', 'sys_eval']),
+        forbiddenFunctionPattern: null,
+        rowLimitPattern: /\bLIMIT\b/,
+        pageClause: (offset, pageSize) => `LIMIT ${pageSize} OFFSET ${offset}`,
+        zeroRows: source => `SELECT * FROM (${source}) AS shape_source LIMIT 0`,
+        prompt: {
+            tables: () => '**CRITICAL:** Do NOT prefix table names with a database or schema name (e.g., \'mas_employees\').',
+            limit: "To limit results, you MUST use 'LIMIT N' at the end of the query. Do NOT use 'TOP'.",
+            functions: 'Use MySQL functions and syntax, e.g. CURDATE(), DATE_SUB(CURDATE(), INTERVAL 1 MONTH), DATE_FORMAT() and IFNULL(). Do NOT use GETDATE(), DATEADD() or ISNULL().',
+            lookup: 'SELECT DISTINCT ... LIMIT 10'
+        }
+    },
+    sqlite: {
+        name: 'sqlite',
+        language: 'SQLite',
+        engine: 'SQLite',
+        parserDatabase: 'sqlite',
+        defaultSchema: 'main',
+        qualifyTables: false,
+        quoteIdentifier: quoteWith('"', '"'),
+        literal: value => {
+            if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+            if (typeof value === 'boolean') return value ? '1' : '0';
+            return standardString(value);
+        },
+        forbiddenFunctions: new Set(['load_extension', 'readfile', 'writefile', 'edit', 'fts3_tokenizer']),
+        forbiddenFunctionPattern: null,
+        rowLimitPattern: /\bLIMIT\b/,
+        pageClause: (offset, pageSize) => `LIMIT ${pageSize} OFFSET ${offset}`,
+        zeroRows: source => `SELECT * FROM (${source}) AS shape_source LIMIT 0`,
+        prompt: {
+            tables: () => '**CRITICAL:** Do NOT prefix table names with a schema name (e.g., \'mas_employees\').',
+            limit: "To limit results, you MUST use 'LIMIT N' at the end of the query. Do NOT use 'TOP'.",
+            functions: "Use SQLite functions and syntax, e.g. date('now', '-1 month'), strftime('%Y-%m', ...) and IFNULL(). Dates are stored as ISO 8601 text. Do NOT use GETDATE(), DATEADD() or DATEDIFF().",
+            lookup: 'SELECT DISTINCT ... LIMIT 10'
+        }
+    }
+};
+
+/**
+ * The dialect of a database configuration (config.database by default), with `schema`: the
+ * schema its documented tables live in (config `schema`, else the dialect's default, else
+ * the database name).
+ * @param {{client: string, schema?: string, database?: string}} [database]
+ * @returns {Object} See DIALECTS.
+ */
+function getDialect(database = config.database) {
+    const dialect = DIALECTS[database.client];
+    if (!dialect) {
+        throw new Error(`Unknown database client "${database.client}". Use ${Object.keys(DIALECTS).join(', ')}.`);
+    }
+    return { ...dialect, schema: database.schema || dialect.defaultSchema || database.database };
+}
+
+module.exports = {
+    getDialect,
+    DIALECTS
+};
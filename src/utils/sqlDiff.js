@@ -0,0 +1,56 @@
+// src/utils/sqlDiff.js
+const { diffArrays } = require('diff');
+const { maskNested } = require('./sqlText');
+
+// Clauses (and top-level AND/OR conditions) that start a new line in the diff
+const CLAUSE_PATTERN = /\b(SELECT|FROM|WHERE|GROUP\s+BY|HAVING|ORDER\s+BY|(INNER\s+|(LEFT|RIGHT|FULL)\s+(OUTER\s+)?|CROSS\s+)?JOIN|UNION(\s+ALL)?|EXCEPT|INTERSECT|OFFSET|AND|OR)\b/g;
+
+/**
+ * Splits a query into one line per top-level clause, so that a one-line query still
+ * gives a readable diff. Subqueries stay on the line of the clause they belong to.
+ * @param {string} sql - The query.
+ * @returns {string[]} The clauses, with whitespace collapsed.
+ */
+function splitClauses(sql) {
+    const query = sql.trim().replace(/;+\s*$/, '');
+    const masked = maskNested(query).toUpperCase();
+
+    const starts = [0, ...[...masked.matchAll(CLAUSE_PATTERN)].map(match => match.index).filter(index => index > 0)];
+    return starts
+        .map((start, i) => query.substring(start, starts[i + 1]).replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Compares two queries clause by clause.
+ * @param {string} previousSql - The query before the change.
+ * @param {string} sql - The query after the change.
+ * @returns {{diff: string, added: string[], removed: string[]}} `diff` has one line per clause,
+ *   prefixed with '+ ' (added), '- ' (removed) or '  ' (unchanged).
+ */
+function diffSql(previousSql, sql) {
+    const lines = [];
+    const added = [];
+    const removed = [];
+
+    diffArrays(splitClauses(previousSql), splitClauses(sql)).forEach(change => {
+        change.value.forEach(clause => {
+            if (change.added) {
+                added.push(clause);
+                lines.push(`+ ${clause}`);
+            } else if (change.removed) {
+                removed.push(clause);
+                lines.push(`- ${clause}`);
+            } else {
+                lines.push(`  ${clause}`);
+            }
+        });
+    });
+
+    return { diff: lines.join('\n'), added, removed };
+}
+
+module.exports = {
+    diffSql,
+    splitClauses
+};
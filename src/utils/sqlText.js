@@ -0,0 +1,65 @@
+// src/utils/sqlText.js
+
+/**
+ * If a string literal, bracketed/quoted/backquoted identifier or comment starts at `i`, returns the
+ * index of its last character; otherwise returns -1.
+ */
+function literalEnd(sql, i) {
+    const closeAt = (index) => (index === -1 ? sql.length - 1 : index);
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    if (ch === "'") {
+        let j = i + 1;
+        while (j < sql.length) {
+            if (sql[j] === "'" && sql[j + 1] === "'") {
+                j += 2; // Escaped quote
+            } else if (sql[j] === "'") {
+                return j;
+            } else {
+                j++;
+            }
+        }
+        return sql.length - 1;
+    }
+    if (ch === '[') return closeAt(sql.indexOf(']', i + 1));
+    if (ch === '"') return closeAt(sql.indexOf('"', i + 1));
+    if (ch === '`') return closeAt(sql.indexOf('`', i + 1));
+    if (ch === '-' && next === '-') return closeAt(sql.indexOf('\n', i + 2));
+    if (ch === '/' && next === '*') {
+        const close = sql.indexOf('*/', i + 2);
+        return close === -1 ? sql.length - 1 : close + 1;
+    }
+    return -1;
+}
+
+/**
+ * Returns a copy of the SQL in which everything nested in parentheses, string literals,
+ * bracketed/quoted identifiers and comments is blanked out, so that keyword searches
+ * only match the outermost query. Positions are preserved.
+ */
+function maskNested(sql) {
+    let masked = '';
+    let depth = 0;
+
+    for (let i = 0; i < sql.length; i++) {
+        const end = literalEnd(sql, i);
+        if (end !== -1) {
+            masked += ' '.repeat(end - i + 1);
+            i = end;
+            continue;
+        }
+
+        const ch = sql[i];
+        if (ch === '(') depth++;
+        masked += depth > 0 ? ' ' : ch;
+        if (ch === ')') depth = Math.max(0, depth - 1);
+    }
+
+    return masked;
+}
+
+module.exports = {
+    literalEnd,
+    maskNested
+};
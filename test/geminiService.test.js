@@ -0,0 +1,32 @@
+// test/geminiService.test.js
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const config = require('../src/config');
+const geminiService = require('../src/services/geminiService');
+
+config.gemini.maxRetries = 1;
+
+/**
+ * Makes the model answer every prompt with `reply`
+ */
+function replyWith(t, reply) {
+    t.mock.method(GoogleGenerativeAI.prototype, 'getGenerativeModel', () => ({
+        generateContent: async () => ({ response: { text: () => reply } })
+    }));
+}
+
+test('accepts a query that starts with a CTE', async t => {
+    replyWith(t, '```sql\nWITH sites AS (SELECT Fid FROM Accsites) SELECT Fid FROM sites\n```');
+    const sql = 'WITH sites AS (SELECT Fid FROM Accsites) SELECT Fid FROM sites;';
+    assert.strictEqual(await geminiService.generateSql('Which sites?', 'schema', { allowClarification: false }), sql);
+    assert.strictEqual(await geminiService.repairSql('Which sites?', 'schema', 'SELECT 1', 'error'), sql);
+    assert.strictEqual(await geminiService.refineSql('Only mine', 'schema', 'SELECT Fid FROM Accsites'), sql);
+});
+
+test('rejects a reply that is not a query', async t => {
+    replyWith(t, 'DELETE FROM Accsites');
+    await assert.rejects(geminiService.generateSql('Delete the sites', 'schema', { allowClarification: false }), /not a SELECT statement/);
+});
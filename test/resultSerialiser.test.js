@@ -0,0 +1,35 @@
+// test/resultSerialiser.test.js
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { serialiseRows, markInexactDecimals } = require('../src/utils/resultSerialiser');
+
+/**
+ * Column metadata in the shape mssql reports it
+ */
+function column(name, index, declaration, precision, scale) {
+    return { index, name, type: { declaration }, precision, scale };
+}
+
+test('writes decimals with their scale', () => {
+    const rows = [{ Amount: 12345.6 }];
+    rows.columns = markInexactDecimals({ Amount: column('Amount', 0, 'decimal', 10, 2) });
+    const { columns, rows: serialised } = serialiseRows(rows);
+    assert.deepStrictEqual(serialised, [{ Amount: '12345.60' }]);
+    assert.deepStrictEqual(columns, [{ name: 'Amount', type: 'decimal', nullable: null }]);
+});
+
+test('marks decimals a double may have rounded as inexact', () => {
+    // 2^53 / 10^2 is about 9.0e13; the stored 123456789012345678.91 comes back from tedious rounded
+    const rows = [{ Total: 123456789012345678.91, Fee: 1.5, Small: 2.25 }];
+    rows.columns = markInexactDecimals({
+        Total: column('Total', 0, 'decimal', 20, 2),
+        Fee: column('Fee', 1, 'money', 19, 4),
+        Small: column('Small', 2, 'smallmoney', 10, 4)
+    });
+    const { columns, rows: [row] } = serialiseRows(rows);
+    assert.notStrictEqual(row.Total, '123456789012345678.91');
+    assert.deepStrictEqual(columns.map(({ name, exact }) => [name, exact]), [['Total', false], ['Fee', false], ['Small', undefined]]);
+    assert.strictEqual(row.Small, '2.2500');
+});
@@ -0,0 +1,134 @@
+// test/rowSecurityService.test.js
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config');
+const { parseSql, walk } = require('../src/services/sqlValidationService');
+const { getDialect } = require('../src/utils/sqlDialects');
+const { applyRowSecurity, scopeKey, filteredColumns } = require('../src/services/rowSecurityService');
+const { buildPagedQueries } = require('../src/services/paginationService');
+
+config.rowSecurity.policies = {
+    site_manager: { Accsites: 'ACCMAIN_Fid IN (:user.clients)' },
+    auditor: { Accsites: 'Fid = :user.id' }
+};
+
+const siteManager = { id: '7', roles: ['site_manager'], attributes: { clients: [1, 2] } };
+const mssql = { name: 'default', dialect: getDialect({ client: 'mssql' }) };
+const postgres = { name: 'reporting', dialect: getDialect({ client: 'postgres' }) };
+
+/**
+ * The FROM items of a rewritten query that read Accsites, and whether each is the policy's
+ * derived table (a lone table filtered on ACCMAIN_Fid) rather than a bare reference
+ */
+function accsitesReads(sql, dataSource) {
+    const reads = [];
+    walk(parseSql(sql, dataSource).ast, node => {
+        if (!Array.isArray(node.from)) return;
+        node.from.forEach(item => {
+            if (!item || String(item.table).toLowerCase() !== 'accsites') return;
+            reads.push({
+                filtered: node.from.length === 1 && Boolean(item.db) && JSON.stringify(node.where || null).includes('ACCMAIN_Fid'),
+                db: item.db
+            });
+        });
+    });
+    return reads;
+}
+
+function assertFiltered(sql, expectedReads, dataSource = mssql) {
+    const rewritten = applyRowSecurity(sql, siteManager, dataSource);
+    const reads = accsitesReads(rewritten, dataSource);
+    assert.strictEqual(reads.filter(read => read.filtered).length, expectedReads, rewritten);
+    assert.deepStrictEqual(reads.filter(read => !read.filtered), [], rewritten);
+    assert.match(rewritten, /IN \(1, 2\)/);
+    return rewritten;
+}
+
+test('filters a table under an alias and keeps the alias', () => {
+    const rewritten = assertFiltered('SELECT s.Fid FROM Accsites s WHERE s.Fid > 10', 1);
+    assert.match(rewritten, /AS \[s\]/);
+});
+
+test('filters a table without an alias under its own name', () => {
+    const rewritten = assertFiltered('SELECT Accsites.Fid FROM Accsites', 1);
+    assert.match(rewritten, /AS \[Accsites\]/);
+});
+
+test('filters every read in joins, comma joins and nested subqueries', () => {
+    assertFiltered('SELECT a.Fid FROM Accmain a JOIN Accsites s ON s.ACCMAIN_Fid = a.Fid', 1);
+    assertFiltered('SELECT a.Fid FROM Accmain a, Accsites s WHERE s.ACCMAIN_Fid = a.Fid', 1);
+    assertFiltered('SELECT x.Fid FROM (SELECT y.Fid FROM (SELECT Fid FROM Accsites) y) x', 1);
+    assertFiltered('SELECT Fid FROM Accmain WHERE Fid IN (SELECT ACCMAIN_Fid FROM Accsites)', 1);
+});
+
+test('filters reads in EXISTS and APPLY', () => {
+    assertFiltered('SELECT a.Fid FROM Accmain a WHERE EXISTS (SELECT 1 FROM Accsites s WHERE s.ACCMAIN_Fid = a.Fid)', 1);
+    assertFiltered('SELECT a.Fid FROM Accmain a CROSS APPLY (SELECT TOP 1 Fid FROM Accsites s WHERE s.ACCMAIN_Fid = a.Fid) x', 1);
+    assertFiltered('SELECT a.Fid FROM Accmain a OUTER APPLY (SELECT TOP 1 Fid FROM Accsites s WHERE s.ACCMAIN_Fid = a.Fid) x', 1);
+});
+
+test('filters every UNION branch', () => {
+    assertFiltered('SELECT Fid FROM Accsites WHERE Fid < 5 UNION SELECT Fid FROM Accsites WHERE Fid > 50', 2);
+    assertFiltered('SELECT Fid FROM Accmain UNION ALL SELECT Fid FROM Accsites', 1);
+});
+
+test('filters reads inside CTEs', () => {
+    assertFiltered('WITH sites AS (SELECT Fid FROM Accsites) SELECT Fid FROM sites', 1);
+    // The T-SQL parser cannot read back several bracketed CTE names, so this one is checked in PostgreSQL
+    assertFiltered('WITH a AS (SELECT Fid FROM Accsites), b AS (SELECT Fid FROM a) SELECT Fid FROM b UNION SELECT Fid FROM Accsites', 2, postgres);
+});
+
+function assertCteShadowsTable(sql, dataSource) {
+    const rewritten = applyRowSecurity(sql, siteManager, dataSource);
+    const reads = accsitesReads(rewritten, dataSource);
+    assert.strictEqual(reads.filter(read => read.filtered).length, 1, rewritten);
+    // The outer reference reads the CTE
+    assert.deepStrictEqual(reads.filter(read => !read.filtered), [{ filtered: false, db: null }], rewritten);
+}
+
+test('leaves a CTE named like the table alone and filters the table it reads', () => {
+    // Without RECURSIVE, the name in the CTE's own body is the table it shadows
+    assertCteShadowsTable('WITH Accsites AS (SELECT * FROM Accsites WHERE Fid > 1) SELECT Fid FROM Accsites', postgres);
+    // A CTE defined after another cannot be read by it, so the name there is the table
+    assertCteShadowsTable('WITH a AS (SELECT Fid FROM Accsites), Accsites AS (SELECT Fid FROM a) SELECT Fid FROM Accsites', postgres);
+
+    // A CTE that does not read the table needs no filter
+    const unrelated = 'WITH Accsites AS (SELECT Fid FROM Accmain) SELECT Fid FROM Accsites';
+    assert.strictEqual(applyRowSecurity(unrelated, siteManager, mssql), unrelated);
+});
+
+test('filters the pagination wrappers of a query', () => {
+    const { countSql, pageSql } = buildPagedQueries('SELECT TOP (50) Fid, SiteName FROM Accsites WHERE Fid > 10', 2, mssql.dialect);
+    assertFiltered(countSql, 1);
+    assertFiltered(pageSql(0, 25), 1);
+
+    const ordered = buildPagedQueries('SELECT Fid FROM Accsites ORDER BY Fid', 1, postgres.dialect);
+    assertFiltered(ordered.countSql, 1, postgres);
+    assertFiltered(ordered.pageSql(25, 25), 1, postgres);
+});
+
+test('leaves queries alone for identities without a policy', () => {
+    const sql = 'SELECT Fid FROM Accsites';
+    assert.strictEqual(applyRowSecurity(sql, { id: '1', roles: ['analyst'] }, mssql), sql);
+    assert.strictEqual(applyRowSecurity(sql, null, mssql), sql);
+});
+
+test('a missing attribute matches no rows', () => {
+    const rewritten = applyRowSecurity('SELECT Fid FROM Accsites', { id: '7', roles: ['site_manager'] }, mssql);
+    assert.match(rewritten, /IN \(NULL\)/);
+});
+
+test('scope keys tell apart the rows identities may see', () => {
+    assert.strictEqual(scopeKey({ id: '1', roles: ['analyst'] }), '');
+    assert.strictEqual(scopeKey(siteManager), scopeKey({ id: '8', roles: ['site_manager'], attributes: { clients: [1, 2] } }));
+    assert.notStrictEqual(scopeKey(siteManager), scopeKey({ id: '7', roles: ['site_manager'], attributes: { clients: [3] } }));
+    assert.notStrictEqual(scopeKey({ id: '1', roles: ['auditor'] }), scopeKey({ id: '2', roles: ['auditor'] }));
+});
+
+test('lists the columns row filters read, for any role', () => {
+    const columns = filteredColumns(mssql);
+    assert.deepStrictEqual([...columns.get('accsites')].sort(), ['accmain_fid', 'fid']);
+    assert.strictEqual(columns.has('accmain'), false);
+});